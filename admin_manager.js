@@ -0,0 +1,171 @@
+// src/managers/adminManager.js - Staff actions: balances, bans, codes, broadcasts and the audit log
+const CoinManager = require('./coinManager');
+const roles = require('../security/roles');
+const { defaultLogger } = require('../logging/logger');
+
+class AdminManager {
+    // options.logger is the bot's logger
+    constructor(database, options = {}) {
+        this.db = database;
+        this.logger = options.logger || defaultLogger();
+        this.coinManager = new CoinManager(database, { logger: this.logger });
+    }
+
+    // Record a staff action; failures are logged but never block the action
+    async audit(actor, role, action, target = null, details = null) {
+        try {
+            await this.db.addAuditLog(actor, role, action, target, details);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error auditing admin action');
+        }
+    }
+
+    async getBan(phoneNumber) {
+        try {
+            return await this.db.getActiveBan(phoneNumber);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error checking ban');
+            return null;
+        }
+    }
+
+    async balance(wallet) {
+        try {
+            const user = await this.db.findUser(wallet);
+            if (!user) {
+                return { success: false, message: `❌ ${wallet} has no wallet yet` };
+            }
+            return { success: true, message: `💰 ${wallet}: ${user.coins} coins` };
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error getting balance');
+            return { success: false, message: '❌ Failed to load the balance' };
+        }
+    }
+
+    async grant(wallet, amount, reason, actor) {
+        const balance = await this.coinManager.addCoins(wallet, amount, CoinManager.REASONS.ADMIN_GRANT, { by: actor, reason });
+        if (balance === false) {
+            return { success: false, message: '❌ Failed to grant coins' };
+        }
+        return { success: true, message: `✅ Granted ${amount} coins to ${wallet} (${reason})\n💰 New balance: ${balance} coins` };
+    }
+
+    async deduct(wallet, amount, reason, actor) {
+        const balance = await this.coinManager.subtractCoins(wallet, amount, CoinManager.REASONS.ADMIN_DEDUCT, { by: actor, reason });
+        if (balance === false) {
+            return { success: false, message: `❌ ${wallet} does not have ${amount} coins` };
+        }
+        return { success: true, message: `✅ Deducted ${amount} coins from ${wallet} (${reason})\n💰 New balance: ${balance} coins` };
+    }
+
+    async history(wallet, limit = 10) {
+        try {
+            const rows = await this.coinManager.getTransactions(wallet, limit);
+            if (rows.length === 0) {
+                return { success: true, message: `📜 No transactions for ${wallet}` };
+            }
+
+            const lines = rows.map(row =>
+                `#${row.id} ${row.created_at} ${row.amount >= 0 ? '+' : ''}${row.amount} (${row.reason}) → ${row.balance_after}`
+            );
+            return { success: true, message: `📜 *Last ${rows.length} transactions of ${wallet}*\n\n${lines.join('\n')}` };
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error getting history');
+            return { success: false, message: '❌ Failed to load the history' };
+        }
+    }
+
+    // Staff can only ban users ranked below them
+    async ban(phoneNumber, reason, actor, actorRole) {
+        try {
+            if (roles.roleOf(phoneNumber) !== null && !roles.outranks(actorRole, roles.roleOf(phoneNumber))) {
+                return { success: false, message: '❌ You cannot ban staff of your rank or higher' };
+            }
+
+            await this.db.banUser(phoneNumber, reason, actor);
+            return { success: true, message: `🔨 Banned ${phoneNumber}${reason ? ` (${reason})` : ''}` };
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error banning user');
+            return { success: false, message: '❌ Failed to ban the user' };
+        }
+    }
+
+    // Lifting a ban takes the same rank as placing it: staff may undo their
+    // own bans, and automatic ones, but only outranked staff's
+    async unban(phoneNumber, actor, actorRole) {
+        try {
+            const ban = await this.db.getActiveBan(phoneNumber);
+            const placedBy = ban ? roles.roleOf(ban.banned_by) : null;
+            if (placedBy !== null && ban.banned_by !== actor && !roles.outranks(actorRole, placedBy)) {
+                return { success: false, message: '❌ You cannot lift a ban placed by staff of your rank or higher' };
+            }
+
+            const removed = await this.db.unbanUser(phoneNumber);
+            return removed
+                ? { success: true, message: `✅ Unbanned ${phoneNumber}` }
+                : { success: false, message: `❌ ${phoneNumber} is not banned` };
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error unbanning user');
+            return { success: false, message: '❌ Failed to unban the user' };
+        }
+    }
+
+    async listCodes(limit = 20) {
+        try {
+            const codes = await this.db.listRedeemCodes(limit);
+            if (codes.length === 0) {
+                return { success: true, message: '🎫 No redeem codes yet' };
+            }
+
+            const now = Date.now();
+            const lines = codes.map(code => {
+                const status = !code.is_active ? '⛔ inactive' : new Date(code.expires_at).getTime() < now ? '⌛ expired' : '✅ active';
+                const claimed = code.max_redemptions ? `${code.redemptions}/${code.max_redemptions}` : code.redemptions;
+                return `${code.code} - ${code.coin_value} coins, ${claimed} claimed, ${status}`;
+            });
+            return { success: true, message: `🎫 *Redeem Codes*\n\n${lines.join('\n')}` };
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error listing codes');
+            return { success: false, message: '❌ Failed to list codes' };
+        }
+    }
+
+    async deactivateCode(code) {
+        try {
+            const changed = await this.db.deactivateRedeemCode(code);
+            return changed
+                ? { success: true, message: `⛔ Code ${code} deactivated` }
+                : { success: false, message: '❌ No active code with that name' };
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error deactivating code');
+            return { success: false, message: '❌ Failed to deactivate the code' };
+        }
+    }
+
+    // DM every user with a global wallet; send(phoneNumber, text) delivers one
+    // message. cancelled() is checked between messages so a shutdown doesn't
+    // wait out a long broadcast.
+    async broadcast(text, send, { delayMs = 250, cancelled = () => false } = {}) {
+        const phones = await this.db.getAllUserPhones();
+        let sent = 0;
+
+        for (const phone of phones) {
+            if (cancelled()) {
+                this.logger.warn({ sent, total: phones.length }, 'Broadcast cancelled');
+                return { success: false, message: `📢 Broadcast stopped after ${sent} of ${phones.length} users` };
+            }
+            try {
+                await send(phone, `📢 *Announcement*\n\n${text}`);
+                sent++;
+            } catch (error) {
+                this.logger.error({ err: error }, 'Error broadcasting message');
+            }
+            // Spread messages out to stay clear of WhatsApp's spam limits
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+
+        return { success: true, message: `📢 Broadcast sent to ${sent} of ${phones.length} users` };
+    }
+}
+
+module.exports = AdminManager;
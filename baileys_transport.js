@@ -0,0 +1,178 @@
+// src/transports/baileysTransport.js - WhatsApp through @whiskeysockets/baileys
+const { default: makeWASocket, useMultiFileAuthState, DisconnectReason } = require('@whiskeysockets/baileys');
+const { Boom } = require('@hapi/boom');
+const Transport = require('./transport');
+const Reply = require('./reply');
+const { defaultLogger } = require('../logging/logger');
+
+class BaileysTransport extends Transport {
+    // options.authDirectory holds the session (scan the QR code once);
+    // options.logger is the bot's logger
+    constructor(options = {}) {
+        super();
+        this.authDirectory = options.authDirectory || './auth_info';
+        this.logger = options.logger || defaultLogger();
+        this.sock = null;
+        this.socketListeners = [];
+    }
+
+    // Each connect() makes a new socket. Listeners are tied to the socket they
+    // were added to, so late events from an old socket are ignored.
+    async connect() {
+        this.detach();
+
+        const { state, saveCreds } = await useMultiFileAuthState(this.authDirectory);
+        const sock = makeWASocket({
+            auth: state,
+            printQRInTerminal: true,
+            logger: this.logger.child({ module: 'baileys' }),
+            browser: ['WhatsApp Bot', 'Chrome', '1.0.0']
+        });
+
+        this.sock = sock;
+        this.socketListeners = [
+            ['creds.update', saveCreds],
+            ['connection.update', update => this.handleConnection(update, sock)],
+            ['messages.upsert', upsert => this.handleUpsert(upsert)]
+        ];
+        this.socketListeners.forEach(([event, listener]) => sock.ev.on(event, listener));
+    }
+
+    detach() {
+        if (this.sock) {
+            this.socketListeners.forEach(([event, listener]) => this.sock.ev.off(event, listener));
+        }
+        this.socketListeners = [];
+    }
+
+    handleConnection(update, sock) {
+        if (sock !== this.sock) {
+            return;
+        }
+        const { connection, lastDisconnect } = update;
+
+        if (connection === 'close') {
+            const error = lastDisconnect?.error;
+            const statusCode = error instanceof Boom ? error.output.statusCode : null;
+            this.emit('close', { error, reconnect: statusCode !== DisconnectReason.loggedOut });
+        } else if (connection === 'open') {
+            this.emit('open');
+        }
+    }
+
+    handleUpsert(upsert) {
+        for (const msg of upsert.messages) {
+            const message = BaileysTransport.toMessage(msg);
+            if (message) {
+                this.emit('message', message);
+            }
+        }
+    }
+
+    // A Baileys message as a transport message, or null if there is nothing to handle
+    static toMessage(msg) {
+        if (!msg.message || msg.key.fromMe) {
+            return null;
+        }
+
+        // Tapped buttons and list rows arrive as their ids, which are commands
+        const text = msg.message.conversation ||
+            msg.message.extendedTextMessage?.text ||
+            msg.message.buttonsResponseMessage?.selectedButtonId ||
+            msg.message.listResponseMessage?.singleSelectReply?.selectedRowId ||
+            '';
+        // In groups remoteJid is the group, the author is in participant
+        const chatJid = msg.key.remoteJid;
+        const senderJid = chatJid.endsWith('@g.us') ? msg.key.participant : chatJid;
+        if (!text || !senderJid) {
+            return null;
+        }
+
+        return {
+            id: msg.key.id,
+            chatJid,
+            senderJid,
+            text,
+            mentions: (msg.message.extendedTextMessage?.contextInfo?.mentionedJid || []).map(jid => jid.split('@')[0])
+        };
+    }
+
+    async send(jid, text) {
+        await this.sock.sendMessage(jid, { text });
+    }
+
+    async sendReply(jid, reply) {
+        const target = reply.replyTo ? BaileysTransport.toQuoted(reply.replyTo) : null;
+        if (reply.react && target) {
+            await this.sock.sendMessage(jid, { react: { text: reply.react, key: target.key } });
+        }
+
+        const content = BaileysTransport.toContent(reply, Boolean(target));
+        if (content) {
+            await this.sock.sendMessage(jid, content, reply.quote && target ? { quoted: target } : {});
+        }
+    }
+
+    // The Baileys message content for a reply, or null when it only reacts
+    // (and could)
+    static toContent(reply, canReact = true) {
+        const text = reply.react && !canReact ? Reply.toText(reply) : reply.text;
+
+        if (reply.image) {
+            return { image: reply.image.data, mimetype: reply.image.mimetype, caption: text };
+        }
+        if (!text) {
+            return null;
+        }
+        if (reply.list) {
+            return {
+                text,
+                title: reply.list.title,
+                buttonText: reply.list.buttonText,
+                sections: reply.list.sections.map(section => ({
+                    title: section.title,
+                    rows: section.rows.map(row => ({ rowId: row.id, title: row.title, description: row.description }))
+                }))
+            };
+        }
+        if (reply.buttons) {
+            return {
+                text,
+                buttons: reply.buttons.map(button => ({ buttonId: button.id, buttonText: { displayText: button.text }, type: 1 })),
+                headerType: 1
+            };
+        }
+        return { text };
+    }
+
+    // Enough of the original WhatsApp message to quote and react to it
+    static toQuoted(message) {
+        const isGroup = message.chatJid.endsWith('@g.us');
+        return {
+            key: {
+                remoteJid: message.chatJid,
+                id: message.id,
+                fromMe: false,
+                participant: isGroup ? message.senderJid : undefined
+            },
+            message: { conversation: message.text }
+        };
+    }
+
+    async isGroupAdmin(groupJid, senderJid) {
+        const metadata = await this.sock.groupMetadata(groupJid);
+        const participant = metadata.participants.find(p => p.id === senderJid);
+        return Boolean(participant && participant.admin);
+    }
+
+    async disconnect() {
+        const sock = this.sock;
+        this.detach();
+        this.sock = null;
+        if (sock) {
+            sock.end(undefined);
+        }
+    }
+}
+
+module.exports = BaileysTransport;
@@ -0,0 +1,110 @@
+// src/games/blackjack.js - Blackjack hand values, dealer play and payouts
+
+// Blackjack pays 3:2, other wins 1:1; amounts returned include the stake
+const PAYOUTS = Object.freeze({
+    blackjack: 2.5,
+    win: 2,
+    push: 1,
+    lose: 0
+});
+
+function cardValue(card) {
+    if (card.rank === 'A') {
+        return 11;
+    }
+    return ['J', 'Q', 'K'].includes(card.rank) ? 10 : parseInt(card.rank, 10);
+}
+
+// Best total for a hand; soft means an ace is still counted as 11
+function handValue(cards) {
+    let total = 0;
+    let aces = 0;
+
+    for (const card of cards) {
+        total += cardValue(card);
+        if (card.rank === 'A') {
+            aces++;
+        }
+    }
+
+    while (total > 21 && aces > 0) {
+        total -= 10;
+        aces--;
+    }
+
+    return { total, soft: aces > 0 };
+}
+
+function isBlackjack(cards) {
+    return cards.length === 2 && handValue(cards).total === 21;
+}
+
+function isBust(cards) {
+    return handValue(cards).total > 21;
+}
+
+function canSplit(hands, hand) {
+    return hands.length === 1 && hand.cards.length === 2 &&
+        cardValue(hand.cards[0]) === cardValue(hand.cards[1]);
+}
+
+function canDouble(hand) {
+    return hand.cards.length === 2 && !hand.doubled && !hand.done;
+}
+
+// Dealer draws to 17 and stands on soft 17. drawCard() takes the next card.
+function playDealer(dealerCards, drawCard) {
+    const cards = dealerCards.slice();
+    while (handValue(cards).total < 17) {
+        cards.push(drawCard());
+    }
+    return cards;
+}
+
+// Outcome of one player hand against the dealer's final cards. A 21 on a
+// split hand is not a natural blackjack.
+function handOutcome(hand, dealerCards, isSplit) {
+    const player = handValue(hand.cards).total;
+    const dealer = handValue(dealerCards).total;
+
+    if (player > 21) {
+        return 'lose';
+    }
+    if (!isSplit && isBlackjack(hand.cards)) {
+        return isBlackjack(dealerCards) ? 'push' : 'blackjack';
+    }
+    if (isBlackjack(dealerCards)) {
+        return 'lose';
+    }
+    if (dealer > 21 || player > dealer) {
+        return 'win';
+    }
+    return player === dealer ? 'push' : 'lose';
+}
+
+function cardCode(card) {
+    return `${card.rank}${card.suit}`;
+}
+
+function formatHand(cards, hideHoleCard = false) {
+    if (hideHoleCard) {
+        return `${cardCode(cards[0])} 🂠`;
+    }
+
+    const { total, soft } = handValue(cards);
+    return `${cards.map(cardCode).join(' ')} (${soft && total < 21 ? 'soft ' : ''}${total})`;
+}
+
+module.exports = {
+    PAYOUTS,
+    cardValue,
+    handValue,
+    isBlackjack,
+    isBust,
+    canSplit,
+    canDouble,
+    playDealer,
+    handOutcome,
+    cardCode,
+    formatHand
+};
\ No newline at end of file
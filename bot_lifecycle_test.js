@@ -0,0 +1,167 @@
+// test/botLifecycle.test.js - Reconnect backoff and graceful shutdown over an in-memory transport
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const config = require('../config');
+const WhatsAppBot = require('../bot');
+const MemoryTransport = require('../src/transports/memoryTransport');
+
+config.database.storage = 'memory';
+config.metrics.enabled = false;
+config.logging.level = 'silent';
+config.connection = { initialDelayMs: 10, maxDelayMs: 40, jitter: 0, shutdownTimeoutMs: 100 };
+
+// A transport whose next `failures` connection attempts are refused
+class FlakyTransport extends MemoryTransport {
+    constructor() {
+        super();
+        this.failures = 0;
+    }
+
+    async connect() {
+        if (this.failures > 0) {
+            this.failures--;
+            throw new Error('Connection refused');
+        }
+        await super.connect();
+    }
+}
+
+async function startBot(transport = new MemoryTransport()) {
+    const bot = new WhatsAppBot({ transport });
+    await bot.start();
+    return { bot, transport };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('reconnect delays double up to maxDelayMs, with jitter taken off', () => {
+    const settings = { initialDelayMs: 1000, maxDelayMs: 6000, jitter: 0.5 };
+    const delays = [1, 2, 3, 4, 5].map(attempt => WhatsAppBot.reconnectDelay(attempt, settings, () => 0));
+    assert.deepEqual(delays, [1000, 2000, 4000, 6000, 6000]);
+    assert.equal(WhatsAppBot.reconnectDelay(2, settings, () => 1), 1000);
+});
+
+test('a dropped connection is retried with growing delays until it opens', async () => {
+    const { bot, transport } = await startBot(new FlakyTransport());
+    const attempts = [];
+    bot.on('reconnecting', event => attempts.push(event));
+
+    transport.failures = 3;
+    const reopened = once(bot, 'open');
+    transport.drop();
+    await reopened;
+
+    assert.deepEqual(attempts, [
+        { attempt: 1, delayMs: 10 },
+        { attempt: 2, delayMs: 20 },
+        { attempt: 3, delayMs: 40 },
+        { attempt: 4, delayMs: 40 }
+    ]);
+    assert.equal(bot.state, 'open');
+    assert.equal(transport.connects, 2);
+
+    // A successful connection starts the backoff over
+    const next = once(bot, 'reconnecting');
+    transport.drop();
+    assert.deepEqual((await next)[0], { attempt: 1, delayMs: 10 });
+    await once(bot, 'open');
+
+    await bot.stop();
+});
+
+test('a logged out session is not reconnected', async () => {
+    const { bot, transport } = await startBot();
+    let reconnecting = false;
+    bot.on('reconnecting', () => { reconnecting = true; });
+
+    transport.drop({ reconnect: false, error: new Error('Logged out') });
+    await sleep(100);
+
+    assert.equal(bot.state, 'logged_out');
+    assert.equal(reconnecting, false);
+    assert.equal(transport.connects, 1);
+
+    await bot.stop();
+    assert.equal(bot.state, 'stopped');
+});
+
+test('stop() lets running commands finish before disconnecting', async () => {
+    const { bot, transport } = await startBot();
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    bot.commands.register({
+        name: 'slow',
+        hidden: true,
+        handler: async (ctx) => {
+            await gate;
+            await ctx.reply('done');
+        }
+    });
+
+    const command = transport.receive('6281111111111', '.slow');
+    await sleep(10);
+
+    let stopped = false;
+    const stopping = bot.stop().then(() => { stopped = true; });
+    await sleep(30);
+    assert.equal(bot.state, 'stopping');
+    assert.equal(stopped, false);
+
+    // Commands arriving during shutdown are dropped
+    assert.deepEqual(await transport.receive('6281111111111', '.balance'), []);
+
+    release();
+    await stopping;
+    assert.deepEqual((await command).map(reply => reply.text), ['done']);
+    assert.equal(bot.state, 'stopped');
+    assert.equal(transport.connected, false);
+});
+
+test('stop() gives up on commands still running after shutdownTimeoutMs', async () => {
+    const { bot, transport } = await startBot();
+    bot.commands.register({
+        name: 'stuck',
+        hidden: true,
+        handler: () => new Promise(() => {})
+    });
+
+    transport.receive('6281111111111', '.stuck');
+    await sleep(10);
+    assert.equal(bot.inFlight.size, 1);
+
+    const startedAt = Date.now();
+    await bot.stop();
+    const elapsed = Date.now() - startedAt;
+
+    assert.ok(elapsed >= 90 && elapsed < 1000, `stopped after ${elapsed}ms`);
+    assert.equal(bot.state, 'stopped');
+    assert.equal(transport.connected, false);
+});
+
+test('stop() cuts a running broadcast short instead of waiting it out', async (t) => {
+    const { bot, transport } = await startBot();
+    const owner = '6280000000000';
+    const roles = config.roles;
+    config.roles = { ...roles, owner: [owner] };
+    config.connection = { ...config.connection, shutdownTimeoutMs: 5000 };
+    t.after(() => {
+        config.roles = roles;
+        config.connection = { ...config.connection, shutdownTimeoutMs: 100 };
+    });
+
+    for (let i = 0; i < 20; i++) {
+        await transport.receive(`62822000000${String(i).padStart(2, '0')}`, '.balance');
+    }
+    transport.receive(owner, '.admin broadcast Maintenance tonight');
+    await sleep(300);
+
+    const startedAt = Date.now();
+    await bot.stop();
+    const elapsed = Date.now() - startedAt;
+
+    const announcements = transport.sent.filter(message => message.text.startsWith('📢 *Announcement*'));
+    assert.ok(announcements.length > 0 && announcements.length < 10, `${announcements.length} announcements`);
+    assert.ok(elapsed < 1000, `stopped after ${elapsed}ms`);
+    assert.equal(bot.state, 'stopped');
+});
@@ -0,0 +1,573 @@
+// src/commands/builtinCommands.js - Commands that ship with the bot
+const config = require('../../config');
+const roulette = require('../games/roulette');
+const roles = require('../security/roles');
+
+// Redeem codes are letters, digits, '-' and '_'
+const CODE_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// .admin subcommands: the minimum role, arguments (same format as command
+// args) and the action. Wallet lookups follow the chat's economy.
+const ADMIN_ACTIONS = {
+    balance: {
+        role: 'moderator',
+        args: [{ name: 'user', type: 'user' }],
+        run: (ctx, { user }) => ctx.bot.adminManager.balance(ctx.bot.groupManager.walletFor(user, ctx.group, ctx.chatJid))
+    },
+    history: {
+        role: 'moderator',
+        args: [{ name: 'user', type: 'user' }],
+        run: (ctx, { user }) => ctx.bot.adminManager.history(ctx.bot.groupManager.walletFor(user, ctx.group, ctx.chatJid))
+    },
+    grant: {
+        role: 'admin',
+        args: [
+            { name: 'user', type: 'user' },
+            { name: 'amount', type: 'integer', min: 1 },
+            { name: 'reason', type: 'string', rest: true, maxLength: 200 }
+        ],
+        run: (ctx, { user, amount, reason }) => ctx.bot.adminManager.grant(
+            ctx.bot.groupManager.walletFor(user, ctx.group, ctx.chatJid), amount, reason, ctx.senderNumber)
+    },
+    deduct: {
+        role: 'admin',
+        args: [
+            { name: 'user', type: 'user' },
+            { name: 'amount', type: 'integer', min: 1 },
+            { name: 'reason', type: 'string', rest: true, maxLength: 200 }
+        ],
+        run: (ctx, { user, amount, reason }) => ctx.bot.adminManager.deduct(
+            ctx.bot.groupManager.walletFor(user, ctx.group, ctx.chatJid), amount, reason, ctx.senderNumber)
+    },
+    ban: {
+        role: 'moderator',
+        args: [
+            { name: 'user', type: 'user' },
+            { name: 'reason', type: 'string', optional: true, rest: true, maxLength: 200 }
+        ],
+        run: (ctx, { user, reason }) => ctx.bot.adminManager.ban(user, reason || null, ctx.senderNumber, ctx.role)
+    },
+    unban: {
+        role: 'moderator',
+        args: [{ name: 'user', type: 'user' }],
+        run: (ctx, { user }) => ctx.bot.adminManager.unban(user, ctx.senderNumber, ctx.role)
+    },
+    codes: {
+        role: 'admin',
+        args: [
+            { name: 'action', type: 'choice', choices: ['list', 'deactivate'], optional: true, default: 'list' },
+            { name: 'code', type: 'string', optional: true, maxLength: 50, pattern: CODE_PATTERN }
+        ],
+        run: (ctx, { action, code }) => {
+            if (action === 'list') {
+                return ctx.bot.adminManager.listCodes();
+            }
+            if (!code) {
+                return { success: false, message: `❌ Usage: ${ctx.prefix}admin codes deactivate <code>` };
+            }
+            return ctx.bot.adminManager.deactivateCode(code);
+        }
+    },
+    broadcast: {
+        role: 'owner',
+        args: [{ name: 'message', type: 'string', rest: true, maxLength: 1000 }],
+        run: (ctx, { message }) => ctx.bot.adminManager.broadcast(message, (phone, text) => ctx.bot.notifyUser(phone, text), {
+            cancelled: () => ctx.bot.state === 'stopping' || ctx.bot.state === 'stopped'
+        })
+    }
+};
+
+// Argument shapes of .createcode <code> ... and .createcode --batch <count> ...
+const CODE_ARGS = [
+    { name: 'coins', type: 'integer', min: 1, label: 'coin amount' },
+    { name: 'hours', type: 'integer', min: 1, label: 'expiration hours' },
+    { name: 'options', type: 'string', optional: true, rest: true, placeholder: 'max=N users=... groups=here minage=hours' }
+];
+const CREATE_CODE = { name: 'createcode', args: [{ name: 'code', type: 'string', maxLength: 50, pattern: CODE_PATTERN }, ...CODE_ARGS] };
+const CREATE_BATCH = { name: 'createcode --batch', args: [{ name: 'count', type: 'integer', min: 1 }, ...CODE_ARGS] };
+
+module.exports = [
+    {
+        name: 'roulette',
+        args: [
+            { name: 'amount', type: 'integer', min: 1, label: 'bet amount' },
+            { name: 'bet', type: 'string' },
+            { name: 'more', type: 'string', optional: true, rest: true, placeholder: 'amount bet ...' }
+        ],
+        rateLimit: 'roulette',
+        game: 'roulette',
+        category: 'Games',
+        emoji: '🎰',
+        description: 'Play roulette, several bets per spin e.g. 10 red 5 17 5 2nd12',
+        rules: 'Roulette: European wheel 0-36. Number 35:1, split (17-18) 17:1, ' +
+               'dozen (1st12) / column (col1) 2:1, red/black, odd/even, high/low 1:1',
+        handler: async (ctx) => {
+            const { amount, bet, more } = ctx.args;
+            const words = [String(amount), bet, ...(more ? more.split(/\s+/) : [])];
+            const parsed = roulette.parseBets(words, config.games.roulette.maxBetsPerSpin);
+            if (!parsed.valid) {
+                await ctx.reply(`❌ ${parsed.error}`);
+                return;
+            }
+
+            const limits = ctx.bot.groupManager.betLimits(ctx.group, config.games.roulette);
+            const result = await ctx.bot.gameManager.playRoulette(ctx.wallet, parsed.bets, limits);
+            await ctx.reply(result);
+        }
+    },
+    {
+        name: 'guess',
+        args: [
+            {
+                name: 'number',
+                type: 'integer',
+                get min() { return config.games.guess.minNumber; },
+                get max() { return config.games.guess.maxNumber; }
+            }
+        ],
+        rateLimit: 'guess',
+        game: 'guess',
+        category: 'Games',
+        emoji: '🎯',
+        get description() {
+            return `Guess a number (${config.games.guess.minNumber}-${config.games.guess.maxNumber})`;
+        },
+        get rules() {
+            const { winReward, lossPenalty } = config.games.guess;
+            return `Guess Game: Win ${winReward} coins if correct, lose ${lossPenalty} coins if wrong`;
+        },
+        handler: async (ctx) => {
+            const result = await ctx.bot.gameManager.playGuessGame(ctx.wallet, ctx.args.number);
+            await ctx.reply(result);
+        }
+    },
+    {
+        name: 'slots',
+        aliases: ['slot'],
+        args: [
+            { name: 'amount', type: 'integer', min: 1, label: 'bet amount' }
+        ],
+        rateLimit: 'slots',
+        game: 'slots',
+        category: 'Games',
+        emoji: '🎰',
+        description: 'Spin the slot machine',
+        get rules() {
+            const top = config.games.slots.paytable[0];
+            return `Slots: Match symbols on the middle row, ${top.symbols.join('')} pays ${top.payout}x`;
+        },
+        handler: async (ctx) => {
+            const limits = ctx.bot.groupManager.betLimits(ctx.group, config.games.slots);
+            const result = await ctx.bot.gameManager.playSlots(ctx.wallet, ctx.args.amount, limits);
+            await ctx.reply(result);
+        }
+    },
+    {
+        name: 'blackjack',
+        aliases: ['bj'],
+        args: [
+            { name: 'amount', type: 'integer', min: 1, label: 'bet amount' }
+        ],
+        rateLimit: 'blackjack',
+        game: 'blackjack',
+        category: 'Games',
+        emoji: '🃏',
+        description: 'Play blackjack against the dealer',
+        rules: 'Blackjack: Blackjack pays 3:2, wins 1:1, dealer stands on 17. Then hit, stand, double or split',
+        handler: async (ctx) => {
+            const limits = ctx.bot.groupManager.betLimits(ctx.group, config.games.blackjack);
+            const result = await ctx.bot.gameManager.startBlackjack(ctx.wallet, ctx.args.amount, limits, ctx.chatJid, ctx.prefix);
+            await ctx.reply(result);
+        }
+    },
+    {
+        name: 'hit',
+        rateLimit: 'blackjack',
+        game: 'blackjack',
+        category: 'Games',
+        hidden: true,
+        description: 'Take another card',
+        handler: async (ctx) => {
+            const result = await ctx.bot.gameManager.blackjackAction(ctx.wallet, 'hit', ctx.prefix);
+            await ctx.reply(result);
+        }
+    },
+    {
+        name: 'stand',
+        rateLimit: 'blackjack',
+        game: 'blackjack',
+        category: 'Games',
+        hidden: true,
+        description: 'Keep your hand',
+        handler: async (ctx) => {
+            const result = await ctx.bot.gameManager.blackjackAction(ctx.wallet, 'stand', ctx.prefix);
+            await ctx.reply(result);
+        }
+    },
+    {
+        name: 'double',
+        rateLimit: 'blackjack',
+        game: 'blackjack',
+        category: 'Games',
+        hidden: true,
+        description: 'Double your bet and take one card',
+        handler: async (ctx) => {
+            const result = await ctx.bot.gameManager.blackjackAction(ctx.wallet, 'double', ctx.prefix);
+            await ctx.reply(result);
+        }
+    },
+    {
+        name: 'split',
+        rateLimit: 'blackjack',
+        game: 'blackjack',
+        category: 'Games',
+        hidden: true,
+        description: 'Split a pair into two hands',
+        handler: async (ctx) => {
+            const result = await ctx.bot.gameManager.blackjackAction(ctx.wallet, 'split', ctx.prefix);
+            await ctx.reply(result);
+        }
+    },
+    {
+        name: 'duel',
+        args: [
+            { name: 'user', type: 'user', label: 'opponent' },
+            { name: 'amount', type: 'integer', min: 1, label: 'bet amount' }
+        ],
+        groupOnly: true,
+        rateLimit: 'duel',
+        game: 'duel',
+        category: 'Games',
+        emoji: '⚔️',
+        description: 'Challenge someone to a dice duel',
+        rules: 'Duel: Both players roll two dice, the higher total takes the pot (minus house rake). Ties reroll',
+        handler: async (ctx) => {
+            const opponent = ctx.bot.groupManager.walletFor(ctx.args.user, ctx.group, ctx.chatJid);
+            const limits = ctx.bot.groupManager.betLimits(ctx.group, config.games.duel);
+            const result = await ctx.bot.lobbyManager.challenge(ctx.chatJid, ctx.wallet, opponent, ctx.args.amount, limits, ctx.prefix);
+            await ctx.reply(result.message);
+        }
+    },
+    {
+        name: 'accept',
+        groupOnly: true,
+        rateLimit: 'duel',
+        game: 'duel',
+        category: 'Games',
+        hidden: true,
+        description: 'Accept a duel challenge',
+        handler: async (ctx) => {
+            const result = await ctx.bot.lobbyManager.acceptDuel(ctx.chatJid, ctx.wallet);
+            await ctx.reply(result.message);
+        }
+    },
+    {
+        name: 'decline',
+        groupOnly: true,
+        rateLimit: 'duel',
+        game: 'duel',
+        category: 'Games',
+        hidden: true,
+        description: 'Decline a duel challenge',
+        handler: async (ctx) => {
+            const result = await ctx.bot.lobbyManager.declineDuel(ctx.chatJid, ctx.wallet);
+            await ctx.reply(result.message);
+        }
+    },
+    {
+        name: 'lottery',
+        aliases: ['lotto'],
+        args: [
+            { name: 'action', type: 'choice', choices: ['status', 'buy'], optional: true, default: 'status' },
+            { name: 'count', type: 'integer', min: 1, optional: true, default: 1 }
+        ],
+        groupOnly: true,
+        rateLimit: 'lottery',
+        game: 'lottery',
+        category: 'Games',
+        emoji: '🎟️',
+        description: 'Join the group lottery pot',
+        rules: 'Lottery: Every ticket is one chance to win the whole pot (minus house rake) at the draw',
+        handler: async (ctx) => {
+            const result = ctx.args.action === 'buy'
+                ? await ctx.bot.lobbyManager.buyTickets(ctx.chatJid, ctx.wallet, ctx.args.count)
+                : await ctx.bot.lobbyManager.lotteryStatus(ctx.chatJid, ctx.wallet, ctx.prefix);
+            await ctx.reply(result.message);
+        }
+    },
+    {
+        name: 'balance',
+        aliases: ['bal'],
+        category: 'Wallet',
+        emoji: '💰',
+        description: 'Check your coin balance',
+        handler: async (ctx) => {
+            const balance = await ctx.bot.coinManager.getBalance(ctx.wallet);
+            await ctx.reply(`💰 Your balance: ${balance} coins`);
+        }
+    },
+    {
+        name: 'daily',
+        rateLimit: 'rewards',
+        category: 'Wallet',
+        emoji: '📅',
+        description: 'Claim your daily reward (streaks pay more)',
+        handler: async (ctx) => {
+            const result = await ctx.bot.rewardManager.claimDaily(ctx.wallet);
+            await ctx.reply(result.message);
+        }
+    },
+    {
+        name: 'faucet',
+        rateLimit: 'rewards',
+        category: 'Wallet',
+        emoji: '🚰',
+        description: 'Free coins when you are broke',
+        handler: async (ctx) => {
+            const result = await ctx.bot.rewardManager.claimFaucet(ctx.wallet);
+            await ctx.reply(result.message);
+        }
+    },
+    {
+        name: 'claim',
+        args: [
+            { name: 'code', type: 'string', maxLength: 50, pattern: CODE_PATTERN }
+        ],
+        rateLimit: 'redeem',
+        category: 'Wallet',
+        emoji: '🎁',
+        description: 'Redeem a code for coins',
+        handler: async (ctx) => {
+            const result = await ctx.bot.redeemManager.redeemCode(ctx.wallet, ctx.args.code, {
+                phoneNumber: ctx.senderNumber,
+                chatJid: ctx.chatJid
+            });
+            await ctx.reply(result);
+
+            // Guessing at codes earns strike points
+            if (result.reason === 'Invalid code') {
+                await ctx.bot.reportAbuse(ctx.senderNumber, 'failedClaim', ctx.chatJid);
+            }
+        }
+    },
+    {
+        name: 'pay',
+        aliases: ['give'],
+        args: [
+            { name: 'user', type: 'user', label: 'recipient' },
+            { name: 'amount', type: 'integer', min: 1 }
+        ],
+        rateLimit: 'transfer',
+        category: 'Wallet',
+        emoji: '💸',
+        description: 'Send coins to another user',
+        handler: async (ctx) => {
+            const recipient = ctx.bot.groupManager.walletFor(ctx.args.user, ctx.group, ctx.chatJid);
+            const result = await ctx.bot.transferManager.requestTransfer(ctx.wallet, recipient, ctx.args.amount, ctx.prefix);
+            await ctx.reply(result.message);
+            if (result.notify) {
+                await ctx.bot.notifyUser(result.notify.phoneNumber, result.notify.message);
+            }
+        }
+    },
+    {
+        name: 'confirm',
+        category: 'Wallet',
+        emoji: '✅',
+        description: 'Confirm a pending transfer',
+        handler: async (ctx) => {
+            const result = await ctx.bot.transferManager.confirmTransfer(ctx.wallet);
+            await ctx.reply(result.message);
+            if (result.notify) {
+                await ctx.bot.notifyUser(result.notify.phoneNumber, result.notify.message);
+            }
+        }
+    },
+    {
+        name: 'cancel',
+        category: 'Wallet',
+        emoji: '✖️',
+        description: 'Cancel a pending transfer',
+        handler: async (ctx) => {
+            const result = await ctx.bot.transferManager.cancelTransfer(ctx.wallet);
+            await ctx.reply(result.message);
+        }
+    },
+    {
+        name: 'top',
+        aliases: ['leaderboard'],
+        args: [
+            { name: 'board', type: 'choice', choices: ['rich', 'winners', 'games'], optional: true, default: 'rich' },
+            { name: 'window', type: 'choice', choices: ['daily', 'weekly', 'all'], optional: true }
+        ],
+        category: 'Stats',
+        emoji: '🏆',
+        description: 'Leaderboards',
+        handler: async (ctx) => {
+            const suffix = ctx.bot.groupManager.walletSuffix(ctx.group, ctx.chatJid);
+            const result = await ctx.bot.statsManager.getLeaderboard(ctx.args.board, ctx.args.window, suffix);
+            await ctx.reply(result.message);
+        }
+    },
+    {
+        name: 'stats',
+        args: [
+            { name: 'window', type: 'choice', choices: ['daily', 'weekly', 'all'], optional: true, default: 'all' }
+        ],
+        category: 'Stats',
+        emoji: '📊',
+        description: 'Your win rate, profit and streaks',
+        handler: async (ctx) => {
+            const result = await ctx.bot.statsManager.getPlayerStats(ctx.wallet, ctx.args.window);
+            await ctx.reply(result.message);
+        }
+    },
+    {
+        name: 'seed',
+        args: [
+            { name: 'clientSeed', type: 'string', optional: true, maxLength: 32, placeholder: 'client seed' }
+        ],
+        category: 'Provably Fair',
+        emoji: '🔐',
+        description: 'Show your seeds, or set a new client seed',
+        handler: async (ctx) => {
+            const fairness = ctx.bot.gameManager.fairness;
+            const result = ctx.args.clientSeed
+                ? await fairness.setClientSeed(ctx.wallet, ctx.args.clientSeed)
+                : await fairness.getSeedInfo(ctx.wallet, ctx.prefix);
+            await ctx.reply(result.message);
+        }
+    },
+    {
+        name: 'verify',
+        args: [
+            { name: 'gameId', type: 'integer', min: 1, label: 'game id', placeholder: 'game id' }
+        ],
+        category: 'Provably Fair',
+        emoji: '🔍',
+        description: 'Recompute a past game from its revealed seed',
+        handler: async (ctx) => {
+            const result = await ctx.bot.gameManager.fairness.verifyGame(ctx.args.gameId, ctx.prefix);
+            await ctx.reply(result.message);
+        }
+    },
+    {
+        name: 'help',
+        category: 'General',
+        emoji: '❓',
+        description: 'Show this help message',
+        handler: async (ctx) => {
+            const available = command => !command.game || ctx.bot.groupManager.isGameEnabled(ctx.group, command.game);
+            await ctx.reply({
+                text: ctx.bot.commands.helpText(ctx.role, ctx.prefix, available),
+                list: ctx.bot.commands.helpMenu(ctx.role, ctx.prefix, available)
+            });
+        }
+    },
+    {
+        name: 'group',
+        args: [
+            { name: 'setting', type: 'choice', choices: ['show', 'prefix', 'enable', 'disable', 'limits', 'economy'], optional: true, default: 'show' },
+            { name: 'value', type: 'string', optional: true, rest: true }
+        ],
+        groupOnly: true,
+        category: 'General',
+        emoji: '⚙️',
+        description: 'Show or change group settings (group admins)',
+        handler: async (ctx) => {
+            const { setting, value } = ctx.args;
+            if (setting !== 'show' && !ctx.isAdmin && !(await ctx.bot.isGroupAdmin(ctx.chatJid, ctx.senderJid))) {
+                await ctx.reply('❌ Only group admins can change group settings.');
+                return;
+            }
+
+            const result = await ctx.bot.groupManager.changeSetting(ctx.chatJid, setting, value, ctx.bot.commands.games());
+            await ctx.reply(result.message);
+        }
+    },
+    {
+        name: 'admin',
+        args: [
+            { name: 'action', type: 'choice', choices: Object.keys(ADMIN_ACTIONS) },
+            { name: 'params', type: 'string', optional: true, rest: true, placeholder: '...' }
+        ],
+        role: 'moderator',
+        emoji: '🛡️',
+        description: 'Staff console: balance, history, grant, deduct, ban, unban, codes, broadcast',
+        handler: async (ctx) => {
+            const { action, params } = ctx.args;
+            const sub = ADMIN_ACTIONS[action];
+            if (!roles.hasRole(ctx.role, sub.role)) {
+                await ctx.bot.adminManager.audit(ctx.senderNumber, ctx.role, `admin ${action}`, null, { denied: true });
+                await ctx.reply(`❌ ${ctx.prefix}admin ${action} needs the ${sub.role} role.`);
+                return;
+            }
+
+            const parsed = ctx.bot.commands.parseArgs(
+                { name: `admin ${action}`, args: sub.args },
+                params || '',
+                ctx.prefix
+            );
+            if (!parsed.valid) {
+                await ctx.reply(parsed.error);
+                return;
+            }
+
+            const result = await sub.run(ctx, parsed.args);
+            await ctx.bot.adminManager.audit(ctx.senderNumber, ctx.role, `admin ${action}`,
+                parsed.args.user || parsed.args.code || null, { ...parsed.args, success: result.success });
+            await ctx.reply(result.message);
+        }
+    },
+    {
+        name: 'createcode',
+        args: [{ ...CREATE_CODE.args[0], placeholder: 'code|--batch count' }, ...CODE_ARGS],
+        role: 'admin',
+        emoji: '🔧',
+        description: 'Create a redeem code, or --batch random single-use codes',
+        handler: async (ctx) => {
+            // Both forms fit the general shape; re-parse with the specific one
+            const { code, coins, hours, options } = ctx.args;
+            const words = [code, coins, hours, ...(options ? options.split(/\s+/) : [])].map(String);
+            const batch = words[0] === '--batch';
+            const parsed = ctx.bot.commands.parseArgs(batch ? CREATE_BATCH : CREATE_CODE, batch ? words.slice(1) : words, ctx.prefix);
+            if (!parsed.valid) {
+                await ctx.reply(parsed.error);
+                return;
+            }
+
+            const args = parsed.args;
+            const restrictions = ctx.bot.redeemManager.parseCodeOptions(
+                args.options ? args.options.split(/\s+/) : [], ctx.chatJid);
+            if (!restrictions.valid) {
+                await ctx.reply(`❌ ${restrictions.error}`);
+                return;
+            }
+
+            const result = batch
+                ? await ctx.bot.redeemManager.createBatch(args.count, args.coins, args.hours, ctx.senderNumber, restrictions.options)
+                : await ctx.bot.redeemManager.createCode(args.code, args.coins, args.hours, ctx.senderNumber, restrictions.options);
+            await ctx.bot.adminManager.audit(ctx.senderNumber, ctx.role, 'createcode', batch ? `batch of ${args.count}` : args.code, {
+                coins: args.coins,
+                hours: args.hours,
+                ...restrictions.options,
+                codes: result.codes,
+                success: result.success
+            });
+            await ctx.reply(result.message);
+        }
+    },
+    {
+        name: 'reload',
+        role: 'owner',
+        emoji: '🔄',
+        description: 'Reload config.js and environment overrides',
+        handler: async (ctx) => {
+            const result = ctx.bot.reloadConfig();
+            await ctx.bot.adminManager.audit(ctx.senderNumber, ctx.role, 'reload', null, { success: result.success });
+            await ctx.reply(result.success
+                ? '🔄 Configuration reloaded'
+                : `❌ Configuration not reloaded, keeping the current settings:\n\n${result.errors.join('\n')}`);
+        }
+    }
+];
\ No newline at end of file
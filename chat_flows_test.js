@@ -0,0 +1,142 @@
+// test/chatFlows.test.js - End-to-end chats with the bot over an in-memory transport
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const WhatsAppBot = require('../bot');
+const MemoryTransport = require('../src/transports/memoryTransport');
+
+config.database.storage = 'memory';
+config.metrics.enabled = false;
+config.logging.level = 'silent';
+
+const OWNER = '6280000000000';
+const ALICE = '6281111111111';
+const BOB = '6282222222222';
+const GROUP = '120363000000000001@g.us';
+
+config.roles = { owner: [OWNER], admin: [], moderator: [] };
+
+// A started bot on a fresh in-memory database, stopped when the test ends
+async function startBot(t) {
+    const transport = new MemoryTransport();
+    const bot = new WhatsAppBot({ transport });
+    await bot.start();
+    t.after(() => bot.stop());
+
+    // Send `text` as `phone`; resolves to the texts of the replies
+    const say = async (phone, text, options) => (await transport.receive(phone, text, options)).map(reply => reply.text);
+    const balance = async (phone, options) => {
+        const [reply] = await say(phone, '.balance', options);
+        return Number(reply.match(/^💰 Your balance: (\d+) coins$/)[1]);
+    };
+    return { bot, transport, say, balance };
+}
+
+test('.balance starts new players on the starting balance', async (t) => {
+    const { say } = await startBot(t);
+    assert.deepEqual(await say(ALICE, '.balance'), [`💰 Your balance: ${config.startingBalance} coins`]);
+});
+
+test('.roulette settles the spin against the balance', async (t) => {
+    const { transport, balance } = await startBot(t);
+
+    const [spin] = await transport.receive(ALICE, '.roulette 100 red');
+    const [, number, color] = spin.text.match(/Result: \S+ (\d+) (red|black|green)/);
+    const won = color === 'red';
+    const expected = won ? 1100 : 900;
+
+    assert.match(spin.text, won ? /✅ 100 on red → won 200/ : /❌ 100 on red/);
+    assert.match(spin.text, new RegExp(`💰 New balance: ${expected} coins`));
+    assert.equal(spin.reply.react, won ? '🎉' : '💸');
+    assert.equal(spin.reply.image.mimetype, 'image/png');
+    assert.ok(Number(number) >= 0 && Number(number) <= 36);
+    assert.equal(await balance(ALICE), expected);
+});
+
+test('.pay above the confirmation threshold waits for .confirm', async (t) => {
+    const { transport, say, balance } = await startBot(t);
+    await balance(BOB);
+    const amount = config.transfers.confirmThreshold + 100;
+
+    const [request] = await say(ALICE, `.pay @${BOB} ${amount}`, { mentions: [BOB] });
+    assert.match(request, new RegExp(`^⚠️ You are about to send ${amount} coins to 6282\\*{4}2222\\.`));
+    assert.match(request, /Type \*\.confirm\* within/);
+    assert.equal(await balance(ALICE), 1000);
+    assert.equal(await balance(BOB), 1000);
+
+    // The sender's receipt masks the recipient's number, the recipient's
+    // direct message names the sender
+    const replies = await transport.receive(ALICE, '.confirm');
+    assert.deepEqual(replies.map(reply => [reply.jid, reply.text]), [
+        [`${ALICE}@s.whatsapp.net`, `💸 Sent ${amount} coins to 6282****2222\n\n💰 New balance: ${1000 - amount} coins`],
+        [`${BOB}@s.whatsapp.net`, `🎁 You received ${amount} coins from ${ALICE}\n\n💰 New balance: ${1000 + amount} coins`]
+    ]);
+    assert.equal(await balance(ALICE), 1000 - amount);
+    assert.equal(await balance(BOB), 1000 + amount);
+
+    assert.deepEqual(await say(ALICE, '.confirm'), ['❌ You have no pending transfer to confirm']);
+});
+
+test('.claim credits a code once per player and up to its cap', async (t) => {
+    const { say, balance } = await startBot(t);
+
+    const [created] = await say(OWNER, '.createcode WELCOME 250 24 max=1');
+    assert.match(created, /✅ Redeem code created successfully!/);
+
+    const [claimed] = await say(ALICE, '.claim WELCOME');
+    assert.match(claimed, /\+250 coins/);
+    assert.match(claimed, /💰 New balance: 1250 coins/);
+    assert.equal(await balance(ALICE), 1250);
+
+    assert.deepEqual(await say(BOB, '.claim WELCOME'), ['❌ This code has been fully redeemed']);
+    assert.equal(await balance(BOB), 1000);
+});
+
+test('a group with an isolated economy keeps its own wallets', async (t) => {
+    const { transport, say, balance } = await startBot(t);
+    const inGroup = { group: GROUP };
+
+    // Coins earned outside the group don't come along
+    await say(OWNER, '.createcode BONUS 500 24');
+    await say(ALICE, '.claim BONUS');
+    assert.equal(await balance(ALICE), 1500);
+
+    assert.deepEqual(await say(ALICE, '.group economy isolated', inGroup), ['❌ Only group admins can change group settings.']);
+    transport.setGroupAdmin(GROUP, ALICE);
+    const [updated] = await say(ALICE, '.group economy isolated', inGroup);
+    assert.match(updated, /Economy: isolated/);
+
+    assert.equal(await balance(ALICE, inGroup), 1000);
+    assert.equal(await balance(BOB, inGroup), 1000);
+
+    await say(ALICE, `.pay @${BOB} 100`, { ...inGroup, mentions: [BOB] });
+    assert.equal(await balance(ALICE, inGroup), 900);
+    assert.equal(await balance(BOB, inGroup), 1100);
+
+    // Private chats still use the shared wallets
+    assert.equal(await balance(ALICE), 1500);
+    assert.equal(await balance(BOB), 1000);
+});
+
+test('.seed keeps the server seed hidden while a blackjack hand is open', async (t) => {
+    const { transport, say } = await startBot(t);
+    const [info] = await say(ALICE, '.seed');
+    const hash = info.match(/Server seed hash: (\w+)/)[1];
+
+    // A natural settles at once; deal until a hand stays open
+    let hand;
+    for (let i = 0; i < 20 && !(hand && hand.reply.buttons); i++) {
+        [hand] = await transport.receive(ALICE, '.blackjack 10');
+    }
+    assert.ok(hand.reply.buttons, 'no open hand dealt');
+
+    const [refused] = await say(ALICE, '.seed mine');
+    assert.equal(refused, '❌ Finish your blackjack hand first, its cards come from your current seed');
+    const [unchanged] = await say(ALICE, '.seed');
+    assert.match(unchanged, new RegExp(`Server seed hash: ${hash}`));
+    assert.doesNotMatch(unchanged, /Client seed: mine/);
+
+    await say(ALICE, '.stand');
+    const [rotated] = await say(ALICE, '.seed mine');
+    assert.match(rotated, new RegExp(`Previous hash: ${hash}`));
+});
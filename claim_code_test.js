@@ -0,0 +1,47 @@
+// test/claimCode.test.js - Concurrent redeem code claims never exceed the code's cap
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('../src/database/database');
+const MemoryStorage = require('../src/database/memoryStorage');
+const SqliteStorage = require('../src/database/sqliteStorage');
+const { createLogger } = require('../src/logging/logger');
+
+const logger = createLogger({ level: 'silent' });
+
+const BACKENDS = {
+    memory: () => new MemoryStorage(),
+    sqlite: directory => new SqliteStorage(path.join(directory, 'bot.db'), { logger })
+};
+
+for (const [name, createStorage] of Object.entries(BACKENDS)) {
+    test(`${name}: parallel claims on a capped code stop at the cap`, async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'claim-'));
+        const db = new Database(createStorage(directory), { logger });
+        await db.init();
+
+        try {
+            const max = 3;
+            const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+            await db.createRedeemCode('RACE', 100, expiresAt, 'admin', { maxRedemptions: max });
+
+            const players = Array.from({ length: 12 }, (_, i) => `62811000000${String(i).padStart(2, '0')}`);
+            const claims = await Promise.allSettled(players.map(phone => db.claimCode(phone, 'RACE')));
+
+            const granted = claims.filter(claim => claim.status === 'fulfilled');
+            const refused = claims.filter(claim => claim.status === 'rejected');
+            assert.equal(granted.length, max);
+            assert.ok(refused.every(claim => claim.reason.message === 'Code fully redeemed'));
+            assert.deepEqual(granted.map(claim => claim.value.remaining).sort(), [0, 1, 2]);
+
+            const balances = await Promise.all(players.map(async phone => (await db.getUser(phone)).coins));
+            assert.equal(balances.filter(coins => coins === 1100).length, max);
+            assert.equal(balances.filter(coins => coins === 1000).length, players.length - max);
+        } finally {
+            await db.close();
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+}
@@ -1,7 +1,11 @@
 // src/managers/coinManager.js
+const { defaultLogger } = require('../logging/logger');
+
 class CoinManager {
-    constructor(database) {
+    // options.logger is the bot's logger
+    constructor(database, options = {}) {
         this.db = database;
+        this.logger = options.logger || defaultLogger();
     }
 
     async getBalance(phoneNumber) {
@@ -9,47 +13,85 @@ class CoinManager {
             const user = await this.db.getUser(phoneNumber);
             return user.coins;
         } catch (error) {
-            console.error('Error getting balance:', error);
+            this.logger.error({ err: error }, 'Error getting balance');
             return 0;
         }
     }
 
-    async updateBalance(phoneNumber, newBalance) {
+    async addCoins(phoneNumber, amount, reason = CoinManager.REASONS.ADMIN_GRANT, details = null) {
         try {
-            await this.db.updateUserCoins(phoneNumber, newBalance);
-            return true;
+            return await this.db.changeUserCoins(phoneNumber, amount, reason, details);
         } catch (error) {
-            console.error('Error updating balance:', error);
+            this.logger.error({ err: error }, 'Error adding coins');
             return false;
         }
     }
 
-    async addCoins(phoneNumber, amount) {
+    async subtractCoins(phoneNumber, amount, reason = CoinManager.REASONS.ADMIN_GRANT, details = null) {
         try {
-            const currentBalance = await this.getBalance(phoneNumber);
-            const newBalance = currentBalance + amount;
-            await this.updateBalance(phoneNumber, newBalance);
-            return newBalance;
+            return await this.db.changeUserCoins(phoneNumber, -amount, reason, details);
         } catch (error) {
-            console.error('Error adding coins:', error);
+            if (error.message !== 'Insufficient balance') {
+                this.logger.error({ err: error }, 'Error subtracting coins');
+            }
             return false;
         }
     }
 
-    async subtractCoins(phoneNumber, amount) {
+    // Stake and payout are applied together; returns null if the stake can't be covered
+    async settleGame(phoneNumber, gameType, betAmount, winAmount, gameData) {
         try {
-            const currentBalance = await this.getBalance(phoneNumber);
-            if (currentBalance < amount) {
-                throw new Error('Insufficient balance');
-            }
-            const newBalance = currentBalance - amount;
-            await this.updateBalance(phoneNumber, newBalance);
-            return newBalance;
+            return await this.db.settleGame(phoneNumber, gameType, betAmount, winAmount, gameData);
         } catch (error) {
-            console.error('Error subtracting coins:', error);
-            return false;
+            if (error.message === 'Insufficient balance') {
+                return null;
+            }
+            throw error;
         }
     }
+
+    // Throws 'Insufficient balance' or 'Daily transfer limit reached'
+    async transfer(fromPhone, toPhone, amount, dailyLimit = null) {
+        return this.db.transferCoins(fromPhone, toPhone, amount, dailyLimit);
+    }
+
+    async getTransferredToday(phoneNumber) {
+        return this.db.getTransferredToday(null, phoneNumber);
+    }
+
+    async getTransactions(phoneNumber, limit = 20) {
+        return this.db.getCoinTransactions(phoneNumber, limit);
+    }
+
+    // Split a player-vs-player pot into the winner's payout and the house rake
+    splitPot(pot, rakeRate) {
+        const rake = Math.floor(pot * rakeRate);
+        return { payout: pot - rake, rake };
+    }
+
+    // Compare every balance with its ledger sum, logging any drift
+    async reconcileBalances() {
+        const mismatches = await this.db.findLedgerMismatches();
+        for (const row of mismatches) {
+            this.logger.warn({ wallet: row.phone_number, balance: row.coins, ledger: row.ledger_total }, 'Ledger mismatch');
+        }
+        return mismatches;
+    }
 }
 
+// Ledger reasons recorded in coin_transactions
+CoinManager.REASONS = Object.freeze({
+    SIGNUP: 'signup',
+    GAME: 'game',
+    REDEEM: 'redeem',
+    ADMIN_GRANT: 'admin_grant',
+    ADMIN_DEDUCT: 'admin_deduct',
+    TRANSFER: 'transfer',
+    ESCROW: 'escrow',
+    REFUND: 'refund',
+    RAKE: 'rake',
+    DAILY: 'daily',
+    FAUCET: 'faucet'
+});
+
 module.exports = CoinManager;
\ No newline at end of file
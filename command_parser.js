@@ -0,0 +1,79 @@
+// src/commands/commandParser.js - Splitting command text into words
+/*
+ * Words are separated by whitespace. A double or single quote at the start of
+ * a word groups everything up to the matching quote into one word ("spam in
+ * the lobby"); quotes inside a word (don't) are plain text. A backslash takes
+ * the next character literally (\" or \\). Each token keeps its `raw` source
+ * text so a trailing free-text argument can be put back together as typed.
+ * Phone keyboards often turn quotes into smart quotes (“ ” ‘ ’), so those
+ * are read as the plain ones.
+ */
+
+// Longer commands are refused rather than parsed
+const MAX_LENGTH = 1000;
+
+const SMART_QUOTES = { '\u201c': '"', '\u201d': '"', '\u2018': "'", '\u2019': "'" };
+
+function normalizeQuotes(text) {
+    return text.replace(/[\u201c\u201d\u2018\u2019]/g, char => SMART_QUOTES[char]);
+}
+
+// Whether `text` is a command: the prefix directly followed by a letter, so
+// chat such as "..." or ". ok" is left alone
+function isCommand(text, prefix) {
+    return typeof text === 'string' &&
+        text.startsWith(prefix) &&
+        /^[a-z]/i.test(text.slice(prefix.length));
+}
+
+// { valid: true, tokens: [{ value, raw }] } or { valid: false, error }
+function tokenize(input) {
+    const text = normalizeQuotes(input);
+    if (text.length > MAX_LENGTH) {
+        return { valid: false, error: `Commands are limited to ${MAX_LENGTH} characters` };
+    }
+
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        if (/\s/.test(text[i])) {
+            i++;
+            continue;
+        }
+
+        const start = i;
+        let value = '';
+        let quote = null;
+
+        while (i < text.length && (quote || !/\s/.test(text[i]))) {
+            const char = text[i];
+            if (char === '\\' && i + 1 < text.length) {
+                value += text[i + 1];
+                i += 2;
+                continue;
+            }
+            if (quote && char === quote) {
+                quote = null;
+            } else if (i === start && (char === '"' || char === "'")) {
+                quote = char;
+            } else {
+                value += char;
+            }
+            i++;
+        }
+
+        if (quote) {
+            return { valid: false, error: 'Missing closing quote' };
+        }
+        tokens.push({ value, raw: text.slice(start, i) });
+    }
+
+    return { valid: true, tokens };
+}
+
+module.exports = {
+    MAX_LENGTH,
+    isCommand,
+    tokenize
+};
@@ -0,0 +1,299 @@
+// src/commands/commandRegistry.js - Command metadata, lookup, argument validation and help
+const fs = require('fs');
+const path = require('path');
+const roles = require('../security/roles');
+const { tokenize } = require('./commandParser');
+const { defaultLogger } = require('../logging/logger');
+
+/*
+ * A command definition looks like:
+ *
+ * {
+ *     name: 'roulette',                 // invoked as .roulette
+ *     aliases: ['rl'],
+ *     args: [
+ *         { name: 'amount', type: 'integer', min: 1, label: 'bet amount' },
+ *         { name: 'choice', type: 'choice', choices: ['red', 'black'] }
+ *     ],
+ *     role: null,                       // 'moderator', 'admin' or 'owner' to restrict it
+ *     rateLimit: 'roulette',            // bucket name in config.rateLimits
+ *     game: 'roulette',                 // lets groups enable/disable it
+ *     groupOnly: false,
+ *     hidden: false,                    // left out of .help
+ *     category: 'Games',
+ *     emoji: '🎰',
+ *     description: 'Play roulette',
+ *     rules: 'Roulette: Win 2x your bet, lose your bet',
+ *     handler: async (ctx) => { await ctx.reply('...'); }
+ * }
+ *
+ * Argument types are 'integer', 'choice', 'string' and 'user' (an @mention or
+ * phone number, parsed to the bare number). Strings may set `maxLength` and a
+ * `pattern` they must match. An argument may be `optional`, and the last one
+ * may set `rest` to swallow the remaining words as typed. Quoted words count
+ * as one (see commandParser.js). `placeholder` replaces the argument name in
+ * usage text.
+ *
+ * `adminOnly: true` from older command modules is read as `role: 'admin'`.
+ */
+class CommandRegistry {
+    // options.logger reports command modules that fail to load
+    constructor(prefix = '.', options = {}) {
+        this.prefix = prefix;
+        this.logger = options.logger || defaultLogger();
+        this.commands = new Map();
+        this.aliases = new Map();
+    }
+
+    register(definition) {
+        if (!definition || typeof definition.name !== 'string' || typeof definition.handler !== 'function') {
+            throw new Error('Command definition needs a name and a handler');
+        }
+
+        // Copy property descriptors rather than spreading, so getters (e.g. a
+        // description quoting a configured limit) stay live across config reloads
+        const command = Object.defineProperties({
+            aliases: [],
+            args: [],
+            role: null,
+            groupOnly: false,
+            hidden: false,
+            rateLimit: null,
+            game: null,
+            category: 'General',
+            emoji: '•',
+            description: '',
+            rules: null
+        }, Object.getOwnPropertyDescriptors(definition));
+        command.name = definition.name.toLowerCase();
+        if (command.adminOnly && !command.role) {
+            command.role = 'admin';
+        }
+        if (command.role !== null && !roles.ROLES.includes(command.role)) {
+            throw new Error(`Unknown role for command ${command.name}: ${command.role}`);
+        }
+
+        for (const name of [command.name, ...command.aliases]) {
+            if (this.commands.has(name) || this.aliases.has(name)) {
+                throw new Error(`Command name already registered: ${name}`);
+            }
+        }
+
+        this.commands.set(command.name, command);
+        for (const alias of command.aliases) {
+            this.aliases.set(alias.toLowerCase(), command.name);
+        }
+
+        return command;
+    }
+
+    // Look up a command by name or alias, with or without the prefix
+    get(name) {
+        let key = (name || '').toLowerCase();
+        if (key.startsWith(this.prefix)) {
+            key = key.slice(this.prefix.length);
+        }
+        return this.commands.get(key) || this.commands.get(this.aliases.get(key)) || null;
+    }
+
+    list() {
+        return Array.from(this.commands.values());
+    }
+
+    // Load every .js module in a directory. A module may export a definition,
+    // an array of definitions, or a function returning either.
+    loadDirectory(directory, context) {
+        if (!fs.existsSync(directory)) {
+            return 0;
+        }
+
+        let loaded = 0;
+        for (const file of fs.readdirSync(directory).sort()) {
+            if (!file.endsWith('.js')) {
+                continue;
+            }
+
+            try {
+                let exported = require(path.join(directory, file));
+                if (typeof exported === 'function') {
+                    exported = exported(context);
+                }
+
+                for (const definition of [].concat(exported)) {
+                    this.register(definition);
+                    loaded++;
+                }
+            } catch (error) {
+                this.logger.error({ err: error }, `Error loading command module ${file}`);
+            }
+        }
+
+        return loaded;
+    }
+
+    // Game names declared by registered commands
+    games() {
+        return Array.from(new Set(this.list().filter(command => command.game).map(command => command.game)));
+    }
+
+    usage(command, prefix = this.prefix) {
+        const args = command.args.map(arg => {
+            const label = arg.type === 'choice' ? arg.choices.join('/') : (arg.placeholder || arg.name);
+            return arg.optional ? `[${label}]` : `<${label}>`;
+        });
+        return [prefix + command.name, ...args].join(' ');
+    }
+
+    // Validate arguments against the command's argument schema. `input` is the
+    // argument text, or words already split (strings or commandParser tokens).
+    parseArgs(command, input, prefix = this.prefix) {
+        const usageError = { valid: false, error: `❌ Usage: ${this.usage(command, prefix)}` };
+        let words = input;
+        if (typeof input === 'string') {
+            const split = tokenize(input);
+            if (!split.valid) {
+                return { valid: false, error: `❌ ${split.error}.` };
+            }
+            words = split.tokens;
+        }
+        words = words.map(word => typeof word === 'string' ? { value: word, raw: word } : word);
+
+        const required = command.args.filter(arg => !arg.optional).length;
+        const last = command.args[command.args.length - 1];
+
+        if (words.length < required) {
+            return usageError;
+        }
+        if (words.length > command.args.length && !(last && last.rest)) {
+            return usageError;
+        }
+
+        const args = {};
+        for (let i = 0; i < command.args.length; i++) {
+            const arg = command.args[i];
+            // A rest argument of several words keeps their quotes
+            const rest = words.slice(i);
+            const raw = arg.rest && rest.length > 1
+                ? rest.map(word => word.raw).join(' ')
+                : words[i] && words[i].value;
+
+            if (raw === undefined || raw === '') {
+                args[arg.name] = arg.default;
+                continue;
+            }
+
+            const result = this.parseValue(arg, raw);
+            if (!result.valid) {
+                return result;
+            }
+            args[arg.name] = result.value;
+        }
+
+        return { valid: true, args };
+    }
+
+    parseValue(arg, raw) {
+        const label = arg.label || arg.name;
+
+        switch (arg.type) {
+            case 'integer': {
+                const value = /^-?\d+$/.test(raw) ? parseInt(raw, 10) : NaN;
+                if (isNaN(value)) {
+                    return { valid: false, error: `❌ Please enter a valid ${label}.` };
+                }
+                if ((arg.min !== undefined && value < arg.min) || (arg.max !== undefined && value > arg.max)) {
+                    const range = arg.max !== undefined
+                        ? `between ${arg.min} and ${arg.max}`
+                        : `at least ${arg.min}`;
+                    return { valid: false, error: `❌ The ${label} must be ${range}.` };
+                }
+                return { valid: true, value };
+            }
+            case 'choice': {
+                const value = raw.toLowerCase();
+                if (!arg.choices.includes(value)) {
+                    const options = arg.choices.map(choice => `"${choice}"`).join(' or ');
+                    return { valid: false, error: `❌ Please choose either ${options}.` };
+                }
+                return { valid: true, value };
+            }
+            case 'user': {
+                const match = raw.match(/^@?(\d{8,15})$/);
+                if (!match) {
+                    return { valid: false, error: `❌ Please mention a user or enter their number for the ${label}.` };
+                }
+                return { valid: true, value: match[1] };
+            }
+            default:
+                if (arg.maxLength && raw.length > arg.maxLength) {
+                    return { valid: false, error: `❌ The ${label} is too long.` };
+                }
+                if (arg.pattern && !arg.pattern.test(raw)) {
+                    return { valid: false, error: `❌ The ${label} contains characters that are not allowed.` };
+                }
+                return { valid: true, value: raw };
+        }
+    }
+
+    // Help for a user with the given role (null for regular users); `filter`
+    // hides commands unavailable in the chat
+    helpText(role = null, prefix = this.prefix, filter = () => true) {
+        const { visible, categories, adminCommands } = this.helpCommands(role, filter);
+
+        const line = command => `${command.emoji} *${this.usage(command, prefix)}* - ${command.description}`;
+        const sections = ['🎮 *WhatsApp Bot - Game Commands*'];
+
+        for (const commands of categories.values()) {
+            sections.push(commands.map(line).join('\n'));
+        }
+
+        if (adminCommands.length > 0) {
+            sections.push('*Admin Commands:*\n' + adminCommands.map(line).join('\n'));
+        }
+
+        const rules = visible.filter(command => command.rules).map(command => `• ${command.rules}`);
+        if (rules.length > 0) {
+            sections.push('*Game Rules:*\n' + rules.join('\n') + '\n• All games require coins to play');
+        }
+
+        return sections.join('\n\n');
+    }
+
+    // The same commands as helpText as a list menu (see
+    // src/transports/reply.js); picking one sends it without arguments,
+    // which answers with its usage where it needs some
+    helpMenu(role = null, prefix = this.prefix, filter = () => true) {
+        const { categories, adminCommands } = this.helpCommands(role, filter);
+        const row = command => ({
+            id: prefix + command.name,
+            title: `${command.emoji} ${prefix}${command.name}`,
+            description: command.description
+        });
+
+        const sections = [...categories].map(([title, commands]) => ({ title, rows: commands.map(row) }));
+        if (adminCommands.length > 0) {
+            sections.push({ title: 'Admin', rows: adminCommands.map(row) });
+        }
+
+        return { title: 'WhatsApp Bot', buttonText: 'Commands', sections };
+    }
+
+    // Commands help shows: regular ones by category, and the staff commands
+    // the role may use
+    helpCommands(role, filter) {
+        const visible = this.list().filter(command => !command.hidden && filter(command));
+        const categories = new Map();
+
+        for (const command of visible.filter(command => !command.role)) {
+            if (!categories.has(command.category)) {
+                categories.set(command.category, []);
+            }
+            categories.get(command.category).push(command);
+        }
+
+        const adminCommands = visible.filter(command => command.role && roles.hasRole(role, command.role));
+        return { visible, categories, adminCommands };
+    }
+}
+
+module.exports = CommandRegistry;
\ No newline at end of file
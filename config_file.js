@@ -1,31 +1,166 @@
 // config/config.js
+// Loaded and validated by config/index.js, which also applies BOT_* environment
+// overrides (e.g. BOT_GAMES__ROULETTE__MAX_BET=2000). Admins can .reload it.
 module.exports = {
-    // Admin phone numbers (without @c.us)
-    admins: [
-        '6281234567890', // Ganti dengan nomor HP admin (format: 62xxx)
-        // Tambah admin lain kalau perlu
-    ],
+    // Staff phone numbers (without @c.us) by role. Owners can do everything,
+    // admins also manage coins and codes, moderators look up and ban users.
+    roles: {
+        owner: [
+            '6281234567890', // Ganti dengan nomor HP admin (format: 62xxx)
+        ],
+        admin: [
+            // Tambah admin lain kalau perlu
+        ],
+        moderator: []
+    },
     
     // Game settings
     games: {
         roulette: {
             minBet: 1,
-            maxBet: 1000,
-            multiplier: 2
+            maxBet: 1000, // per bet
+            maxBetsPerSpin: 10
         },
         guess: {
             winReward: 50,
             lossPenalty: 10,
             minNumber: 1,
             maxNumber: 10
+        },
+        blackjack: {
+            minBet: 1,
+            maxBet: 1000,
+            decks: 1,
+            sessionTimeoutMinutes: 5 // abandoned hands are stood automatically
+        },
+        slots: {
+            minBet: 1,
+            maxBet: 500,
+            // One strip per reel; the middle row of the 3x3 window is the payline
+            reels: [
+                ['🍒', '🍋', '🍊', '🍇', '🔔', '⭐', '💎', '🍒', '🍋', '🍊', '🍇', '🔔', '🍒', '🍋', '🍊', '🍇', '🍒', '🍋', '🍊', '🍒', '🍋', '🍒'],
+                ['🍋', '🍒', '🍇', '🍊', '⭐', '🔔', '🍒', '💎', '🍋', '🍇', '🍊', '🍒', '🔔', '🍋', '🍇', '🍒', '🍊', '🍋', '🍒', '🍊', '🍒', '🍋'],
+                ['🍊', '🍇', '🍒', '🔔', '🍋', '💎', '🍒', '⭐', '🍊', '🍋', '🍒', '🍇', '🔔', '🍊', '🍒', '🍋', '🍇', '🍒', '🍋', '🍊', '🍋', '🍒']
+            ],
+            // Checked top to bottom, first match pays payout x bet; '*' matches anything.
+            // The bot refuses to start if this pays out more than 100%.
+            paytable: [
+                { symbols: ['💎', '💎', '💎'], payout: 200 },
+                { symbols: ['⭐', '⭐', '⭐'], payout: 100 },
+                { symbols: ['🔔', '🔔', '🔔'], payout: 50 },
+                { symbols: ['🍇', '🍇', '🍇'], payout: 25 },
+                { symbols: ['🍊', '🍊', '🍊'], payout: 15 },
+                { symbols: ['🍋', '🍋', '🍋'], payout: 10 },
+                { symbols: ['🍒', '🍒', '🍒'], payout: 10 },
+                { symbols: ['🍒', '🍒', '*'], payout: 4 },
+                { symbols: ['🍒', '*', '*'], payout: 1 }
+            ]
+        },
+        duel: {
+            minBet: 1,
+            maxBet: 1000,
+            rake: 0.05, // share of the pot kept by the house
+            acceptTimeoutMinutes: 2 // unanswered challenges are refunded
+        },
+        lottery: {
+            ticketPrice: 10,
+            durationMinutes: 60, // the first ticket opens the round
+            maxTicketsPerUser: 100,
+            minPlayers: 2, // otherwise every ticket is refunded
+            rake: 0.1
+        }
+    },
+    
+    // Provably fair outcomes (.seed / .verify)
+    fairness: {
+        enabled: true
+    },
+    
+    // Coin transfers between users (.pay)
+    transfers: {
+        minAmount: 1,
+        confirmThreshold: 500, // transfers of this size need .confirm
+        confirmTimeoutMinutes: 2,
+        dailyLimit: 5000
+    },
+    
+    // Redeem codes (.createcode)
+    redeemCodes: {
+        batchMaxCount: 100, // most codes one .createcode --batch may generate
+        batchCodeLength: 10
+    },
+    
+    // Free coins (.daily / .faucet); days roll over at midnight UTC
+    rewards: {
+        daily: {
+            base: 100,
+            streakBonus: 20, // extra per consecutive day after the first
+            maxStreak: 7 // the bonus stops growing after this many days
+        },
+        faucet: {
+            amount: 50,
+            maxBalance: 0, // only players with at most this many coins can use it
+            cooldownHours: 6
         }
     },
     
-    // Rate limiting
+    // Rate limiting per user; `commands` covers every command together
     rateLimits: {
+        commands: { attempts: 30, windowMinutes: 1 },
         roulette: { attempts: 20, windowMinutes: 5 },
         guess: { attempts: 30, windowMinutes: 5 },
-        redeem: { attempts: 10, windowMinutes: 5 }
+        blackjack: { attempts: 60, windowMinutes: 5 },
+        slots: { attempts: 30, windowMinutes: 5 },
+        redeem: { attempts: 10, windowMinutes: 5 },
+        transfer: { attempts: 10, windowMinutes: 5 },
+        duel: { attempts: 20, windowMinutes: 5 },
+        lottery: { attempts: 20, windowMinutes: 5 },
+        rewards: { attempts: 10, windowMinutes: 5 }
+    },
+    
+    // Automatic moderation: abuse earns strike points, and collecting enough
+    // of them within the window mutes or temporarily bans the user
+    moderation: {
+        windowHours: 24,
+        strikePoints: {
+            rateLimit: 1, // a command refused for going over a rate limit
+            failedClaim: 2 // a redeem code that does not exist
+        },
+        // Ascending by points; the highest threshold crossed applies
+        penalties: [
+            { points: 5, action: 'mute', minutes: 15 },
+            { points: 10, action: 'ban', minutes: 24 * 60 },
+            { points: 20, action: 'ban', minutes: 7 * 24 * 60 }
+        ],
+        // Muted and banned users are reminded of their expiry at most this often
+        noticeMinutes: 10
+    },
+    
+    // Extra command modules (see src/commands/commandRegistry.js for the format)
+    commands: {
+        directory: './commands'
+    },
+    
+    // WhatsApp connection: after a drop the bot waits initialDelayMs, doubling
+    // each failed attempt up to maxDelayMs, with up to `jitter` of the delay
+    // taken off at random so restarted bots don't reconnect in lockstep
+    connection: {
+        initialDelayMs: 1000,
+        maxDelayMs: 60 * 1000,
+        jitter: 0.5,
+        // How long shutdown waits for running commands before closing anyway
+        shutdownTimeoutMs: 15 * 1000
+    },
+    
+    // Rich replies. Anything switched off is left out and the plain text
+    // goes alone; WhatsApp doesn't show buttons and lists on every client, so
+    // turn those off if players see empty messages
+    replies: {
+        quote: true, // quote the command being answered in groups
+        reactions: true, // 🎉 on wins, 💸 on losses
+        buttons: true, // blackjack moves
+        lists: true, // the .help menu
+        images: true // the roulette wheel
     },
     
     // Starting balance for new users
@@ -33,6 +168,23 @@ module.exports = {
     
     // Database settings
     database: {
-        filename: './data/bot.db'
+        // 'sqlite', or 'memory' to keep everything in memory (lost on restart)
+        storage: 'sqlite',
+        filename: './data/bot.db',
+        // Copies taken before schema migrations and by scripts/migrate.js backup
+        backupDirectory: './data/backups'
+    },
+    
+    // JSON log lines on stdout: fatal, error, warn, info, debug, trace or silent
+    logging: {
+        level: 'info'
+    },
+    
+    // Prometheus metrics at http://<host>:<port>/metrics; keep the host local
+    // unless something in front of it restricts access
+    metrics: {
+        enabled: true,
+        host: '127.0.0.1',
+        port: 9464
     }
 };
\ No newline at end of file
@@ -0,0 +1,300 @@
+// config/index.js - Validated settings loaded from config.js plus environment overrides
+const path = require('path');
+const slots = require('../src/games/slots');
+
+/*
+ * Everything reads settings through this module:
+ *
+ *   const config = require('../../config');
+ *   config.games.roulette.maxBet
+ *
+ * The file is ./config.js unless CONFIG_FILE points elsewhere. Any setting can
+ * be overridden with an environment variable named BOT_ followed by its path,
+ * segments separated by a double underscore and matched case-insensitively
+ * ignoring underscores:
+ *
+ *   BOT_STARTING_BALANCE=500
+ *   BOT_GAMES__ROULETTE__MAX_BET=2000
+ *   BOT_ROLES__ADMIN=6281234567890,6289876543210
+ *
+ * Values are parsed as JSON when possible (numbers, booleans, arrays), lists
+ * also accept comma-separated text and text settings are taken as-is. Invalid settings throw on load, so
+ * the bot refuses to start; reload() keeps the current settings instead.
+ * Callers should read settings when they need them rather than holding on to
+ * sub-objects, so a reload takes effect everywhere.
+ */
+
+const ENV_PREFIX = 'BOT_';
+
+const integer = (min, max = Infinity) => ({ type: 'integer', min, max });
+const number = (min, max = Infinity) => ({ type: 'number', min, max });
+const betLimits = { minBet: integer(1), maxBet: integer(1) };
+const phoneList = { type: 'array', items: { type: 'string', pattern: /^\d{8,15}$/ } };
+
+// Leaves have a `type`; '*' matches any key of a map
+const SCHEMA = {
+    roles: { owner: phoneList, admin: phoneList, moderator: phoneList },
+    games: {
+        roulette: { ...betLimits, maxBetsPerSpin: integer(1, 50) },
+        guess: { winReward: integer(1), lossPenalty: integer(1), minNumber: integer(0), maxNumber: integer(1) },
+        blackjack: { ...betLimits, decks: integer(1, 8), sessionTimeoutMinutes: number(1) },
+        slots: { ...betLimits, reels: { type: 'array' }, paytable: { type: 'array' } },
+        duel: { ...betLimits, rake: number(0, 0.5), acceptTimeoutMinutes: number(0.5) },
+        lottery: {
+            ticketPrice: integer(1),
+            durationMinutes: number(1),
+            maxTicketsPerUser: integer(1),
+            minPlayers: integer(2),
+            rake: number(0, 0.5)
+        }
+    },
+    fairness: { enabled: { type: 'boolean' } },
+    transfers: {
+        minAmount: integer(1),
+        confirmThreshold: integer(1),
+        confirmTimeoutMinutes: number(0.5),
+        dailyLimit: integer(1)
+    },
+    redeemCodes: { batchMaxCount: integer(1, 1000), batchCodeLength: integer(6, 32) },
+    rewards: {
+        daily: { base: integer(1), streakBonus: integer(0), maxStreak: integer(1) },
+        faucet: { amount: integer(1), maxBalance: integer(0), cooldownHours: number(0) }
+    },
+    rateLimits: { '*': { attempts: integer(1), windowMinutes: number(0.1) } },
+    moderation: {
+        windowHours: number(1),
+        strikePoints: { rateLimit: integer(0), failedClaim: integer(0) },
+        penalties: { type: 'array' },
+        noticeMinutes: number(0.1)
+    },
+    commands: { directory: { type: 'string', minLength: 1 } },
+    connection: {
+        initialDelayMs: integer(1),
+        maxDelayMs: integer(1),
+        jitter: number(0, 1),
+        shutdownTimeoutMs: integer(0)
+    },
+    replies: {
+        quote: { type: 'boolean' },
+        reactions: { type: 'boolean' },
+        buttons: { type: 'boolean' },
+        lists: { type: 'boolean' },
+        images: { type: 'boolean' }
+    },
+    startingBalance: integer(0),
+    database: {
+        storage: { type: 'string', pattern: /^(sqlite|memory)$/ },
+        filename: { type: 'string', minLength: 1 },
+        backupDirectory: { type: 'string', minLength: 1 }
+    },
+    logging: { level: { type: 'string', pattern: /^(fatal|error|warn|info|debug|trace|silent)$/ } },
+    metrics: { enabled: { type: 'boolean' }, host: { type: 'string', minLength: 1 }, port: integer(1, 65535) }
+};
+
+// Rules spanning several settings
+const CROSS_CHECKS = [
+    (settings, errors) => {
+        for (const [name, game] of Object.entries(settings.games || {})) {
+            if (game && game.minBet > game.maxBet) {
+                errors.push(`games.${name}.minBet must not exceed maxBet`);
+            }
+        }
+    },
+    (settings, errors) => {
+        if (settings.connection.initialDelayMs > settings.connection.maxDelayMs) {
+            errors.push('connection.initialDelayMs must not exceed maxDelayMs');
+        }
+    },
+    (settings, errors) => {
+        if (!settings.rateLimits.commands) {
+            errors.push('rateLimits.commands is missing');
+        }
+    },
+    (settings, errors) => {
+        let previous = 0;
+        settings.moderation.penalties.forEach((penalty, i) => {
+            const at = `moderation.penalties[${i}]`;
+            if (!penalty || !Number.isInteger(penalty.points) || penalty.points <= previous) {
+                errors.push(`${at}.points must be a whole number above the previous threshold`);
+            } else {
+                previous = penalty.points;
+            }
+            if (!penalty || !['mute', 'ban'].includes(penalty.action)) {
+                errors.push(`${at}.action must be 'mute' or 'ban'`);
+            }
+            if (!penalty || typeof penalty.minutes !== 'number' || !(penalty.minutes > 0)) {
+                errors.push(`${at}.minutes must be a positive number`);
+            }
+        });
+    },
+    (settings, errors) => {
+        const guess = settings.games && settings.games.guess;
+        if (guess && guess.minNumber >= guess.maxNumber) {
+            errors.push('games.guess.minNumber must be below maxNumber');
+        }
+    },
+    (settings, errors) => {
+        try {
+            slots.loadMachine(settings.games.slots);
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+];
+
+function isLeaf(node) {
+    return typeof node.type === 'string';
+}
+
+function checkValue(rule, value, at, errors) {
+    switch (rule.type) {
+        case 'integer':
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value) ||
+                (rule.type === 'integer' && !Number.isInteger(value))) {
+                errors.push(`${at} must be ${rule.type === 'integer' ? 'a whole number' : 'a number'}`);
+            } else if (value < rule.min || value > rule.max) {
+                errors.push(rule.max === Infinity
+                    ? `${at} must be at least ${rule.min}`
+                    : `${at} must be between ${rule.min} and ${rule.max}`);
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                errors.push(`${at} must be true or false`);
+            }
+            break;
+        case 'string':
+            if (typeof value !== 'string' || value.length < (rule.minLength || 0)) {
+                errors.push(`${at} must be ${rule.minLength ? 'a non-empty' : 'a'} string`);
+            } else if (rule.pattern && !rule.pattern.test(value)) {
+                errors.push(`${at} has an invalid format`);
+            }
+            break;
+        case 'array':
+            if (!Array.isArray(value)) {
+                errors.push(`${at} must be a list`);
+            } else if (rule.items) {
+                value.forEach((item, i) => checkValue(rule.items, item, `${at}[${i}]`, errors));
+            }
+            break;
+    }
+}
+
+function checkNode(schema, value, at, errors) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${at || 'config'} must be an object`);
+        return;
+    }
+
+    const keys = schema['*'] ? Object.keys(value) : Object.keys(schema);
+    for (const key of keys) {
+        const rule = schema['*'] || schema[key];
+        const childAt = at ? `${at}.${key}` : key;
+        if (value[key] === undefined) {
+            errors.push(`${childAt} is missing`);
+        } else if (isLeaf(rule)) {
+            checkValue(rule, value[key], childAt, errors);
+        } else {
+            checkNode(rule, value[key], childAt, errors);
+        }
+    }
+}
+
+// List of problems with a settings object; empty when it is valid
+function validate(settings) {
+    const errors = [];
+    checkNode(SCHEMA, settings, '', errors);
+    if (errors.length === 0) {
+        CROSS_CHECKS.forEach(check => check(settings, errors));
+    }
+    return errors;
+}
+
+const normalise = key => key.replace(/_/g, '').toLowerCase();
+
+// Text settings take the raw value, lists also accept comma-separated text,
+// anything else is parsed as JSON when possible
+function parseEnvValue(raw, current) {
+    if (typeof current === 'string') {
+        return raw;
+    }
+
+    let value;
+    try {
+        value = JSON.parse(raw);
+    } catch (error) {
+        value = raw;
+    }
+
+    if (Array.isArray(current) && !Array.isArray(value)) {
+        return raw.split(',').map(item => item.trim()).filter(Boolean);
+    }
+    return value;
+}
+
+// Apply BOT_* variables onto settings, throwing on names that match no setting
+function applyEnvOverrides(settings, env) {
+    for (const [name, raw] of Object.entries(env)) {
+        if (!name.startsWith(ENV_PREFIX) || raw === undefined) {
+            continue;
+        }
+
+        const segments = name.slice(ENV_PREFIX.length).split('__');
+        let target = settings;
+        for (const [i, segment] of segments.entries()) {
+            const key = target && typeof target === 'object'
+                ? Object.keys(target).find(candidate => normalise(candidate) === normalise(segment))
+                : undefined;
+            if (key === undefined) {
+                throw new Error(`${name} does not match any setting`);
+            }
+
+            if (i === segments.length - 1) {
+                target[key] = parseEnvValue(raw, target[key]);
+            } else {
+                target = target[key];
+            }
+        }
+    }
+    return settings;
+}
+
+function configFile(env) {
+    return env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : path.join(__dirname, 'config.js');
+}
+
+// Fresh, validated settings from the config file and environment
+function load(env = process.env) {
+    const file = configFile(env);
+    delete require.cache[require.resolve(file)];
+    const settings = applyEnvOverrides(structuredClone(require(file)), env);
+
+    const errors = validate(settings);
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration (${file}):\n- ${errors.join('\n- ')}`);
+    }
+    return settings;
+}
+
+const config = load();
+
+// Swap in freshly loaded settings; on errors the current ones stay active
+function reload(env = process.env) {
+    try {
+        const next = load(env);
+        Object.keys(config).forEach(key => delete config[key]);
+        Object.assign(config, next);
+        return { success: true, errors: [] };
+    } catch (error) {
+        return { success: false, errors: [error.message] };
+    }
+}
+
+// Kept off the enumerable keys so the object still looks like plain settings
+Object.defineProperties(config, {
+    reload: { value: reload },
+    validate: { value: validate }
+});
+
+module.exports = config;
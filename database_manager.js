@@ -1,12 +1,22 @@
 // src/database/database.js - Secure database manager
-const sqlite3 = require('sqlite3').verbose();
-const { open } = require('sqlite');
-const path = require('path');
 const crypto = require('crypto');
+const config = require('../../config');
+const { assertStorage } = require('./repositories');
+const { defaultLogger } = require('../logging/logger');
+
+// Storage backends by config.database.storage, required lazily so the
+// memory backend runs without sqlite3 installed
+const STORAGE = {
+    sqlite: options => new (require('./sqliteStorage'))(config.database.filename, options),
+    memory: () => new (require('./memoryStorage'))()
+};
 
 class Database {
-    constructor() {
-        this.db = null;
+    // storage: a backend implementing repositories.js; defaults to the one
+    // named by config.database.storage. options.logger is the bot's logger.
+    constructor(storage = null, options = {}) {
+        this.logger = options.logger || defaultLogger();
+        this.storage = assertStorage(storage || STORAGE[config.database.storage]({ logger: this.logger }));
         this.encryptionKey = process.env.DB_ENCRYPTION_KEY || this.generateKey();
     }
 
@@ -15,195 +25,922 @@ class Database {
         return crypto.randomBytes(32).toString('hex');
     }
 
-    async init() {
-        try {
-            this.db = await open({
-                filename: path.join(__dirname, '../../data/bot.db'),
-                driver: sqlite3.Database
-            });
-
-            await this.createTables();
-            console.log('Database initialized successfully');
-        } catch (error) {
-            console.error('Database initialization error:', error);
-            throw error;
-        }
-    }
-
-    async createTables() {
-        // Users table with encrypted sensitive data
-        await this.db.exec(`
-            CREATE TABLE IF NOT EXISTS users (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                phone_number TEXT UNIQUE NOT NULL,
-                coins INTEGER DEFAULT 1000,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-
-        // Redeem codes table
-        await this.db.exec(`
-            CREATE TABLE IF NOT EXISTS redeem_codes (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                code TEXT UNIQUE NOT NULL,
-                coin_value INTEGER NOT NULL,
-                created_by TEXT NOT NULL,
-                expires_at DATETIME NOT NULL,
-                is_active BOOLEAN DEFAULT 1,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-
-        // Code redemptions table (tracks who used which codes)
-        await this.db.exec(`
-            CREATE TABLE IF NOT EXISTS code_redemptions (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                user_phone TEXT NOT NULL,
-                code TEXT NOT NULL,
-                coins_received INTEGER NOT NULL,
-                redeemed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                UNIQUE(user_phone, code)
-            )
-        `);
-
-        // Game history table for security auditing
-        await this.db.exec(`
-            CREATE TABLE IF NOT EXISTS game_history (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                user_phone TEXT NOT NULL,
-                game_type TEXT NOT NULL,
-                bet_amount INTEGER,
-                win_amount INTEGER,
-                game_data TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-
-        // Create indexes for better performance
-        await this.db.exec(`
-            CREATE INDEX IF NOT EXISTS idx_users_phone ON users(phone_number);
-            CREATE INDEX IF NOT EXISTS idx_redeem_codes_code ON redeem_codes(code);
-            CREATE INDEX IF NOT EXISTS idx_redemptions_user_code ON code_redemptions(user_phone, code);
-        `);
+    // Open the database and bring its schema up to date. Pass { migrate: false }
+    // to open it as-is, e.g. to inspect or back up before migrating.
+    async init({ migrate = true } = {}) {
+        try {
+            await this.storage.open({ migrate });
+            this.logger.info('Database initialized successfully');
+        } catch (error) {
+            this.logger.error({ err: error }, 'Database initialization error');
+            throw error;
+        }
+    }
+
+    // Apply pending migrations up to `target`, backing up existing data first
+    async migrate(target) {
+        return this.storage.migrate(target);
+    }
+
+    async migrationStatus() {
+        return this.storage.migrationStatus();
+    }
+
+    async backup(label) {
+        return this.storage.backup(label);
+    }
+
+    async close() {
+        await this.storage.close();
+    }
+
+    // Run work(tx) atomically; tx exposes the storage repositories. Transactions
+    // are queued, so concurrent callers never interleave.
+    transaction(work) {
+        return this.storage.transaction(work);
     }
 
     // User management with security
     async getUser(phoneNumber) {
         try {
-            let user = await this.db.get(
-                'SELECT * FROM users WHERE phone_number = ?',
-                [phoneNumber]
-            );
+            let user = await this.storage.users.find(phoneNumber);
 
             if (!user) {
                 // Create new user with starting coins
-                await this.db.run(
-                    'INSERT INTO users (phone_number, coins) VALUES (?, ?)',
-                    [phoneNumber, 1000]
-                );
-
-                user = await this.db.get(
-                    'SELECT * FROM users WHERE phone_number = ?',
-                    [phoneNumber]
-                );
+                await this.transaction(tx => this.ensureUser(tx, phoneNumber));
+                user = await this.storage.users.find(phoneNumber);
             }
 
             return user;
         } catch (error) {
-            console.error('Error getting user:', error);
+            this.logger.error({ err: error }, 'Error getting user');
             throw error;
         }
     }
 
-    async updateUserCoins(phoneNumber, newBalance) {
+    // Look up a user without creating one
+    async findUser(phoneNumber) {
         try {
-            // Validate balance is not negative (additional security)
-            if (newBalance < 0) {
-                throw new Error('Balance cannot be negative');
+            return await this.storage.users.find(phoneNumber);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error finding user');
+            throw error;
+        }
+    }
+
+    // Must be called inside transaction(). The house wallet, which collects
+    // rake, starts empty.
+    async ensureUser(tx, phoneNumber) {
+        const startingBalance = phoneNumber === Database.HOUSE_WALLET ? 0 : config.startingBalance;
+        const created = await tx.users.create(phoneNumber, startingBalance);
+
+        if (created && startingBalance > 0) {
+            await tx.ledger.append(phoneNumber, startingBalance, startingBalance, 'signup', null);
+        }
+    }
+
+    // Must be called inside transaction(). The storage refuses changes that
+    // would take a balance below zero, so concurrent debits can't overdraw.
+    async applyCoinChange(tx, phoneNumber, amount, reason, details = null) {
+        await this.ensureUser(tx, phoneNumber);
+
+        const coins = await tx.users.adjustBalance(phoneNumber, amount);
+        if (coins === null) {
+            throw new Error('Insufficient balance');
+        }
+
+        await tx.ledger.append(phoneNumber, amount, coins, reason, details ? JSON.stringify(details) : null);
+        return coins;
+    }
+
+    // Credit (positive amount) or debit (negative amount) a user, returns the new balance
+    async changeUserCoins(phoneNumber, amount, reason, details = null) {
+        try {
+            if (!Number.isInteger(amount)) {
+                throw new Error('Amount must be an integer');
             }
 
-            await this.db.run(
-                'UPDATE users SET coins = ?, updated_at = CURRENT_TIMESTAMP WHERE phone_number = ?',
-                [newBalance, phoneNumber]
-            );
+            return await this.transaction(tx => this.applyCoinChange(tx, phoneNumber, amount, reason, details));
+        } catch (error) {
+            if (error.message !== 'Insufficient balance') {
+                this.logger.error({ err: error }, 'Error changing user coins');
+            }
+            throw error;
+        }
+    }
 
-            return true;
+    // Debit the stake, credit the winnings and record the round in one transaction
+    async settleGame(userPhone, gameType, betAmount, winAmount, gameData) {
+        try {
+            return await this.transaction(async (tx) => {
+                const gameId = await tx.history.insert(userPhone, gameType, betAmount, winAmount, JSON.stringify(gameData));
+
+                let balance = await this.applyCoinChange(tx, userPhone, -betAmount, 'game', { gameId, gameType });
+                if (winAmount > 0) {
+                    balance = await this.applyCoinChange(tx, userPhone, winAmount, 'game', { gameId, gameType });
+                }
+
+                return { balance, gameId };
+            });
         } catch (error) {
-            console.error('Error updating user coins:', error);
+            if (error.message !== 'Insufficient balance') {
+                this.logger.error({ err: error }, 'Error settling game');
+            }
             throw error;
         }
     }
 
-    // Redeem code management
-    async createRedeemCode(code, coinValue, expiresAt, createdBy) {
+    // Move coins between two users. The daily cap is checked inside the
+    // transaction so parallel transfers can't exceed it.
+    async transferCoins(fromPhone, toPhone, amount, dailyLimit = null) {
         try {
-            await this.db.run(
-                'INSERT INTO redeem_codes (code, coin_value, expires_at, created_by) VALUES (?, ?, ?, ?)',
-                [code, coinValue, expiresAt, createdBy]
-            );
+            return await this.transaction(async (tx) => {
+                if (dailyLimit !== null) {
+                    const sentToday = await this.getTransferredToday(tx, fromPhone);
+                    if (sentToday + amount > dailyLimit) {
+                        throw new Error('Daily transfer limit reached');
+                    }
+                }
 
-            return true;
+                const senderBalance = await this.applyCoinChange(tx, fromPhone, -amount, 'transfer', { to: toPhone });
+                const recipientBalance = await this.applyCoinChange(tx, toPhone, amount, 'transfer', { from: fromPhone });
+
+                return { senderBalance, recipientBalance };
+            });
+        } catch (error) {
+            if (!['Insufficient balance', 'Daily transfer limit reached'].includes(error.message)) {
+                this.logger.error({ err: error }, 'Error transferring coins');
+            }
+            throw error;
+        }
+    }
+
+    // Total sent by a user since midnight (UTC)
+    async getTransferredToday(tx, phoneNumber) {
+        const midnight = new Date();
+        midnight.setUTCHours(0, 0, 0, 0);
+        return (tx || this.storage).ledger.debitedSince(phoneNumber, 'transfer', midnight);
+    }
+
+    async getCoinTransactions(phoneNumber, limit = 20) {
+        try {
+            return await this.storage.ledger.recent(phoneNumber, limit);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error getting coin transactions');
+            throw error;
+        }
+    }
+
+    // Users whose stored balance disagrees with the sum of their ledger entries
+    async findLedgerMismatches() {
+        try {
+            return await this.storage.ledger.mismatches();
         } catch (error) {
-            if (error.message.includes('UNIQUE constraint failed')) {
-                throw new Error('Code already exists');
+            this.logger.error({ err: error }, 'Error reconciling ledger');
+            throw error;
+        }
+    }
+
+    // Redeem code management
+    // options: { maxRedemptions, allowedUsers, allowedGroups, minAccountAgeHours };
+    // missing restrictions are stored as NULL / 0 and not enforced
+    async createRedeemCode(code, coinValue, expiresAt, createdBy, options = {}) {
+        return this.createRedeemCodes([code], coinValue, expiresAt, createdBy, options);
+    }
+
+    // Create several codes with the same settings in one transaction
+    async createRedeemCodes(codes, coinValue, expiresAt, createdBy, options = {}) {
+        try {
+            return await this.transaction(async (tx) => {
+                for (const code of codes) {
+                    await tx.codes.insert(
+                        code, coinValue, expiresAt, createdBy,
+                        options.maxRedemptions || null,
+                        options.allowedUsers ? JSON.stringify(options.allowedUsers) : null,
+                        options.allowedGroups ? JSON.stringify(options.allowedGroups) : null,
+                        options.minAccountAgeHours || 0
+                    );
+                }
+                return true;
+            });
+        } catch (error) {
+            if (error.message !== 'Code already exists') {
+                this.logger.error({ err: error }, 'Error creating redeem code');
             }
-            console.error('Error creating redeem code:', error);
             throw error;
         }
     }
 
     async getRedeemCode(code) {
         try {
-            return await this.db.get(
-                'SELECT * FROM redeem_codes WHERE code = ? AND is_active = 1',
-                [code]
-            );
+            return await this.storage.codes.findActive(code);
         } catch (error) {
-            console.error('Error getting redeem code:', error);
+            this.logger.error({ err: error }, 'Error getting redeem code');
             throw error;
         }
     }
 
-    async redeemCode(userPhone, code, coinsReceived) {
+    // Redeem a code in one transaction: the code must be active, unexpired,
+    // open to this claimant and under its cap, and the user must not have
+    // claimed it before. The redemption and the credit are written together.
+    // claimant: { phoneNumber, chatJid } for user, group and account age rules.
+    // Returns { coins, balance, remaining } (remaining is null without a cap).
+    async claimCode(userPhone, code, claimant = {}, now = Date.now()) {
         try {
-            await this.db.run('BEGIN TRANSACTION');
+            return await this.transaction(async (tx) => {
+                const redeemCode = await tx.codes.findActive(code);
+                if (!redeemCode) {
+                    throw new Error('Invalid code');
+                }
+                if (new Date(redeemCode.expires_at).getTime() < now) {
+                    throw new Error('Code expired');
+                }
 
-            // Check if user already redeemed this code
-            const existingRedemption = await this.db.get(
-                'SELECT * FROM code_redemptions WHERE user_phone = ? AND code = ?',
-                [userPhone, code]
-            );
+                const phoneNumber = claimant.phoneNumber || userPhone;
+                const allowedUsers = redeemCode.allowed_users ? JSON.parse(redeemCode.allowed_users) : null;
+                if (allowedUsers && !allowedUsers.includes(phoneNumber)) {
+                    throw new Error('Code not available to user');
+                }
+                const allowedGroups = redeemCode.allowed_groups ? JSON.parse(redeemCode.allowed_groups) : null;
+                if (allowedGroups && !allowedGroups.includes(claimant.chatJid)) {
+                    throw new Error('Code not available in chat');
+                }
+
+                if (redeemCode.min_account_age_hours > 0) {
+                    const createdAt = await this.getAccountCreatedAt(phoneNumber, tx);
+                    if (!createdAt || now - createdAt.getTime() < redeemCode.min_account_age_hours * 60 * 60 * 1000) {
+                        throw new Error('Account too new');
+                    }
+                }
 
-            if (existingRedemption) {
-                await this.db.run('ROLLBACK');
-                throw new Error('Code already redeemed by this user');
+                if (await tx.redemptions.find(userPhone, code)) {
+                    throw new Error('Code already redeemed by this user');
+                }
+
+                const total = await tx.redemptions.count(code);
+                if (redeemCode.max_redemptions !== null && total >= redeemCode.max_redemptions) {
+                    throw new Error('Code fully redeemed');
+                }
+
+                await tx.redemptions.insert(userPhone, code, redeemCode.coin_value);
+                const balance = await this.applyCoinChange(tx, userPhone, redeemCode.coin_value, 'redeem', { code });
+
+                return {
+                    coins: redeemCode.coin_value,
+                    balance,
+                    remaining: redeemCode.max_redemptions !== null ? redeemCode.max_redemptions - total - 1 : null
+                };
+            });
+        } catch (error) {
+            if (!Database.CLAIM_ERRORS.includes(error.message)) {
+                this.logger.error({ err: error }, 'Error claiming code');
             }
+            throw error;
+        }
+    }
+
+    // When the person behind a phone number first used the bot, in any wallet
+    async getAccountCreatedAt(phoneNumber, tx = null) {
+        try {
+            return await (tx || this.storage).users.firstSeen(phoneNumber);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error getting account age');
+            throw error;
+        }
+    }
+
+    // Group settings
+    async getGroupSettings(groupJid) {
+        try {
+            return await this.storage.groups.find(groupJid);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error getting group settings');
+            throw error;
+        }
+    }
 
-            // Record the redemption
-            await this.db.run(
-                'INSERT INTO code_redemptions (user_phone, code, coins_received) VALUES (?, ?, ?)',
-                [userPhone, code, coinsReceived]
+    async saveGroupSettings(groupJid, settings) {
+        try {
+            await this.storage.groups.save(
+                groupJid,
+                settings.prefix,
+                settings.enabledGames ? JSON.stringify(settings.enabledGames) : null,
+                settings.minBet,
+                settings.maxBet,
+                settings.economy
             );
 
-            await this.db.run('COMMIT');
             return true;
         } catch (error) {
-            await this.db.run('ROLLBACK');
-            console.error('Error redeeming code:', error);
+            this.logger.error({ err: error }, 'Error saving group settings');
+            throw error;
+        }
+    }
+
+    // Game sessions. Stakes are debited when locked and the winnings are paid
+    // when the session closes, each step in one transaction. `version` guards
+    // against two follow-up messages updating the same session.
+    async getGameSession(userPhone, gameType) {
+        try {
+            return await this.storage.sessions.find(userPhone, gameType);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error getting game session');
+            throw error;
+        }
+    }
+
+    async getExpiredGameSessions(gameType, now = Date.now()) {
+        try {
+            return await this.storage.sessions.expired(gameType, now);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error getting expired game sessions');
+            throw error;
+        }
+    }
+
+    async openGameSession(userPhone, gameType, state, lockAmount, expiresAt) {
+        try {
+            return await this.transaction(async (tx) => {
+                const sessionId = await tx.sessions.insert(userPhone, gameType, JSON.stringify(state), lockAmount, expiresAt);
+
+                await this.applyCoinChange(tx, userPhone, -lockAmount, 'game', { sessionId, gameType });
+                return sessionId;
+            });
+        } catch (error) {
+            if (!['Session already open', 'Insufficient balance'].includes(error.message)) {
+                this.logger.error({ err: error }, 'Error opening game session');
+            }
+            throw error;
+        }
+    }
+
+    async updateGameSession(session, state, extraLock, expiresAt) {
+        try {
+            return await this.transaction(async (tx) => {
+                const updated = await tx.sessions.update(session.id, session.version, JSON.stringify(state), extraLock, expiresAt);
+                if (!updated) {
+                    throw new Error('Session changed');
+                }
+
+                if (extraLock > 0) {
+                    await this.applyCoinChange(tx, session.user_phone, -extraLock, 'game', { sessionId: session.id, gameType: session.game_type });
+                }
+                return session.version + 1;
+            });
+        } catch (error) {
+            if (!['Session changed', 'Insufficient balance'].includes(error.message)) {
+                this.logger.error({ err: error }, 'Error updating game session');
+            }
+            throw error;
+        }
+    }
+
+    // Close a session: record it in game_history and pay out winAmount
+    async closeGameSession(session, winAmount, gameData) {
+        try {
+            return await this.transaction(async (tx) => {
+                if (!(await tx.sessions.remove(session.id, session.version))) {
+                    throw new Error('Session changed');
+                }
+
+                const gameId = await tx.history.insert(
+                    session.user_phone, session.game_type, session.locked_amount, winAmount, JSON.stringify(gameData)
+                );
+
+                let balance;
+                if (winAmount > 0) {
+                    balance = await this.applyCoinChange(tx, session.user_phone, winAmount, 'game', { gameId, gameType: session.game_type });
+                } else {
+                    ({ coins: balance } = await tx.users.find(session.user_phone));
+                }
+
+                return { balance, gameId };
+            });
+        } catch (error) {
+            if (error.message !== 'Session changed') {
+                this.logger.error({ err: error }, 'Error closing game session');
+            }
+            throw error;
+        }
+    }
+
+    // Moderation. kind is 'ban', or 'mute' for short automatic bans;
+    // expiresAt null means permanent
+    async banUser(userPhone, reason, bannedBy, expiresAt = null, kind = 'ban') {
+        try {
+            await this.storage.bans.upsert(userPhone, reason, bannedBy, expiresAt, kind);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error banning user');
+            throw error;
+        }
+    }
+
+    async unbanUser(userPhone) {
+        try {
+            return await this.storage.bans.remove(userPhone);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error unbanning user');
+            throw error;
+        }
+    }
+
+    // The user's ban if it is still in force
+    async getActiveBan(userPhone, now = Date.now()) {
+        try {
+            return await this.storage.bans.findActive(userPhone, now);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error getting ban');
+            throw error;
+        }
+    }
+
+    async addAuditLog(actor, role, action, target, details) {
+        try {
+            await this.storage.audit.insert(actor, role, action, target, details ? JSON.stringify(details) : null);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error writing audit log');
+            throw error;
+        }
+    }
+
+    async getAuditLog(limit = 20) {
+        try {
+            return await this.storage.audit.recent(limit);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error reading audit log');
+            throw error;
+        }
+    }
+
+    // Rate limiting. update(bucket) receives the stored bucket (or null) and
+    // returns the next { tokens, updatedAt, fullAt } plus anything the caller
+    // wants back; the read and the write happen in one transaction.
+    async updateRateLimit(bucket, update) {
+        try {
+            return await this.transaction(async (tx) => {
+                const next = update(await tx.limits.find(bucket));
+                await tx.limits.save(bucket, next.tokens, next.updatedAt, next.fullAt);
+                return next;
+            });
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error updating rate limit');
+            throw error;
+        }
+    }
+
+    // Drop buckets that have refilled; they behave exactly like missing ones
+    async purgeRateLimits(now = Date.now()) {
+        try {
+            return await this.storage.limits.purge(now);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error purging rate limits');
+            throw error;
+        }
+    }
+
+    async recordSuspiciousActivity(userPhone, activity, points = 1, now = Date.now()) {
+        try {
+            await this.storage.abuse.insert(userPhone, activity, points, now);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error recording suspicious activity');
+            throw error;
+        }
+    }
+
+    // Strike points a user collected after `after` (ms)
+    async getStrikePoints(userPhone, after) {
+        try {
+            return await this.storage.abuse.pointsSince(userPhone, after);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error counting strike points');
+            throw error;
+        }
+    }
+
+    async purgeSuspiciousActivity(before) {
+        try {
+            return await this.storage.abuse.purge(before);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error purging suspicious activity');
+            throw error;
+        }
+    }
+
+    // Park a transfer until the sender confirms it; a new one replaces theirs
+    async savePendingTransfer(fromWallet, toWallet, amount, expiresAt) {
+        try {
+            await this.storage.transfers.save(fromWallet, toWallet, amount, expiresAt);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error saving pending transfer');
+            throw error;
+        }
+    }
+
+    // Remove the sender's pending transfer and return it, or null when there
+    // is none or it expired before `now`
+    async takePendingTransfer(fromWallet, now = Date.now()) {
+        try {
+            return await this.transaction(async (tx) => {
+                const pending = await tx.transfers.find(fromWallet);
+                if (!pending) {
+                    return null;
+                }
+                await tx.transfers.remove(fromWallet);
+                return pending.expires_at > now ? pending : null;
+            });
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error taking pending transfer');
+            throw error;
+        }
+    }
+
+    async removePendingTransfer(fromWallet) {
+        try {
+            return await this.storage.transfers.remove(fromWallet);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error removing pending transfer');
+            throw error;
+        }
+    }
+
+    // Newest codes first, with how often each was redeemed
+    async listRedeemCodes(limit = 20) {
+        try {
+            return await this.storage.codes.list(limit);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error listing redeem codes');
+            throw error;
+        }
+    }
+
+    async deactivateRedeemCode(code) {
+        try {
+            return await this.storage.codes.deactivate(code);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error deactivating redeem code');
+            throw error;
+        }
+    }
+
+    // Phone numbers of everyone with a global wallet
+    async getAllUserPhones() {
+        try {
+            const phones = await this.storage.users.phones();
+            return phones.filter(phone => !phone.includes('@') && phone !== Database.HOUSE_WALLET);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error listing users');
+            throw error;
+        }
+    }
+
+    // Rewards
+    async getRewardClaims(userPhone) {
+        try {
+            return await this.storage.rewards.find(userPhone);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error getting reward claims');
+            throw error;
+        }
+    }
+
+    // Claim the daily reward for `today` (days since the epoch, UTC). The streak
+    // continues if yesterday was claimed and restarts otherwise; rewardFor(streak)
+    // gives the amount. Returns { claimed: false } if today was already claimed.
+    async claimDaily(userPhone, today, rewardFor) {
+        try {
+            return await this.transaction(async (tx) => {
+                await this.ensureUser(tx, userPhone);
+                const claims = await tx.rewards.find(userPhone);
+                if (claims && claims.last_daily_day === today) {
+                    return { claimed: false, streak: claims.daily_streak };
+                }
+
+                const streak = claims && claims.last_daily_day === today - 1 ? claims.daily_streak + 1 : 1;
+                const amount = rewardFor(streak);
+                const balance = await this.applyCoinChange(tx, userPhone, amount, 'daily', { streak });
+
+                await tx.rewards.saveDaily(userPhone, today, streak);
+                return { claimed: true, streak, amount, balance };
+            });
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error claiming daily reward');
+            throw error;
+        }
+    }
+
+    // Faucet for broke players: only pays when the balance is at most
+    // maxBalance and the cooldown since the last claim has passed
+    async claimFaucet(userPhone, amount, maxBalance, cooldownMs, now = Date.now()) {
+        try {
+            return await this.transaction(async (tx) => {
+                await this.ensureUser(tx, userPhone);
+                const user = await tx.users.find(userPhone);
+                if (user.coins > maxBalance) {
+                    return { claimed: false, reason: 'balance', balance: user.coins };
+                }
+
+                const claims = await tx.rewards.find(userPhone);
+                if (claims && claims.last_faucet_at !== null && now - claims.last_faucet_at < cooldownMs) {
+                    return { claimed: false, reason: 'cooldown', availableAt: claims.last_faucet_at + cooldownMs };
+                }
+
+                const balance = await this.applyCoinChange(tx, userPhone, amount, 'faucet', null);
+                await tx.rewards.saveFaucet(userPhone, now);
+
+                return { claimed: true, amount, balance };
+            });
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error claiming faucet');
+            throw error;
+        }
+    }
+
+    // Duels
+    async createDuel(chatJid, challenger, opponent, bet, expiresAt) {
+        try {
+            return await this.transaction(async (tx) => {
+                if (await tx.duels.findPendingBy(chatJid, challenger)) {
+                    throw new Error('Duel already pending');
+                }
+
+                const duelId = await tx.duels.insert(chatJid, challenger, opponent, bet, expiresAt);
+                await this.applyCoinChange(tx, challenger, -bet, 'escrow', { duelId });
+                return duelId;
+            });
+        } catch (error) {
+            if (!['Duel already pending', 'Insufficient balance'].includes(error.message)) {
+                this.logger.error({ err: error }, 'Error creating duel');
+            }
+            throw error;
+        }
+    }
+
+    async getPendingDuel(chatJid, opponent, now = Date.now()) {
+        try {
+            return await this.storage.duels.findPendingFor(chatJid, opponent, now);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error getting pending duel');
+            throw error;
+        }
+    }
+
+    async getExpiredDuels(now = Date.now()) {
+        try {
+            return await this.storage.duels.expired(now);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error getting expired duels');
+            throw error;
+        }
+    }
+
+    // Take the opponent's stake, pay the winner and the house, and record the
+    // duel for both players
+    async settleDuel(duel, winner, payout, rake, gameData) {
+        try {
+            return await this.transaction(async (tx) => {
+                if (!(await tx.duels.resolve(duel.id, 'settled', winner))) {
+                    throw new Error('Duel no longer pending');
+                }
+
+                await this.applyCoinChange(tx, duel.opponent, -duel.bet, 'escrow', { duelId: duel.id });
+                await this.applyCoinChange(tx, winner, payout, 'game', { duelId: duel.id, gameType: 'duel' });
+                if (rake > 0) {
+                    await this.applyCoinChange(tx, Database.HOUSE_WALLET, rake, 'rake', { duelId: duel.id });
+                }
+
+                const balances = {};
+                for (const player of [duel.challenger, duel.opponent]) {
+                    await tx.history.insert(player, 'duel', duel.bet, player === winner ? payout : 0, JSON.stringify(gameData));
+                    ({ coins: balances[player] } = await tx.users.find(player));
+                }
+
+                return balances;
+            });
+        } catch (error) {
+            if (!['Duel no longer pending', 'Insufficient balance'].includes(error.message)) {
+                this.logger.error({ err: error }, 'Error settling duel');
+            }
+            throw error;
+        }
+    }
+
+    // Decline or expire a duel, refunding the challenger's escrow
+    async cancelDuel(duel, status) {
+        try {
+            return await this.transaction(async (tx) => {
+                if (!(await tx.duels.resolve(duel.id, status, null))) {
+                    throw new Error('Duel no longer pending');
+                }
+
+                return this.applyCoinChange(tx, duel.challenger, duel.bet, 'refund', { duelId: duel.id });
+            });
+        } catch (error) {
+            if (error.message !== 'Duel no longer pending') {
+                this.logger.error({ err: error }, 'Error cancelling duel');
+            }
+            throw error;
+        }
+    }
+
+    // Lottery
+    async getOpenLottery(chatJid) {
+        try {
+            return await this.storage.lotteries.findOpen(chatJid);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error getting lottery round');
+            throw error;
+        }
+    }
+
+    async getLotteryTickets(roundId) {
+        try {
+            return await this.storage.lotteries.tickets(roundId);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error getting lottery tickets');
+            throw error;
+        }
+    }
+
+    async getDueLotteries(now = Date.now()) {
+        try {
+            return await this.storage.lotteries.due(now);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error getting due lotteries');
+            throw error;
+        }
+    }
+
+    // Buy tickets in the chat's open round, opening one if needed
+    async buyLotteryTickets(chatJid, userPhone, count, round) {
+        try {
+            return await this.transaction(async (tx) => {
+                let current = await tx.lotteries.findOpen(chatJid);
+                if (!current) {
+                    const id = await tx.lotteries.insert(chatJid, round.ticketPrice, round.drawAt);
+                    current = { id, ticket_price: round.ticketPrice, draw_at: round.drawAt };
+                }
+
+                const tickets = await tx.lotteries.ticketsHeld(current.id, userPhone) + count;
+                if (tickets > round.maxTicketsPerUser) {
+                    throw new Error('Ticket limit reached');
+                }
+
+                await this.applyCoinChange(tx, userPhone, -count * current.ticket_price, 'escrow', { roundId: current.id });
+                await tx.lotteries.setTickets(current.id, userPhone, tickets);
+
+                return { roundId: current.id, tickets, ticketPrice: current.ticket_price, drawAt: current.draw_at };
+            });
+        } catch (error) {
+            if (!['Ticket limit reached', 'Insufficient balance'].includes(error.message)) {
+                this.logger.error({ err: error }, 'Error buying lottery tickets');
+            }
+            throw error;
+        }
+    }
+
+    // Close a round that is due. decide(tickets) returns the draw,
+    // { winner, payout, rake, gameData }, or null to refund every ticket. The
+    // tickets are read in the transaction that closes the round, so a ticket
+    // bought meanwhile is either part of the draw or goes into the next round.
+    // Returns { tickets, draw }.
+    async closeLottery(round, decide) {
+        try {
+            return await this.transaction(async (tx) => {
+                const tickets = await tx.lotteries.tickets(round.id);
+                const draw = decide(tickets);
+
+                if (!(await tx.lotteries.close(round.id, draw ? 'drawn' : 'refunded', draw ? draw.winner : null))) {
+                    throw new Error('Lottery already drawn');
+                }
+
+                if (!draw) {
+                    for (const entry of tickets) {
+                        await this.applyCoinChange(tx, entry.user_phone, entry.tickets * round.ticket_price, 'refund', { roundId: round.id });
+                    }
+                    return { tickets, draw };
+                }
+
+                await this.applyCoinChange(tx, draw.winner, draw.payout, 'game', { roundId: round.id, gameType: 'lottery' });
+                if (draw.rake > 0) {
+                    await this.applyCoinChange(tx, Database.HOUSE_WALLET, draw.rake, 'rake', { roundId: round.id });
+                }
+
+                for (const entry of tickets) {
+                    await tx.history.insert(
+                        entry.user_phone, 'lottery', entry.tickets * round.ticket_price, entry.user_phone === draw.winner ? draw.payout : 0,
+                        JSON.stringify({ ...draw.gameData, tickets: entry.tickets })
+                    );
+                }
+
+                return { tickets, draw };
+            });
+        } catch (error) {
+            if (error.message !== 'Lottery already drawn') {
+                this.logger.error({ err: error }, 'Error closing lottery');
+            }
+            throw error;
+        }
+    }
+
+    // Provably fair seeds
+    async getFairnessSeed(userPhone) {
+        try {
+            return await this.storage.seeds.find(userPhone);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error getting fairness seed');
+            throw error;
+        }
+    }
+
+    // The user's active seed, starting them on `seed` if they have none. The
+    // lookup and the insert share a transaction, so concurrent first games
+    // end up on the same seed.
+    async ensureFairnessSeed(userPhone, seed) {
+        try {
+            return await this.transaction(async (tx) => {
+                const current = await tx.seeds.find(userPhone);
+                if (current) {
+                    return current;
+                }
+
+                await tx.seeds.create(userPhone, seed.serverSeed, seed.serverSeedHash, seed.clientSeed);
+                return tx.seeds.find(userPhone);
+            });
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error creating fairness seed');
+            throw error;
+        }
+    }
+
+    // Returns the active seed with the nonce to use, and consumes that nonce
+    async useFairnessNonce(userPhone) {
+        try {
+            return await this.transaction(async (tx) => {
+                const seed = await tx.seeds.find(userPhone);
+                if (!seed) {
+                    throw new Error('No fairness seed');
+                }
+
+                await tx.seeds.incrementNonce(userPhone);
+                return seed;
+            });
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error using fairness nonce');
+            throw error;
+        }
+    }
+
+    // Reveal the active server seed and replace it; returns the revealed seed.
+    // Refused ('Game in progress') while a blackjack hand dealt from it is open.
+    async rotateFairnessSeed(userPhone, seed) {
+        try {
+            return await this.transaction(async (tx) => {
+                const current = await tx.seeds.find(userPhone);
+                if (!current) {
+                    throw new Error('No fairness seed');
+                }
+                // An open hand's deck comes from this seed; revealing it
+                // would show the cards still to come
+                if (await tx.sessions.find(userPhone, 'blackjack')) {
+                    throw new Error('Game in progress');
+                }
+
+                await tx.seeds.reveal(current);
+                await tx.seeds.replace(userPhone, seed.serverSeed, seed.serverSeedHash, seed.clientSeed);
+                return current;
+            });
+        } catch (error) {
+            if (error.message !== 'Game in progress') {
+                this.logger.error({ err: error }, 'Error rotating fairness seed');
+            }
+            throw error;
+        }
+    }
+
+    async getRevealedSeed(serverSeedHash) {
+        try {
+            return await this.storage.seeds.findRevealed(serverSeedHash);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error getting revealed seed');
             throw error;
         }
     }
 
     // Game history for auditing
+    async getGameRecord(gameId) {
+        try {
+            return await this.storage.history.find(gameId);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error getting game record');
+            throw error;
+        }
+    }
+
     async recordGameHistory(userPhone, gameType, betAmount, winAmount, gameData) {
         try {
-            await this.db.run(
-                'INSERT INTO game_history (user_phone, game_type, bet_amount, win_amount, game_data) VALUES (?, ?, ?, ?, ?)',
-                [userPhone, gameType, betAmount, winAmount, JSON.stringify(gameData)]
-            );
+            await this.storage.history.insert(userPhone, gameType, betAmount, winAmount, JSON.stringify(gameData));
         } catch (error) {
-            console.error('Error recording game history:', error);
+            this.logger.error({ err: error }, 'Error recording game history');
             // Don't throw error here as it shouldn't break game flow
         }
     }
@@ -211,29 +948,83 @@ class Database {
     // Security: Get user statistics (for fraud detection)
     async getUserStats(phoneNumber, hours = 24) {
         try {
-            const stats = await this.db.get(`
-                SELECT 
-                    COUNT(*) as game_count,
-                    SUM(CASE WHEN win_amount > bet_amount THEN 1 ELSE 0 END) as wins,
-                    SUM(bet_amount) as total_bet,
-                    SUM(win_amount) as total_won
-                FROM game_history 
-                WHERE user_phone = ? 
-                AND created_at > datetime('now', '-${hours} hours')
-            `, [phoneNumber]);
-
-            return stats;
+            return await this.storage.history.summary(phoneNumber, Database.since(hours));
         } catch (error) {
-            console.error('Error getting user stats:', error);
+            this.logger.error({ err: error }, 'Error getting user stats');
             return null;
         }
     }
 
-    async close() {
-        if (this.db) {
-            await this.db.close();
+    // Leaderboards and player statistics. `hours` is how far back to look, or
+    // null for all time. `walletSuffix` scopes results to an isolated group
+    // economy; null means the shared economy.
+    walletScope(walletSuffix) {
+        return walletSuffix
+            ? { suffix: walletSuffix, exclude: [] }
+            : { suffix: null, exclude: [Database.HOUSE_WALLET] };
+    }
+
+    async getLeaderboard(kind, hours, walletSuffix, limit = 10) {
+        try {
+            const scope = this.walletScope(walletSuffix);
+            if (kind === 'rich') {
+                return await this.storage.users.top(scope, limit);
+            }
+
+            return await this.storage.history.leaderboard(kind, scope, Database.since(hours), limit);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error getting leaderboard');
+            throw error;
+        }
+    }
+
+    async getStatsByGame(phoneNumber, hours) {
+        try {
+            return await this.storage.history.byGame(phoneNumber, Database.since(hours));
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error getting stats by game');
+            throw error;
+        }
+    }
+
+    // Rounds, coins staked and coins paid out per game, across every player
+    async getGameTotals() {
+        try {
+            return await this.storage.history.totals();
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error getting game totals');
+            throw error;
         }
     }
+
+    // Win/loss flags in play order, for streak calculation
+    async getGameOutcomes(phoneNumber, hours) {
+        try {
+            return await this.storage.history.outcomes(phoneNumber, Database.since(hours));
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error getting game outcomes');
+            throw error;
+        }
+    }
+
+    // Start of a window reaching `hours` back from now; null for all time
+    static since(hours) {
+        return hours ? new Date(Date.now() - hours * 60 * 60 * 1000) : null;
+    }
 }
 
+// Wallet that collects the house rake from player-vs-player games
+Database.HOUSE_WALLET = 'house';
+
+// Expected reasons claimCode() rejects a claim with
+Database.CLAIM_ERRORS = Object.freeze([
+    'Invalid code',
+    'Code expired',
+    'Code not available to user',
+    'Code not available in chat',
+    'Account too new',
+    'Code already redeemed by this user',
+    'Code fully redeemed'
+]);
+
 module.exports = Database;
\ No newline at end of file
@@ -0,0 +1,159 @@
+// src/security/fairnessManager.js - Provably fair outcomes from committed server seeds
+const crypto = require('crypto');
+const RandomService = require('./randomService');
+const config = require('../../config');
+const { defaultLogger } = require('../logging/logger');
+
+class FairnessManager {
+    // options.random is used when provably fair mode is off; options.enabled
+    // overrides config.fairness.enabled (handy for seeded tests); options.logger
+    // is the bot's logger
+    constructor(database, options = {}) {
+        this.db = database;
+        this.logger = options.logger || defaultLogger();
+        this.random = options.random || new RandomService();
+        this.enabled = options.enabled;
+        this.replays = new Map();
+    }
+
+    isEnabled() {
+        return this.enabled !== undefined ? this.enabled : config.fairness.enabled;
+    }
+
+    // Games register replay(rng, gameData) => { result, matches } so .verify
+    // can redo the game's draws from a revealed seed
+    registerReplay(gameType, replay) {
+        this.replays.set(gameType, replay);
+    }
+
+    static hashSeed(serverSeed) {
+        return crypto.createHash('sha256').update(serverSeed).digest('hex');
+    }
+
+    static generateSeed(clientSeed = crypto.randomBytes(4).toString('hex')) {
+        const serverSeed = crypto.randomBytes(32).toString('hex');
+        return { serverSeed, serverSeedHash: FairnessManager.hashSeed(serverSeed), clientSeed };
+    }
+
+    // The random stream for one game: HMAC-SHA256(server seed, "client seed:nonce:n")
+    static createStream(serverSeed, clientSeed, nonce) {
+        return new RandomService(RandomService.hmacSource(serverSeed, `${clientSeed}:${nonce}`));
+    }
+
+    ensureSeed(wallet) {
+        return this.db.ensureFairnessSeed(wallet, FairnessManager.generateSeed());
+    }
+
+    // Random stream for the next game of a user. The proof goes into
+    // game_data so the game can be replayed once the server seed is revealed.
+    async createRng(wallet) {
+        if (!this.isEnabled()) {
+            return { rng: this.random, proof: null };
+        }
+
+        await this.ensureSeed(wallet);
+        const seed = await this.db.useFairnessNonce(wallet);
+
+        return {
+            rng: FairnessManager.createStream(seed.server_seed, seed.client_seed, seed.nonce),
+            proof: {
+                serverSeedHash: seed.server_seed_hash,
+                clientSeed: seed.client_seed,
+                nonce: seed.nonce
+            }
+        };
+    }
+
+    // `prefix` is the chat's command prefix, for the instructions
+    async getSeedInfo(wallet, prefix = '.') {
+        try {
+            const seed = await this.ensureSeed(wallet);
+            return {
+                success: true,
+                message: `🔐 *Provably Fair*\n\n` +
+                        `Server seed hash: ${seed.server_seed_hash}\n` +
+                        `Client seed: ${seed.client_seed}\n` +
+                        `Games on this seed: ${seed.nonce}\n\n` +
+                        `Set your own client seed with *${prefix}seed <text>*. ` +
+                        `Doing so reveals the current server seed so you can check past games with *${prefix}verify <game id>*.`
+            };
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error getting seed info');
+            return { success: false, message: '❌ Failed to load your seeds' };
+        }
+    }
+
+    // Setting a client seed rotates the server seed and reveals the old one
+    async setClientSeed(wallet, clientSeed) {
+        try {
+            if (!/^[a-zA-Z0-9_-]{1,32}$/.test(clientSeed || '')) {
+                return { success: false, message: '❌ Client seed must be 1-32 letters, numbers, - or _' };
+            }
+
+            await this.ensureSeed(wallet);
+            const next = FairnessManager.generateSeed(clientSeed);
+            const revealed = await this.db.rotateFairnessSeed(wallet, next);
+
+            return {
+                success: true,
+                message: `🔐 *Seeds Rotated*\n\n` +
+                        `Previous server seed: ${revealed.server_seed}\n` +
+                        `Previous hash: ${revealed.server_seed_hash}\n` +
+                        `Previous client seed: ${revealed.client_seed} (${revealed.nonce} games)\n\n` +
+                        `New server seed hash: ${next.serverSeedHash}\n` +
+                        `New client seed: ${next.clientSeed}`
+            };
+        } catch (error) {
+            if (error.message === 'Game in progress') {
+                return { success: false, message: '❌ Finish your blackjack hand first, its cards come from your current seed' };
+            }
+            this.logger.error({ err: error }, 'Error setting client seed');
+            return { success: false, message: '❌ Failed to update your client seed' };
+        }
+    }
+
+    async verifyGame(gameId, prefix = '.') {
+        try {
+            const game = await this.db.getGameRecord(gameId);
+            const data = game ? JSON.parse(game.game_data || '{}') : null;
+            if (!data || !data.fair) {
+                return { success: false, message: '❌ No provably fair game with that id' };
+            }
+
+            const proof = data.fair;
+            const revealed = await this.db.getRevealedSeed(proof.serverSeedHash);
+            if (!revealed) {
+                return {
+                    success: false,
+                    message: `🔒 Game #${gameId} used a server seed that is still active.\n` +
+                            `Set a new client seed with *${prefix}seed <text>* to reveal it, then verify again.`
+                };
+            }
+
+            const replay = this.replays.get(game.game_type);
+            if (!replay) {
+                return { success: false, message: `❌ ${game.game_type} games cannot be replayed` };
+            }
+
+            const rng = FairnessManager.createStream(revealed.server_seed, proof.clientSeed, proof.nonce);
+            const outcome = replay(rng, data);
+            const matches = outcome.matches && FairnessManager.hashSeed(revealed.server_seed) === proof.serverSeedHash;
+
+            return {
+                success: true,
+                message: `🔍 *Verify Game #${gameId}* (${game.game_type})\n\n` +
+                        `Server seed: ${revealed.server_seed}\n` +
+                        `Server seed hash: ${proof.serverSeedHash}\n` +
+                        `Client seed: ${proof.clientSeed}\n` +
+                        `Nonce: ${proof.nonce}\n\n` +
+                        `Replayed result: ${outcome.result}\n\n` +
+                        `${matches ? '✅ Result verified' : '❌ Result does not match'}`
+            };
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error verifying game');
+            return { success: false, message: '❌ Failed to verify game' };
+        }
+    }
+}
+
+module.exports = FairnessManager;
\ No newline at end of file
@@ -1,94 +1,514 @@
 // src/games/gameManager.js - Secure game logic with fair randomness
 const SecurityManager = require('../security/securityManager');
 const CoinManager = require('../managers/coinManager');
+const FairnessManager = require('../security/fairnessManager');
+const RandomService = require('../security/randomService');
+const roulette = require('./roulette');
+const blackjack = require('./blackjack');
+const slots = require('./slots');
+const rouletteWheel = require('./rouletteWheel');
+const config = require('../../config');
+const { defaultLogger } = require('../logging/logger');
+
+// Reply extras for a settled game: 🎉 on a net win, 💸 on a net loss. The
+// reaction marks the outcome on the player's command at a glance; the result
+// still goes out as text, since only it shows the pocket, reels or cards, the
+// new balance and the game id for .verify, and it is all that reaches chats
+// with reactions switched off.
+function outcomeReply(net, extras = {}) {
+    return net === 0 ? extras : { ...extras, react: net > 0 ? '🎉' : '💸' };
+}
 
 class GameManager {
-    constructor(database) {
+    // options.random injects a RandomService (e.g. a seeded one in tests);
+    // options.provablyFair overrides config.fairness.enabled;
+    // options.security and options.logger share the bot's instances
+    constructor(database, options = {}) {
         this.db = database;
-        this.security = new SecurityManager();
-        this.coinManager = new CoinManager(database);
+        this.logger = options.logger || defaultLogger();
+        this.security = options.security || new SecurityManager(database, { logger: this.logger });
+        this.coinManager = new CoinManager(database, { logger: this.logger });
+        this.random = options.random || new RandomService();
+        this.fairness = new FairnessManager(database, { random: this.random, enabled: options.provablyFair, logger: this.logger });
+
+        // Throws if the configured paytable is invalid or pays out over 100%
+        this.machine = slots.loadMachine(config.games.slots);
+        this.machineSettings = config.games.slots;
+
+        this.fairness.registerReplay('roulette', (rng, data) => {
+            const number = rng.int(0, roulette.POCKETS - 1);
+            return { result: `${number} ${roulette.colorOf(number)}`, matches: number === data.number };
+        });
+        this.fairness.registerReplay('guess', (rng, data) => {
+            // Games from before the range was configurable always used 1-10
+            const [min, max] = data.range || [1, 10];
+            const target = rng.int(min, max);
+            return { result: `${target}`, matches: target === data.target };
+        });
+        this.fairness.registerReplay('slots', (rng, data) => {
+            const sizes = data.reelSizes || this.slotMachine.reels.map(strip => strip.length);
+            const stops = sizes.map(size => rng.int(0, size - 1));
+            return { result: `reel stops ${stops.join(', ')}`, matches: stops.join() === data.stops.join() };
+        });
+        this.fairness.registerReplay('blackjack', (rng, data) => {
+            const cards = rng.shuffledDeck(data.decks).slice(0, data.dealt.length).map(blackjack.cardCode);
+            return { result: `cards dealt ${cards.join(' ')}`, matches: cards.join() === data.dealt.join() };
+        });
     }
 
-    async playRoulette(userPhone, betAmount, choice) {
-        try {
-            // Security validations
-            const rateLimit = this.security.checkRateLimit(userPhone, 'roulette', 20, 5);
-            if (!rateLimit.allowed) {
-                return { success: false, message: rateLimit.error };
-            }
+    // Rebuilt when a config reload replaces the slots settings
+    get slotMachine() {
+        if (this.machineSettings !== config.games.slots) {
+            this.machine = slots.loadMachine(config.games.slots);
+            this.machineSettings = config.games.slots;
+        }
+        return this.machine;
+    }
 
+    // bets: [{ type, label, numbers, payout, amount }] as produced by roulette.parseBets
+    async playRoulette(userPhone, bets, limits = config.games.roulette) {
+        try {
             // Get user balance
             const currentBalance = await this.coinManager.getBalance(userPhone);
-            
-            // Validate bet amount
-            const betValidation = this.security.validateBetAmount(betAmount, currentBalance, 1, 1000);
-            if (!betValidation.valid) {
-                return { success: false, message: `❌ ${betValidation.error}` };
-            }
 
-            // Validate choice
-            if (!['red', 'black'].includes(choice.toLowerCase())) {
-                return { success: false, message: '❌ Please choose either "red" or "black"' };
+            // Validate every stake, then the total against the balance
+            for (const bet of bets) {
+                const betValidation = this.security.validateBetAmount(bet.amount, Infinity, limits.minBet, limits.maxBet);
+                if (!betValidation.valid) {
+                    return { success: false, message: `❌ ${betValidation.error}` };
+                }
             }
 
-            // Generate secure random result
-            const result = this.security.generateSecureRouletteResult();
-            const won = result === choice.toLowerCase();
-            
-            // Calculate winnings
-            let newBalance;
-            let winAmount = 0;
-            
-            if (won) {
-                winAmount = betAmount * 2; // 2x multiplier for winning
-                newBalance = currentBalance + betAmount; // Net gain is bet amount (2x - 1x bet)
-            } else {
-                newBalance = currentBalance - betAmount;
-                winAmount = 0;
+            const totalBet = bets.reduce((sum, bet) => sum + bet.amount, 0);
+            if (totalBet > currentBalance) {
+                return { success: false, message: '❌ Insufficient balance' };
             }
 
-            // Update balance
-            await this.coinManager.updateBalance(userPhone, newBalance);
+            // Spin the wheel once for all bets
+            const { rng, proof } = await this.fairness.createRng(userPhone);
+            const number = rng.int(0, roulette.POCKETS - 1);
+            const color = roulette.colorOf(number);
+            const results = bets.map(bet => ({ ...bet, winAmount: roulette.resolveBet(bet, number) }));
+            const totalWin = results.reduce((sum, bet) => sum + bet.winAmount, 0);
+            const won = totalWin > totalBet;
 
-            // Record game history for auditing
-            await this.db.recordGameHistory(userPhone, 'roulette', betAmount, winAmount, {
-                choice: choice.toLowerCase(),
-                result: result,
-                won: won
+            // Debit the stakes and credit any winnings in one ledger transaction
+            const settlement = await this.coinManager.settleGame(userPhone, 'roulette', totalBet, totalWin, {
+                number: number,
+                color: color,
+                bets: results.map(bet => ({
+                    type: bet.type,
+                    selection: bet.label,
+                    amount: bet.amount,
+                    payout: bet.payout,
+                    winAmount: bet.winAmount
+                })),
+                won: won,
+                fair: proof
             });
 
+            if (!settlement) {
+                return { success: false, message: '❌ Insufficient balance' };
+            }
+
+            const newBalance = settlement.balance;
+            const net = totalWin - totalBet;
+
             // Create response message
-            const resultEmoji = result === 'red' ? '🔴' : '⚫';
+            const betLines = results.map(bet => bet.winAmount > 0
+                ? `✅ ${bet.amount} on ${bet.label} → won ${bet.winAmount}`
+                : `❌ ${bet.amount} on ${bet.label}`);
             const statusEmoji = won ? '🎉' : '💸';
-            
+
             const message = `🎰 *Roulette Result*\n\n` +
-                          `Your choice: ${choice.toLowerCase() === 'red' ? '🔴' : '⚫'} ${choice}\n` +
-                          `Result: ${resultEmoji} ${result}\n\n` +
-                          `${statusEmoji} ${won ? 'You won!' : 'You lost!'}\n` +
-                          `${won ? `+${betAmount}` : `-${betAmount}`} coins\n\n` +
-                          `💰 New balance: ${newBalance} coins`;
+                          `Result: ${roulette.colorEmoji(number)} ${number} ${color}\n\n` +
+                          `${betLines.join('\n')}\n\n` +
+                          `${statusEmoji} ${won ? 'You won!' : net === 0 ? 'You broke even!' : 'You lost!'}\n` +
+                          `${net >= 0 ? `+${net}` : net} coins\n\n` +
+                          `💰 New balance: ${newBalance} coins` +
+                          this.gameFooter(settlement.gameId, proof);
 
-            return { success: true, message, won, newBalance };
+            // The wheel picture is skipped when images are off, it costs a render
+            const image = config.replies.images ? { data: rouletteWheel.render(number), mimetype: 'image/png' } : null;
+            return { success: true, message, won, number, newBalance, reply: outcomeReply(net, image ? { image } : {}) };
 
         } catch (error) {
-            console.error('Roulette game error:', error);
+            this.logger.error({ err: error }, 'Roulette game error');
             return { success: false, message: '❌ An error occurred while playing roulette' };
         }
     }
 
     async playGuessGame(userPhone, guess) {
         try {
-            // Security validations
-            const rateLimit = this.security.checkRateLimit(userPhone, 'guess', 30, 5);
-            if (!rateLimit.allowed) {
-                return { success: false, message: rateLimit.error };
-            }
+            const settings = config.games.guess;
 
             // Validate guess
-            const guessValidation = this.security.validateGuessNumber(guess);
+            const guessValidation = this.security.validateGuessNumber(guess, settings.minNumber, settings.maxNumber);
             if (!guessValidation.valid) {
                 return { success: false, message: `❌ ${guessValidation.error}` };
             }
 
             // Get user balance
-            const currentBalance = await this.coinManager.getBalance(userPhone
\ No newline at end of file
+            const currentBalance = await this.coinManager.getBalance(userPhone);
+            if (currentBalance < settings.lossPenalty) {
+                return { success: false, message: `❌ You need at least ${settings.lossPenalty} coins to play` };
+            }
+
+            // Generate secure random number
+            const { rng, proof } = await this.fairness.createRng(userPhone);
+            const target = rng.int(settings.minNumber, settings.maxNumber);
+            const won = guess === target;
+
+            // The penalty is staked up front, a win returns it plus the reward
+            const winAmount = won ? settings.lossPenalty + settings.winReward : 0;
+            const settlement = await this.coinManager.settleGame(userPhone, 'guess', settings.lossPenalty, winAmount, {
+                guess: guess,
+                target: target,
+                range: [settings.minNumber, settings.maxNumber],
+                won: won,
+                fair: proof
+            });
+
+            if (!settlement) {
+                return { success: false, message: '❌ Insufficient balance' };
+            }
+
+            const newBalance = settlement.balance;
+            const message = `🎯 *Guess Result*\n\n` +
+                          `Your guess: ${guess}\n` +
+                          `Number: ${target}\n\n` +
+                          `${won ? '🎉 Correct!' : '💸 Wrong guess!'}\n` +
+                          `${won ? `+${settings.winReward}` : `-${settings.lossPenalty}`} coins\n\n` +
+                          `💰 New balance: ${newBalance} coins` +
+                          this.gameFooter(settlement.gameId, proof);
+
+            return { success: true, message, won, newBalance, reply: outcomeReply(won ? settings.winReward : -settings.lossPenalty) };
+
+        } catch (error) {
+            this.logger.error({ err: error }, 'Guess game error');
+            return { success: false, message: '❌ An error occurred while playing the guess game' };
+        }
+    }
+
+    async playSlots(userPhone, betAmount, limits = config.games.slots) {
+        try {
+            const currentBalance = await this.coinManager.getBalance(userPhone);
+            const betValidation = this.security.validateBetAmount(betAmount, currentBalance, limits.minBet, limits.maxBet);
+            if (!betValidation.valid) {
+                return { success: false, message: `❌ ${betValidation.error}` };
+            }
+
+            const machine = this.slotMachine;
+            const { rng, proof } = await this.fairness.createRng(userPhone);
+            const { stops, grid, line } = slots.spin(rng, machine.reels);
+            const entry = slots.matchPaytable(machine.paytable, line);
+            const winAmount = entry ? Math.floor(betAmount * entry.payout) : 0;
+            const won = winAmount > betAmount;
+
+            const settlement = await this.coinManager.settleGame(userPhone, 'slots', betAmount, winAmount, {
+                stops: stops,
+                reelSizes: machine.reels.map(strip => strip.length),
+                line: line,
+                payout: entry ? entry.payout : 0,
+                won: won,
+                fair: proof
+            });
+
+            if (!settlement) {
+                return { success: false, message: '❌ Insufficient balance' };
+            }
+
+            const net = winAmount - betAmount;
+            const message = `🎰 *Slots*\n\n` +
+                          `${slots.renderGrid(grid)}\n\n` +
+                          `${won ? `🎉 You won ${winAmount} coins! (${entry.payout}x)` : net === 0 ? '🤝 Bet returned' : '💸 No win'}\n` +
+                          `${net >= 0 ? `+${net}` : net} coins\n\n` +
+                          `💰 New balance: ${settlement.balance} coins` +
+                          this.gameFooter(settlement.gameId, proof);
+
+            return { success: true, message, won, newBalance: settlement.balance, reply: outcomeReply(net) };
+        } catch (error) {
+            this.logger.error({ err: error }, 'Slots game error');
+            return { success: false, message: '❌ An error occurred while playing slots' };
+        }
+    }
+
+    // Blackjack is played over several messages. The hand lives in
+    // game_sessions (so it survives restarts) and its stakes stay locked
+    // until the hand is settled. `prefix` is the chat's command prefix, for
+    // the moves offered.
+    async startBlackjack(userPhone, betAmount, limits = config.games.blackjack, chatJid = null, prefix = '.') {
+        try {
+            const existing = await this.db.getGameSession(userPhone, 'blackjack');
+            if (existing) {
+                const state = JSON.parse(existing.state);
+                return {
+                    success: false,
+                    message: `❌ You already have a hand in progress\n\n${this.formatBlackjack(state, prefix)}`,
+                    reply: { buttons: this.blackjackButtons(state, prefix) }
+                };
+            }
+
+            const currentBalance = await this.coinManager.getBalance(userPhone);
+            const betValidation = this.security.validateBetAmount(betAmount, currentBalance, limits.minBet, limits.maxBet);
+            if (!betValidation.valid) {
+                return { success: false, message: `❌ ${betValidation.error}` };
+            }
+
+            const settings = config.games.blackjack;
+            const { rng, proof } = await this.fairness.createRng(userPhone);
+            const state = {
+                chatJid,
+                decks: settings.decks,
+                deck: rng.shuffledDeck(settings.decks),
+                dealt: [],
+                dealer: [],
+                hands: [{ cards: [], bet: betAmount, doubled: false, done: false }],
+                active: 0,
+                proof
+            };
+
+            const hand = state.hands[0];
+            hand.cards.push(this.drawCard(state));
+            state.dealer.push(this.drawCard(state));
+            hand.cards.push(this.drawCard(state));
+            state.dealer.push(this.drawCard(state));
+
+            // Naturals settle straight away
+            if (blackjack.isBlackjack(hand.cards) || blackjack.isBlackjack(state.dealer)) {
+                hand.done = true;
+                const outcome = this.resolveBlackjack(state);
+                const settlement = await this.coinManager.settleGame(userPhone, 'blackjack', outcome.totalBet, outcome.totalWin, outcome.gameData);
+                if (!settlement) {
+                    return { success: false, message: '❌ Insufficient balance' };
+                }
+                return this.blackjackResult(state, outcome, settlement);
+            }
+
+            const expiresAt = Date.now() + settings.sessionTimeoutMinutes * 60 * 1000;
+            await this.db.openGameSession(userPhone, 'blackjack', state, betAmount, expiresAt);
+
+            return this.blackjackTurn(state, prefix);
+        } catch (error) {
+            if (error.message === 'Insufficient balance') {
+                return { success: false, message: '❌ Insufficient balance' };
+            }
+            if (error.message === 'Session already open') {
+                return { success: false, message: '❌ You already have a hand in progress' };
+            }
+            this.logger.error({ err: error }, 'Blackjack game error');
+            return { success: false, message: '❌ An error occurred while playing blackjack' };
+        }
+    }
+
+    // action: 'hit', 'stand', 'double' or 'split'
+    async blackjackAction(userPhone, action, prefix = '.') {
+        try {
+            const session = await this.db.getGameSession(userPhone, 'blackjack');
+            if (!session) {
+                return { success: false, message: `❌ You have no blackjack hand in progress. Start one with ${prefix}blackjack <bet>` };
+            }
+
+            const state = JSON.parse(session.state);
+            const hand = state.hands[state.active];
+            let extraLock = 0;
+
+            switch (action) {
+                case 'hit':
+                    hand.cards.push(this.drawCard(state));
+                    hand.done = blackjack.handValue(hand.cards).total >= 21;
+                    break;
+                case 'stand':
+                    hand.done = true;
+                    break;
+                case 'double':
+                    if (!blackjack.canDouble(hand)) {
+                        return { success: false, message: '❌ You can only double on your first two cards' };
+                    }
+                    extraLock = hand.bet;
+                    hand.bet *= 2;
+                    hand.doubled = true;
+                    hand.cards.push(this.drawCard(state));
+                    hand.done = true;
+                    break;
+                case 'split': {
+                    if (!blackjack.canSplit(state.hands, hand)) {
+                        return { success: false, message: '❌ You can only split a starting pair, once' };
+                    }
+                    extraLock = hand.bet;
+                    const splitAces = hand.cards[0].rank === 'A';
+                    state.hands.push({ cards: [hand.cards.pop()], bet: hand.bet, doubled: false, done: false });
+                    for (const splitHand of state.hands) {
+                        splitHand.cards.push(this.drawCard(state));
+                        // Split aces get one card each
+                        splitHand.done = splitAces || blackjack.handValue(splitHand.cards).total === 21;
+                    }
+                    break;
+                }
+                default:
+                    return { success: false, message: '❌ Unknown blackjack action' };
+            }
+
+            while (state.active < state.hands.length && state.hands[state.active].done) {
+                state.active++;
+            }
+
+            const expiresAt = Date.now() + config.games.blackjack.sessionTimeoutMinutes * 60 * 1000;
+            if (extraLock > 0 || state.active < state.hands.length) {
+                session.version = await this.db.updateGameSession(session, state, extraLock, expiresAt);
+                session.locked_amount += extraLock;
+            }
+
+            if (state.active < state.hands.length) {
+                return this.blackjackTurn(state, prefix);
+            }
+
+            return await this.closeBlackjack(session, state);
+        } catch (error) {
+            if (error.message === 'Insufficient balance') {
+                return { success: false, message: `❌ Not enough coins to ${action}` };
+            }
+            if (error.message === 'Session changed') {
+                return { success: false, message: '❌ Your hand was updated by another message, please try again' };
+            }
+            this.logger.error({ err: error }, 'Blackjack action error');
+            return { success: false, message: '❌ An error occurred while playing blackjack' };
+        }
+    }
+
+    // Stand every abandoned hand whose session has timed out. Returns the
+    // result messages so the bot can deliver them to the chats involved.
+    async expireBlackjackSessions() {
+        const notices = [];
+        const sessions = await this.db.getExpiredGameSessions('blackjack');
+
+        for (const session of sessions) {
+            try {
+                const state = JSON.parse(session.state);
+                state.hands.forEach(hand => { hand.done = true; });
+                state.active = state.hands.length;
+
+                const result = await this.closeBlackjack(session, state);
+                notices.push({
+                    chatJid: state.chatJid,
+                    userPhone: session.user_phone,
+                    message: `⏰ Your blackjack hand timed out and was stood automatically\n\n${result.message}`
+                });
+            } catch (error) {
+                if (error.message !== 'Session changed') {
+                    this.logger.error({ err: error }, 'Error expiring blackjack session');
+                }
+            }
+        }
+
+        return notices;
+    }
+
+    async closeBlackjack(session, state) {
+        const outcome = this.resolveBlackjack(state);
+        const settlement = await this.db.closeGameSession(session, outcome.totalWin, outcome.gameData);
+        return this.blackjackResult(state, outcome, settlement);
+    }
+
+    drawCard(state) {
+        const card = state.deck.shift();
+        state.dealt.push(blackjack.cardCode(card));
+        return card;
+    }
+
+    // Play out the dealer and work out every hand's payout
+    resolveBlackjack(state) {
+        const isSplit = state.hands.length > 1;
+        const anyLive = state.hands.some(hand => !blackjack.isBust(hand.cards));
+        const natural = !isSplit && blackjack.isBlackjack(state.hands[0].cards);
+
+        if (anyLive && !natural) {
+            state.dealer = blackjack.playDealer(state.dealer, () => this.drawCard(state));
+        }
+
+        const results = state.hands.map(hand => {
+            const outcome = blackjack.handOutcome(hand, state.dealer, isSplit);
+            return { outcome, winAmount: Math.floor(hand.bet * blackjack.PAYOUTS[outcome]) };
+        });
+
+        const totalBet = state.hands.reduce((sum, hand) => sum + hand.bet, 0);
+        const totalWin = results.reduce((sum, result) => sum + result.winAmount, 0);
+
+        return {
+            results,
+            totalBet,
+            totalWin,
+            gameData: {
+                hands: state.hands.map((hand, i) => ({
+                    cards: hand.cards.map(blackjack.cardCode),
+                    bet: hand.bet,
+                    outcome: results[i].outcome
+                })),
+                dealer: state.dealer.map(blackjack.cardCode),
+                decks: state.decks,
+                dealt: state.dealt,
+                won: totalWin > totalBet,
+                fair: state.proof
+            }
+        };
+    }
+
+    // Moves open to the active hand
+    blackjackMoves(state) {
+        const hand = state.hands[state.active];
+        const moves = ['hit', 'stand'];
+        if (blackjack.canDouble(hand)) {
+            moves.push('double');
+        }
+        if (blackjack.canSplit(state.hands, hand)) {
+            moves.push('split');
+        }
+        return moves;
+    }
+
+    blackjackButtons(state, prefix = '.') {
+        return this.blackjackMoves(state).map(move => ({ id: prefix + move, text: move[0].toUpperCase() + move.slice(1) }));
+    }
+
+    // A hand waiting for the player's next move
+    blackjackTurn(state, prefix) {
+        return { success: true, message: this.formatBlackjack(state, prefix), reply: { buttons: this.blackjackButtons(state, prefix) } };
+    }
+
+    formatBlackjack(state, prefix = '.') {
+        const lines = [`🃏 *Blackjack*\n`, `Dealer: ${blackjack.formatHand(state.dealer, true)}`];
+        state.hands.forEach((hand, i) => {
+            const label = state.hands.length > 1 ? `Hand ${i + 1}` : 'You';
+            const marker = state.hands.length > 1 && i === state.active ? ' 👈' : '';
+            lines.push(`${label}: ${blackjack.formatHand(hand.cards)}${marker}`);
+        });
+
+        const options = this.blackjackMoves(state).map(move => prefix + move);
+        return `${lines.join('\n')}\n\nType ${options.join(', ')}`;
+    }
+
+    blackjackResult(state, outcome, settlement) {
+        const labels = { blackjack: '🎉 Blackjack!', win: '🎉 Win', push: '🤝 Push', lose: '💸 Lose' };
+        const handLines = state.hands.map((hand, i) => {
+            const label = state.hands.length > 1 ? `Hand ${i + 1}` : 'You';
+            return `${label}: ${blackjack.formatHand(hand.cards)} - ${labels[outcome.results[i].outcome]}`;
+        });
+        const net = outcome.totalWin - outcome.totalBet;
+
+        const message = `🃏 *Blackjack Result*\n\n` +
+                      `Dealer: ${blackjack.formatHand(state.dealer)}\n` +
+                      `${handLines.join('\n')}\n\n` +
+                      `${net >= 0 ? `+${net}` : net} coins\n\n` +
+                      `💰 New balance: ${settlement.balance} coins` +
+                      this.gameFooter(settlement.gameId, state.proof);
+
+        return { success: true, message, won: net > 0, newBalance: settlement.balance, reply: outcomeReply(net) };
+    }
+
+    // Game id line for provably fair results, so players can .verify them
+    gameFooter(gameId, proof) {
+        return proof ? `\n\n🔐 Game #${gameId} (nonce ${proof.nonce})` : '';
+    }
+}
+
+module.exports = GameManager;
\ No newline at end of file
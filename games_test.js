@@ -0,0 +1,125 @@
+// test/games.test.js - Game outcomes replayed from scripted random sequences
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('../src/database/database');
+const MemoryStorage = require('../src/database/memoryStorage');
+const GameManager = require('../src/games/gameManager');
+const RandomService = require('../src/security/randomService');
+const roulette = require('../src/games/roulette');
+const { createLogger } = require('../src/logging/logger');
+
+const PLAYER = '6281111111111';
+
+// A game manager on a fresh in-memory database whose randomness replays
+// `values` (uint32s); provably fair streams are off so the sequence is used
+async function setup(values) {
+    const logger = createLogger({ level: 'silent' });
+    const db = new Database(new MemoryStorage(), { logger });
+    await db.init();
+    const games = new GameManager(db, {
+        random: new RandomService(RandomService.sequenceSource(values)),
+        provablyFair: false,
+        logger
+    });
+    return { db, games };
+}
+
+async function balanceOf(db, phone) {
+    return (await db.getUser(phone)).coins;
+}
+
+test('roulette pays the bets covering the pocket drawn', async () => {
+    const { db, games } = await setup([17]);
+    const { bets } = roulette.parseBets(['100', 'black', '50', '17', '100', 'red'], 10);
+
+    const result = await games.playRoulette(PLAYER, bets);
+
+    assert.equal(result.success, true);
+    assert.equal(result.number, 17);
+    assert.match(result.message, /Result: ⚫ 17 black/);
+    // black returns 200, the straight on 17 returns 50 * 36, red loses
+    assert.equal(result.newBalance, 1000 - 250 + 200 + 1800);
+    assert.equal(await balanceOf(db, PLAYER), result.newBalance);
+    await db.close();
+});
+
+test('roulette zero loses every outside bet', async () => {
+    const { db, games } = await setup([0]);
+    const { bets } = roulette.parseBets(['100', 'black', '100', 'red'], 10);
+
+    const result = await games.playRoulette(PLAYER, bets);
+
+    assert.equal(result.number, 0);
+    assert.equal(result.won, false);
+    assert.equal(await balanceOf(db, PLAYER), 800);
+    await db.close();
+});
+
+test('guess rewards the number drawn and charges the penalty otherwise', async () => {
+    // 1 + 4 % 10 and 1 + 0 % 10 with the default 1-10 range
+    const { db, games } = await setup([4, 0]);
+
+    const win = await games.playGuessGame(PLAYER, 5);
+    assert.equal(win.won, true);
+    assert.match(win.message, /Number: 5/);
+    assert.equal(win.newBalance, 1050);
+
+    const loss = await games.playGuessGame(PLAYER, 5);
+    assert.equal(loss.won, false);
+    assert.match(loss.message, /Number: 1/);
+    assert.equal(loss.newBalance, 1040);
+
+    assert.equal(await balanceOf(db, PLAYER), 1040);
+    await db.close();
+});
+
+test('slots stops the reels where the sequence says', async () => {
+    // The 💎 on each of the default reels
+    const { db, games } = await setup([6, 7, 5]);
+
+    const result = await games.playSlots(PLAYER, 5);
+
+    assert.equal(result.won, true);
+    assert.match(result.message, /▶ 💎 💎 💎 ◀/);
+    assert.match(result.message, /You won 1000 coins! \(200x\)/);
+    assert.equal(await balanceOf(db, PLAYER), 1000 - 5 + 1000);
+    await db.close();
+});
+
+test('slots pays nothing off the paytable', async () => {
+    // 🍋 🍒 🍊 on the payline
+    const { db, games } = await setup([1, 1, 0]);
+
+    const result = await games.playSlots(PLAYER, 5);
+
+    assert.equal(result.won, false);
+    assert.match(result.message, /▶ 🍋 🍒 🍊 ◀/);
+    assert.equal(await balanceOf(db, PLAYER), 995);
+    await db.close();
+});
+
+test('blackjack deals from the shuffled deck in turn', async () => {
+    // Drawing 0 at every Fisher-Yates step turns the ordered deck by one
+    // card, so the deal starts at 2♠
+    const { db, games } = await setup([0]);
+
+    const start = await games.startBlackjack(PLAYER, 100);
+    assert.equal(start.success, true);
+    assert.match(start.message, /Dealer: 3♠ 🂠/);
+    assert.match(start.message, /You: 2♠ 4♠ \(6\)/);
+    assert.deepEqual(start.reply.buttons.map(button => button.id), ['.hit', '.stand', '.double']);
+
+    const session = await db.getGameSession(PLAYER, 'blackjack');
+    assert.deepEqual(JSON.parse(session.state).dealt, ['2♠', '3♠', '4♠', '5♠']);
+    assert.equal(await balanceOf(db, PLAYER), 900);
+
+    const hit = await games.blackjackAction(PLAYER, 'hit');
+    assert.match(hit.message, /You: 2♠ 4♠ 6♠ \(12\)/);
+
+    // The dealer's 3♠ 5♠ draws 7♠ and 8♠ and busts
+    const stand = await games.blackjackAction(PLAYER, 'stand');
+    assert.match(stand.message, /3♠ 5♠ 7♠ 8♠ \(23\)/);
+    assert.equal(await balanceOf(db, PLAYER), 1100);
+    assert.equal(await db.getGameSession(PLAYER, 'blackjack'), null);
+    await db.close();
+});
@@ -0,0 +1,159 @@
+// src/managers/groupManager.js - Per-group settings and economy scoping
+const { defaultLogger } = require('../logging/logger');
+
+const DEFAULT_SETTINGS = Object.freeze({
+    prefix: '.',
+    enabledGames: null, // null means every game is enabled
+    minBet: null,
+    maxBet: null,
+    economy: 'shared'
+});
+
+class GroupManager {
+    // options.logger is the bot's logger
+    constructor(database, options = {}) {
+        this.db = database;
+        this.logger = options.logger || defaultLogger();
+        this.cache = new Map();
+    }
+
+    static isGroupJid(jid) {
+        return typeof jid === 'string' && jid.endsWith('@g.us');
+    }
+
+    async getSettings(groupJid) {
+        if (this.cache.has(groupJid)) {
+            return this.cache.get(groupJid);
+        }
+
+        const row = await this.db.getGroupSettings(groupJid);
+        const settings = row ? {
+            prefix: row.prefix || DEFAULT_SETTINGS.prefix,
+            enabledGames: row.enabled_games ? JSON.parse(row.enabled_games) : null,
+            minBet: row.min_bet,
+            maxBet: row.max_bet,
+            economy: row.economy || DEFAULT_SETTINGS.economy
+        } : { ...DEFAULT_SETTINGS };
+
+        this.cache.set(groupJid, settings);
+        return settings;
+    }
+
+    async updateSettings(groupJid, changes) {
+        const settings = { ...(await this.getSettings(groupJid)), ...changes };
+        await this.db.saveGroupSettings(groupJid, settings);
+        this.cache.set(groupJid, settings);
+        return settings;
+    }
+
+    // Wallet key for a user in a chat. Isolated groups get their own wallet per
+    // member, everything else uses the user's global wallet.
+    walletFor(phoneNumber, groupSettings, groupJid) {
+        return phoneNumber + (this.walletSuffix(groupSettings, groupJid) || '');
+    }
+
+    // Suffix shared by every wallet of an isolated group, null for the shared economy
+    walletSuffix(groupSettings, groupJid) {
+        if (groupSettings && groupSettings.economy === 'isolated') {
+            return `@${groupJid.split('@')[0]}`;
+        }
+        return null;
+    }
+
+    isGameEnabled(groupSettings, game) {
+        return !groupSettings || !groupSettings.enabledGames || groupSettings.enabledGames.includes(game);
+    }
+
+    // Group bet limits, narrowed to the global limits
+    betLimits(groupSettings, defaults) {
+        const limits = { ...defaults };
+        if (groupSettings && groupSettings.minBet !== null) {
+            limits.minBet = Math.max(defaults.minBet, groupSettings.minBet);
+        }
+        if (groupSettings && groupSettings.maxBet !== null) {
+            limits.maxBet = Math.min(defaults.maxBet, groupSettings.maxBet);
+        }
+        return limits;
+    }
+
+    validatePrefix(prefix) {
+        if (!/^[^\w\s]{1,3}$/.test(prefix || '')) {
+            return { valid: false, error: 'Prefix must be 1-3 symbols, e.g. "." or "!"' };
+        }
+        return { valid: true };
+    }
+
+    // Apply one `.group <setting> <value>` change
+    async changeSetting(groupJid, setting, value, knownGames) {
+        try {
+            const words = (value || '').toLowerCase().split(/\s+/).filter(Boolean);
+            const current = await this.getSettings(groupJid);
+            let changes;
+
+            switch (setting) {
+                case 'prefix': {
+                    const validation = this.validatePrefix(value);
+                    if (!validation.valid) {
+                        return { success: false, message: `❌ ${validation.error}` };
+                    }
+                    changes = { prefix: value };
+                    break;
+                }
+                case 'enable':
+                case 'disable': {
+                    const game = words[0];
+                    if (!knownGames.includes(game)) {
+                        return { success: false, message: `❌ Unknown game. Available: ${knownGames.join(', ')}` };
+                    }
+                    const enabled = new Set(current.enabledGames || knownGames);
+                    setting === 'enable' ? enabled.add(game) : enabled.delete(game);
+                    changes = { enabledGames: Array.from(enabled) };
+                    break;
+                }
+                case 'limits': {
+                    if (words[0] === 'default') {
+                        changes = { minBet: null, maxBet: null };
+                        break;
+                    }
+                    const [minBet, maxBet] = words.map(word => parseInt(word, 10));
+                    if (!Number.isInteger(minBet) || !Number.isInteger(maxBet) || minBet < 1 || maxBet < minBet) {
+                        return { success: false, message: '❌ Usage: limits <min> <max> (or "limits default")' };
+                    }
+                    changes = { minBet, maxBet };
+                    break;
+                }
+                case 'economy': {
+                    if (!['shared', 'isolated'].includes(words[0])) {
+                        return { success: false, message: '❌ Economy must be "shared" or "isolated"' };
+                    }
+                    changes = { economy: words[0] };
+                    break;
+                }
+                default:
+                    return { success: true, message: this.formatSettings(current) };
+            }
+
+            const updated = await this.updateSettings(groupJid, changes);
+            return { success: true, message: `✅ Settings updated\n\n${this.formatSettings(updated)}` };
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error changing group setting');
+            return { success: false, message: '❌ Failed to update group settings' };
+        }
+    }
+
+    formatSettings(groupSettings) {
+        const games = groupSettings.enabledGames ? groupSettings.enabledGames.join(', ') || 'none' : 'all';
+        const limit = value => value === null ? 'default' : value;
+
+        return `⚙️ *Group Settings*\n\n` +
+               `Prefix: ${groupSettings.prefix}\n` +
+               `Games: ${games}\n` +
+               `Min bet: ${limit(groupSettings.minBet)}\n` +
+               `Max bet: ${limit(groupSettings.maxBet)}\n` +
+               `Economy: ${groupSettings.economy}`;
+    }
+}
+
+GroupManager.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+module.exports = GroupManager;
\ No newline at end of file
@@ -0,0 +1,289 @@
+// src/games/lobbyManager.js - Multiplayer group games: dice duels and lottery pots
+const SecurityManager = require('../security/securityManager');
+const RandomService = require('../security/randomService');
+const CoinManager = require('../managers/coinManager');
+const config = require('../../config');
+const { defaultLogger } = require('../logging/logger');
+
+class LobbyManager {
+    // options.random replaces the secure RNG (handy for seeded tests);
+    // options.security and options.logger share the bot's instances
+    constructor(database, options = {}) {
+        this.db = database;
+        this.logger = options.logger || defaultLogger();
+        this.security = options.security || new SecurityManager(database, { logger: this.logger });
+        this.coinManager = new CoinManager(database, { logger: this.logger });
+        this.random = options.random || new RandomService();
+    }
+
+    // Wallets may carry a group suffix; show only the number
+    displayNumber(wallet) {
+        return wallet.split('@')[0];
+    }
+
+    mention(wallet) {
+        return `@${this.displayNumber(wallet)}`;
+    }
+
+    // Two dice per player, rerolled until someone is ahead
+    rollDuel() {
+        const rounds = [];
+        let challenger;
+        let opponent;
+        do {
+            challenger = [this.random.int(1, 6), this.random.int(1, 6)];
+            opponent = [this.random.int(1, 6), this.random.int(1, 6)];
+            rounds.push({ challenger, opponent });
+        } while (challenger[0] + challenger[1] === opponent[0] + opponent[1]);
+        return rounds;
+    }
+
+    // The challenger's stake is escrowed until the duel is accepted, declined or
+    // times out. `prefix` is the chat's command prefix, for the instructions.
+    async challenge(chatJid, challenger, opponent, betAmount, limits = config.games.duel, prefix = '.') {
+        try {
+            if (challenger === opponent) {
+                return { success: false, message: '❌ You cannot duel yourself' };
+            }
+
+            const balance = await this.coinManager.getBalance(challenger);
+            const betValidation = this.security.validateBetAmount(betAmount, balance, limits.minBet, limits.maxBet);
+            if (!betValidation.valid) {
+                return { success: false, message: `❌ ${betValidation.error}` };
+            }
+
+            const timeout = config.games.duel.acceptTimeoutMinutes;
+            await this.db.createDuel(chatJid, challenger, opponent, betAmount, Date.now() + timeout * 60 * 1000);
+
+            return {
+                success: true,
+                message: `⚔️ *Dice Duel*\n\n` +
+                        `${this.mention(challenger)} challenges ${this.mention(opponent)} for ${betAmount} coins!\n\n` +
+                        `${this.mention(opponent)}, type *${prefix}accept* or *${prefix}decline* within ${timeout} minutes.`
+            };
+        } catch (error) {
+            if (error.message === 'Duel already pending') {
+                return { success: false, message: '⏳ You already have a duel waiting in this chat' };
+            }
+            if (error.message === 'Insufficient balance') {
+                return { success: false, message: '❌ Insufficient balance' };
+            }
+            this.logger.error({ err: error }, 'Duel challenge error');
+            return { success: false, message: '❌ Failed to start the duel' };
+        }
+    }
+
+    async acceptDuel(chatJid, opponent) {
+        try {
+            const duel = await this.db.getPendingDuel(chatJid, opponent);
+            if (!duel) {
+                return { success: false, message: '❌ Nobody has challenged you here' };
+            }
+
+            const rounds = this.rollDuel();
+            const final = rounds[rounds.length - 1];
+            const sum = dice => dice[0] + dice[1];
+            const winner = sum(final.challenger) > sum(final.opponent) ? duel.challenger : duel.opponent;
+            const { payout, rake } = this.coinManager.splitPot(duel.bet * 2, config.games.duel.rake);
+
+            const balances = await this.db.settleDuel(duel, winner, payout, rake, {
+                duelId: duel.id,
+                challenger: duel.challenger,
+                opponent: duel.opponent,
+                rounds: rounds,
+                winner: winner,
+                rake: rake
+            });
+
+            const rolls = rounds.map(round =>
+                `🎲 ${this.mention(duel.challenger)}: ${round.challenger.join(' + ')} = ${sum(round.challenger)}\n` +
+                `🎲 ${this.mention(duel.opponent)}: ${round.opponent.join(' + ')} = ${sum(round.opponent)}`
+            ).join('\n🔁 Tie, rolling again...\n');
+
+            return {
+                success: true,
+                message: `⚔️ *Dice Duel* (${duel.bet} coins each)\n\n` +
+                        `${rolls}\n\n` +
+                        `🏆 ${this.mention(winner)} wins ${payout} coins!` +
+                        `${rake > 0 ? ` (house rake ${rake})` : ''}\n\n` +
+                        `💰 ${this.mention(duel.challenger)}: ${balances[duel.challenger]} coins\n` +
+                        `💰 ${this.mention(duel.opponent)}: ${balances[duel.opponent]} coins`
+            };
+        } catch (error) {
+            if (error.message === 'Insufficient balance') {
+                return { success: false, message: '❌ You don\'t have enough coins to accept this duel' };
+            }
+            if (error.message === 'Duel no longer pending') {
+                return { success: false, message: '❌ That duel is no longer open' };
+            }
+            this.logger.error({ err: error }, 'Duel accept error');
+            return { success: false, message: '❌ Failed to play the duel' };
+        }
+    }
+
+    async declineDuel(chatJid, opponent) {
+        try {
+            const duel = await this.db.getPendingDuel(chatJid, opponent);
+            if (!duel) {
+                return { success: false, message: '❌ Nobody has challenged you here' };
+            }
+
+            await this.db.cancelDuel(duel, 'declined');
+            return {
+                success: true,
+                message: `🏳️ ${this.mention(opponent)} declined the duel. ` +
+                        `${this.mention(duel.challenger)}, your ${duel.bet} coins were refunded.`
+            };
+        } catch (error) {
+            if (error.message === 'Duel no longer pending') {
+                return { success: false, message: '❌ That duel is no longer open' };
+            }
+            this.logger.error({ err: error }, 'Duel decline error');
+            return { success: false, message: '❌ Failed to decline the duel' };
+        }
+    }
+
+    // Refund duels nobody accepted in time; returns chat notices
+    async expireDuels() {
+        const notices = [];
+        for (const duel of await this.db.getExpiredDuels()) {
+            try {
+                await this.db.cancelDuel(duel, 'expired');
+                notices.push({
+                    chatJid: duel.chat_jid,
+                    message: `⌛ ${this.mention(duel.opponent)} didn't answer the duel. ` +
+                            `${this.mention(duel.challenger)}, your ${duel.bet} coins were refunded.`
+                });
+            } catch (error) {
+                if (error.message !== 'Duel no longer pending') {
+                    this.logger.error({ err: error }, 'Error expiring duel');
+                }
+            }
+        }
+        return notices;
+    }
+
+    async lotteryStatus(chatJid, wallet, prefix = '.') {
+        try {
+            const round = await this.db.getOpenLottery(chatJid);
+            const settings = config.games.lottery;
+            if (!round) {
+                return {
+                    success: true,
+                    message: `🎟️ *Lottery*\n\n` +
+                            `No draw running. Tickets cost ${settings.ticketPrice} coins; ` +
+                            `buying one with *${prefix}lottery buy [count]* starts a ${settings.durationMinutes} minute round.`
+                };
+            }
+
+            const tickets = await this.db.getLotteryTickets(round.id);
+            const total = tickets.reduce((sum, entry) => sum + entry.tickets, 0);
+            const mine = tickets.find(entry => entry.user_phone === wallet);
+            const minutesLeft = Math.max(0, Math.ceil((round.draw_at - Date.now()) / 60000));
+
+            return {
+                success: true,
+                message: `🎟️ *Lottery Round #${round.id}*\n\n` +
+                        `💰 Pot: ${total * round.ticket_price} coins\n` +
+                        `🎫 Tickets sold: ${total} (${tickets.length} players)\n` +
+                        `🙋 Your tickets: ${mine ? mine.tickets : 0}\n` +
+                        `⏰ Draw in ${minutesLeft} minutes\n\n` +
+                        `Buy with *${prefix}lottery buy [count]* (${round.ticket_price} coins each)`
+            };
+        } catch (error) {
+            this.logger.error({ err: error }, 'Lottery status error');
+            return { success: false, message: '❌ Failed to load the lottery' };
+        }
+    }
+
+    // Ticket money is escrowed until the draw
+    async buyTickets(chatJid, wallet, count) {
+        try {
+            const settings = config.games.lottery;
+            const entry = await this.db.buyLotteryTickets(chatJid, wallet, count, {
+                ticketPrice: settings.ticketPrice,
+                drawAt: Date.now() + settings.durationMinutes * 60 * 1000,
+                maxTicketsPerUser: settings.maxTicketsPerUser
+            });
+            const balance = await this.coinManager.getBalance(wallet);
+            const minutesLeft = Math.max(0, Math.ceil((entry.drawAt - Date.now()) / 60000));
+
+            return {
+                success: true,
+                message: `🎫 Bought ${count} ticket${count === 1 ? '' : 's'} for round #${entry.roundId} ` +
+                        `(you hold ${entry.tickets}).\n` +
+                        `⏰ Draw in ${minutesLeft} minutes\n\n` +
+                        `💰 New balance: ${balance} coins`
+            };
+        } catch (error) {
+            if (error.message === 'Ticket limit reached') {
+                return {
+                    success: false,
+                    message: `❌ You can hold at most ${config.games.lottery.maxTicketsPerUser} tickets per round`
+                };
+            }
+            if (error.message === 'Insufficient balance') {
+                return { success: false, message: '❌ Insufficient balance' };
+            }
+            this.logger.error({ err: error }, 'Lottery ticket error');
+            return { success: false, message: '❌ Failed to buy tickets' };
+        }
+    }
+
+    // Draw every round whose time is up; returns chat notices
+    async drawDueLotteries() {
+        const notices = [];
+        for (const round of await this.db.getDueLotteries()) {
+            try {
+                notices.push({ chatJid: round.chat_jid, message: await this.drawLottery(round) });
+            } catch (error) {
+                if (error.message !== 'Lottery already drawn') {
+                    this.logger.error({ err: error }, 'Error drawing lottery');
+                }
+            }
+        }
+        return notices;
+    }
+
+    // Each ticket is one chance; rounds with too few players are refunded
+    async drawLottery(round) {
+        const { minPlayers, rake: rakeRate } = config.games.lottery;
+        const countTickets = entries => entries.reduce((sum, entry) => sum + entry.tickets, 0);
+
+        // Runs inside the transaction that closes the round
+        const decide = (entries) => {
+            if (entries.length < minPlayers) {
+                return null;
+            }
+
+            const winner = this.random.weighted(entries.map(entry => ({ value: entry.user_phone, weight: entry.tickets })));
+            const { payout, rake } = this.coinManager.splitPot(countTickets(entries) * round.ticket_price, rakeRate);
+            return {
+                winner,
+                payout,
+                rake,
+                gameData: {
+                    roundId: round.id,
+                    totalTickets: countTickets(entries),
+                    players: entries.length,
+                    winner: winner,
+                    rake: rake
+                }
+            };
+        };
+
+        const { tickets, draw } = await this.db.closeLottery(round, decide);
+        if (!draw) {
+            return `🎟️ Lottery round #${round.id} needed at least ${minPlayers} players. ` +
+                   `All tickets were refunded.`;
+        }
+
+        const { winner, payout, rake } = draw;
+        const winning = tickets.find(entry => entry.user_phone === winner);
+        return `🎉 *Lottery Round #${round.id}*\n\n` +
+               `🏆 ${this.mention(winner)} wins ${payout} coins with ${winning.tickets} of ${countTickets(tickets)} tickets!` +
+               `${rake > 0 ? ` (house rake ${rake})` : ''}`;
+    }
+}
+
+module.exports = LobbyManager;
@@ -0,0 +1,111 @@
+// src/logging/logger.js - Structured JSON logging with redacted phone numbers and correlation ids
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const pino = require('pino');
+const config = require('../../config');
+
+/*
+ * The bot creates one logger and hands it to every manager through
+ * `options.logger`; code running outside the bot (scripts, a manager built on
+ * its own) falls back to defaultLogger(). Log calls follow pino:
+ *
+ *   logger.info('Bot started successfully');
+ *   logger.error({ err: error }, 'Error settling game');
+ *
+ * Phone numbers are masked in the fields that hold them (PHONE_FIELDS) and
+ * wherever a WhatsApp JID turns up in a message or field; other numbers,
+ * such as timestamps and ids, are logged as they are. Entries written while
+ * handling an incoming message carry that message's correlationId.
+ */
+
+const correlation = new AsyncLocalStorage();
+
+// Fields holding a phone number, a JID or a wallet, at the top level of an
+// entry or one object down (pino redact paths)
+const PHONE_FIELDS = ['phoneNumber', 'userPhone', 'senderNumber', 'user', 'wallet', 'jid', 'chatJid'];
+const REDACT_PATHS = PHONE_FIELDS.flatMap(field => [field, `*.${field}`]);
+
+// The number of a user JID, e.g. 6281234567890 in 6281234567890@s.whatsapp.net,
+// or of a multi-device participant id (@lid)
+const JID_NUMBER = /\d+(?=@(?:s\.whatsapp\.net|c\.us|lid)\b)/g;
+
+// 6281****7890, like SecurityManager.maskPhoneNumber
+function maskDigits(digits) {
+    return digits.length <= 8 ? '****' : `${digits.slice(0, 4)}****${digits.slice(-4)}`;
+}
+
+// A phone field's value with its leading number masked; any suffix
+// (@s.whatsapp.net, a group wallet's @<group>) is kept
+function censor(value) {
+    return typeof value === 'string' || typeof value === 'number'
+        ? String(value).replace(/^\d+(?=@|$)/, maskDigits)
+        : value;
+}
+
+function redactPhoneNumbers(text) {
+    return text.replace(JID_NUMBER, maskDigits);
+}
+
+// Copy of a log argument with the JIDs in its strings redacted
+function redact(value, seen = new WeakSet()) {
+    if (typeof value === 'string') {
+        return redactPhoneNumbers(value);
+    }
+    if (value === null || typeof value !== 'object' || seen.has(value)) {
+        return value;
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, seen));
+    }
+
+    // Keep errors as errors so pino still serializes their type and stack
+    const copy = value instanceof Error ? Object.create(Object.getPrototypeOf(value)) : {};
+    for (const key of Object.getOwnPropertyNames(value)) {
+        copy[key] = redact(value[key], seen);
+    }
+    return copy;
+}
+
+function createLogger(options = {}) {
+    return pino({
+        level: options.level || config.logging.level,
+        redact: { paths: REDACT_PATHS, censor },
+        mixin: () => {
+            const id = correlation.getStore();
+            return id ? { correlationId: id } : {};
+        },
+        hooks: {
+            logMethod(args, method) {
+                return method.apply(this, args.map(arg => redact(arg)));
+            }
+        }
+    }, options.destination);
+}
+
+let fallback = null;
+
+function defaultLogger() {
+    if (!fallback) {
+        fallback = createLogger();
+    }
+    return fallback;
+}
+
+// Run work() with every log entry it writes tagged with `id` (a fresh one by default)
+function withCorrelationId(work, id = crypto.randomBytes(6).toString('hex')) {
+    return correlation.run(id, work);
+}
+
+function currentCorrelationId() {
+    return correlation.getStore() || null;
+}
+
+module.exports = {
+    createLogger,
+    defaultLogger,
+    withCorrelationId,
+    currentCorrelationId,
+    redactPhoneNumbers
+};
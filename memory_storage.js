@@ -0,0 +1,522 @@
+// src/database/memoryStorage.js - In-memory storage backend for tests and scripted runs
+const migrations = require('./migrations');
+const { SerialQueue, timestamp, parseTimestamp } = require('./repositories');
+
+/*
+ * Mirrors SqliteStorage row for row: the same column names, defaults and
+ * return values, so Database behaves identically on either. Nothing is
+ * persisted; every instance starts empty.
+ *
+ *   const db = new Database(new MemoryStorage());
+ *   await db.init();
+ */
+
+// Column defaults, as in the CREATE TABLE statements of migrations.js
+const TABLES = {
+    users: () => ({ coins: 1000, created_at: timestamp(), updated_at: timestamp() }),
+    coin_transactions: () => ({ details: null, created_at: timestamp() }),
+    redeem_codes: () => ({ is_active: 1, created_at: timestamp() }),
+    code_redemptions: () => ({ redeemed_at: timestamp() }),
+    game_history: () => ({ created_at: timestamp() }),
+    group_settings: () => ({ prefix: '.', enabled_games: null, economy: 'shared', updated_at: timestamp() }),
+    fairness_seeds: () => ({ nonce: 0, created_at: timestamp() }),
+    revealed_seeds: () => ({ revealed_at: timestamp() }),
+    game_sessions: () => ({ version: 0, created_at: timestamp(), updated_at: timestamp() }),
+    duels: () => ({ status: 'pending', winner: null, created_at: timestamp(), settled_at: null }),
+    lottery_rounds: () => ({ status: 'open', winner: null, created_at: timestamp() }),
+    lottery_tickets: () => ({}),
+    reward_claims: () => ({ last_daily_day: null, daily_streak: 0, last_faucet_at: null }),
+    bans: () => ({ kind: 'ban', created_at: timestamp() }),
+    admin_audit_log: () => ({ created_at: timestamp() }),
+    rate_limits: () => ({}),
+    suspicious_activity: () => ({ points: 1 }),
+    pending_transfers: () => ({})
+};
+
+// Tables keyed by something other than an autoincrement id
+const NATURAL_KEYS = ['group_settings', 'fairness_seeds', 'lottery_tickets', 'reward_claims', 'bans', 'rate_limits', 'pending_transfers'];
+
+function inScope(wallet, scope) {
+    if (scope.suffix) {
+        return wallet.endsWith(scope.suffix);
+    }
+    return !wallet.includes('@') && !(scope.exclude || []).includes(wallet);
+}
+
+function after(since) {
+    return row => !since || row.created_at > timestamp(since);
+}
+
+// COUNT/SUM over game_history rows; SUM of nothing is null, as in SQL
+function summarise(rows) {
+    const sum = pick => (rows.length > 0 ? rows.reduce((total, row) => total + pick(row), 0) : null);
+    return {
+        game_count: rows.length,
+        wins: sum(row => (row.win_amount > row.bet_amount ? 1 : 0)),
+        total_bet: sum(row => row.bet_amount),
+        total_won: sum(row => row.win_amount)
+    };
+}
+
+const copy = row => (row ? { ...row } : null);
+
+class MemoryStorage {
+    constructor() {
+        this.tables = Object.fromEntries(Object.keys(TABLES).map(name => [name, []]));
+        this.lastIds = Object.fromEntries(Object.keys(TABLES).map(name => [name, 0]));
+        this.queue = new SerialQueue();
+        this.openedAt = null;
+
+        const rows = name => this.tables[name];
+        const first = (name, match) => copy(rows(name).find(match));
+        const all = (name, match) => rows(name).filter(match).map(copy);
+        const insert = (name, values) => {
+            const id = NATURAL_KEYS.includes(name) ? {} : { id: ++this.lastIds[name] };
+            const row = { ...id, ...TABLES[name](), ...values };
+            rows(name).push(row);
+            return row;
+        };
+        const remove = (name, match) => {
+            const before = rows(name).length;
+            this.tables[name] = rows(name).filter(row => !match(row));
+            return this.tables[name].length < before;
+        };
+        const newestFirst = (a, b) => b.id - a.id;
+
+        this.users = {
+            find: async (phone) => first('users', user => user.phone_number === phone),
+
+            create: async (phone, coins) => {
+                if (rows('users').some(user => user.phone_number === phone)) {
+                    return false;
+                }
+                insert('users', { phone_number: phone, coins });
+                return true;
+            },
+
+            adjustBalance: async (phone, amount) => {
+                const user = rows('users').find(candidate => candidate.phone_number === phone);
+                if (!user || user.coins + amount < 0) {
+                    return null;
+                }
+                user.coins += amount;
+                user.updated_at = timestamp();
+                return user.coins;
+            },
+
+            phones: async () => rows('users').map(user => user.phone_number),
+
+            firstSeen: async (phone) => {
+                const seen = rows('users')
+                    .filter(user => user.phone_number === phone || user.phone_number.startsWith(`${phone}@`))
+                    .map(user => user.created_at)
+                    .sort();
+                return seen.length > 0 ? parseTimestamp(seen[0]) : null;
+            },
+
+            top: async (scope, limit) => rows('users')
+                .filter(user => inScope(user.phone_number, scope))
+                .sort((a, b) => b.coins - a.coins)
+                .slice(0, limit)
+                .map(user => ({ wallet: user.phone_number, value: user.coins }))
+        };
+
+        this.ledger = {
+            append: async (phone, amount, balanceAfter, reason, details = null) => {
+                insert('coin_transactions', { user_phone: phone, amount, balance_after: balanceAfter, reason, details });
+            },
+
+            recent: async (phone, limit) => all('coin_transactions', entry => entry.user_phone === phone)
+                .sort(newestFirst)
+                .slice(0, limit),
+
+            debitedSince: async (phone, reason, since) => -rows('coin_transactions')
+                .filter(entry => entry.user_phone === phone && entry.reason === reason && entry.amount < 0 &&
+                    entry.created_at >= timestamp(since))
+                .reduce((total, entry) => total + entry.amount, 0),
+
+            mismatches: async () => rows('users')
+                .map(user => ({
+                    phone_number: user.phone_number,
+                    coins: user.coins,
+                    ledger_total: rows('coin_transactions')
+                        .filter(entry => entry.user_phone === user.phone_number)
+                        .reduce((total, entry) => total + entry.amount, 0)
+                }))
+                .filter(user => user.coins !== user.ledger_total)
+        };
+
+        this.codes = {
+            insert: async (code, coinValue, expiresAt, createdBy, maxRedemptions, allowedUsers, allowedGroups, minAccountAgeHours) => {
+                if (rows('redeem_codes').some(existing => existing.code === code)) {
+                    throw new Error('Code already exists');
+                }
+                insert('redeem_codes', {
+                    code,
+                    coin_value: coinValue,
+                    expires_at: expiresAt,
+                    created_by: createdBy,
+                    max_redemptions: maxRedemptions,
+                    allowed_users: allowedUsers,
+                    allowed_groups: allowedGroups,
+                    min_account_age_hours: minAccountAgeHours
+                });
+            },
+
+            findActive: async (code) => first('redeem_codes', row => row.code === code && row.is_active === 1),
+
+            list: async (limit) => all('redeem_codes', () => true)
+                .sort(newestFirst)
+                .slice(0, limit)
+                .map(row => ({ ...row, redemptions: rows('code_redemptions').filter(redemption => redemption.code === row.code).length })),
+
+            deactivate: async (code) => {
+                const row = rows('redeem_codes').find(candidate => candidate.code === code && candidate.is_active === 1);
+                if (row) {
+                    row.is_active = 0;
+                }
+                return Boolean(row);
+            }
+        };
+
+        this.redemptions = {
+            find: async (phone, code) => first('code_redemptions', row => row.user_phone === phone && row.code === code),
+
+            count: async (code) => rows('code_redemptions').filter(row => row.code === code).length,
+
+            insert: async (phone, code, coinsReceived) => {
+                if (rows('code_redemptions').some(row => row.user_phone === phone && row.code === code)) {
+                    throw new Error('Code already redeemed by this user');
+                }
+                insert('code_redemptions', { user_phone: phone, code, coins_received: coinsReceived });
+            }
+        };
+
+        this.history = {
+            insert: async (phone, gameType, betAmount, winAmount, gameData) => insert('game_history', {
+                user_phone: phone,
+                game_type: gameType,
+                bet_amount: betAmount,
+                win_amount: winAmount,
+                game_data: gameData
+            }).id,
+
+            find: async (id) => first('game_history', game => game.id === Number(id)),
+
+            summary: async (phone, since) => summarise(rows('game_history').filter(game => game.user_phone === phone).filter(after(since))),
+
+            byGame: async (phone, since) => {
+                const games = rows('game_history').filter(game => game.user_phone === phone).filter(after(since));
+                return [...new Set(games.map(game => game.game_type))]
+                    .map(gameType => ({ game_type: gameType, ...summarise(games.filter(game => game.game_type === gameType)) }))
+                    .sort((a, b) => b.game_count - a.game_count);
+            },
+
+            totals: async () => {
+                const games = rows('game_history');
+                return [...new Set(games.map(game => game.game_type))].map(gameType => {
+                    const { game_count, total_bet, total_won } = summarise(games.filter(game => game.game_type === gameType));
+                    return { game_type: gameType, game_count, total_bet, total_won };
+                });
+            },
+
+            outcomes: async (phone, since) => rows('game_history')
+                .filter(game => game.user_phone === phone)
+                .filter(after(since))
+                .map(game => ({ won: game.win_amount > game.bet_amount ? 1 : 0 })),
+
+            leaderboard: async (kind, scope, since, limit) => {
+                const values = new Map();
+                for (const game of rows('game_history').filter(after(since))) {
+                    if (inScope(game.user_phone, scope)) {
+                        const value = kind === 'winners' ? game.win_amount - game.bet_amount : 1;
+                        values.set(game.user_phone, (values.get(game.user_phone) || 0) + value);
+                    }
+                }
+
+                return [...values]
+                    .filter(([, value]) => value > 0)
+                    .sort((a, b) => b[1] - a[1])
+                    .slice(0, limit)
+                    .map(([wallet, value]) => ({ wallet, value }));
+            }
+        };
+
+        this.groups = {
+            find: async (groupJid) => first('group_settings', row => row.group_jid === groupJid),
+
+            save: async (groupJid, prefix, enabledGames, minBet, maxBet, economy) => {
+                remove('group_settings', row => row.group_jid === groupJid);
+                insert('group_settings', {
+                    group_jid: groupJid,
+                    prefix,
+                    enabled_games: enabledGames,
+                    min_bet: minBet,
+                    max_bet: maxBet,
+                    economy
+                });
+            }
+        };
+
+        this.sessions = {
+            find: async (phone, gameType) => first('game_sessions', row => row.user_phone === phone && row.game_type === gameType),
+
+            expired: async (gameType, now) => all('game_sessions', row => row.game_type === gameType && row.expires_at <= now),
+
+            insert: async (phone, gameType, state, lockedAmount, expiresAt) => {
+                if (rows('game_sessions').some(row => row.user_phone === phone && row.game_type === gameType)) {
+                    throw new Error('Session already open');
+                }
+                return insert('game_sessions', {
+                    user_phone: phone,
+                    game_type: gameType,
+                    state,
+                    locked_amount: lockedAmount,
+                    expires_at: expiresAt
+                }).id;
+            },
+
+            update: async (id, version, state, extraLock, expiresAt) => {
+                const session = rows('game_sessions').find(row => row.id === id && row.version === version);
+                if (!session) {
+                    return false;
+                }
+                Object.assign(session, {
+                    state,
+                    locked_amount: session.locked_amount + extraLock,
+                    version: version + 1,
+                    expires_at: expiresAt,
+                    updated_at: timestamp()
+                });
+                return true;
+            },
+
+            remove: async (id, version) => remove('game_sessions', row => row.id === id && row.version === version)
+        };
+
+        this.seeds = {
+            find: async (phone) => first('fairness_seeds', row => row.user_phone === phone),
+
+            create: async (phone, serverSeed, serverSeedHash, clientSeed) => {
+                if (!rows('fairness_seeds').some(row => row.user_phone === phone)) {
+                    insert('fairness_seeds', {
+                        user_phone: phone,
+                        server_seed: serverSeed,
+                        server_seed_hash: serverSeedHash,
+                        client_seed: clientSeed
+                    });
+                }
+            },
+
+            incrementNonce: async (phone) => {
+                const seed = rows('fairness_seeds').find(row => row.user_phone === phone);
+                if (seed) {
+                    seed.nonce++;
+                }
+            },
+
+            replace: async (phone, serverSeed, serverSeedHash, clientSeed) => {
+                const seed = rows('fairness_seeds').find(row => row.user_phone === phone);
+                if (seed) {
+                    Object.assign(seed, {
+                        server_seed: serverSeed,
+                        server_seed_hash: serverSeedHash,
+                        client_seed: clientSeed,
+                        nonce: 0,
+                        created_at: timestamp()
+                    });
+                }
+            },
+
+            reveal: async (seed) => {
+                insert('revealed_seeds', {
+                    user_phone: seed.user_phone,
+                    server_seed: seed.server_seed,
+                    server_seed_hash: seed.server_seed_hash,
+                    client_seed: seed.client_seed,
+                    final_nonce: seed.nonce
+                });
+            },
+
+            findRevealed: async (serverSeedHash) => first('revealed_seeds', row => row.server_seed_hash === serverSeedHash)
+        };
+
+        this.duels = {
+            findPendingBy: async (chatJid, challenger) => first('duels', duel =>
+                duel.chat_jid === chatJid && duel.challenger === challenger && duel.status === 'pending'),
+
+            findPendingFor: async (chatJid, opponent, now) => all('duels', duel =>
+                duel.chat_jid === chatJid && duel.opponent === opponent && duel.status === 'pending' && duel.expires_at > now)
+                .sort(newestFirst)[0] || null,
+
+            expired: async (now) => all('duels', duel => duel.status === 'pending' && duel.expires_at <= now),
+
+            insert: async (chatJid, challenger, opponent, bet, expiresAt) => insert('duels', {
+                chat_jid: chatJid,
+                challenger,
+                opponent,
+                bet,
+                expires_at: expiresAt
+            }).id,
+
+            resolve: async (id, status, winner = null) => {
+                const duel = rows('duels').find(row => row.id === id && row.status === 'pending');
+                if (duel) {
+                    Object.assign(duel, { status, winner, settled_at: timestamp() });
+                }
+                return Boolean(duel);
+            }
+        };
+
+        this.lotteries = {
+            findOpen: async (chatJid) => first('lottery_rounds', round => round.chat_jid === chatJid && round.status === 'open'),
+
+            due: async (now) => all('lottery_rounds', round => round.status === 'open' && round.draw_at <= now),
+
+            insert: async (chatJid, ticketPrice, drawAt) => {
+                if (rows('lottery_rounds').some(round => round.chat_jid === chatJid && round.status === 'open')) {
+                    throw new Error('Lottery already open');
+                }
+                return insert('lottery_rounds', { chat_jid: chatJid, ticket_price: ticketPrice, draw_at: drawAt }).id;
+            },
+
+            tickets: async (roundId) => all('lottery_tickets', entry => entry.round_id === roundId)
+                .sort((a, b) => (a.user_phone < b.user_phone ? -1 : 1)),
+
+            ticketsHeld: async (roundId, phone) => {
+                const entry = rows('lottery_tickets').find(row => row.round_id === roundId && row.user_phone === phone);
+                return entry ? entry.tickets : 0;
+            },
+
+            setTickets: async (roundId, phone, tickets) => {
+                remove('lottery_tickets', row => row.round_id === roundId && row.user_phone === phone);
+                insert('lottery_tickets', { round_id: roundId, user_phone: phone, tickets });
+            },
+
+            close: async (id, status, winner = null) => {
+                const round = rows('lottery_rounds').find(row => row.id === id && row.status === 'open');
+                if (round) {
+                    Object.assign(round, { status, winner });
+                }
+                return Boolean(round);
+            }
+        };
+
+        this.rewards = {
+            find: async (phone) => first('reward_claims', row => row.user_phone === phone),
+
+            saveDaily: async (phone, day, streak) => {
+                const claims = rows('reward_claims').find(row => row.user_phone === phone) || insert('reward_claims', { user_phone: phone });
+                Object.assign(claims, { last_daily_day: day, daily_streak: streak });
+            },
+
+            saveFaucet: async (phone, claimedAt) => {
+                const claims = rows('reward_claims').find(row => row.user_phone === phone) || insert('reward_claims', { user_phone: phone });
+                claims.last_faucet_at = claimedAt;
+            }
+        };
+
+        this.bans = {
+            upsert: async (phone, reason, bannedBy, expiresAt, kind) => {
+                remove('bans', row => row.user_phone === phone);
+                insert('bans', { user_phone: phone, reason, banned_by: bannedBy, expires_at: expiresAt, kind });
+            },
+
+            remove: async (phone) => remove('bans', row => row.user_phone === phone),
+
+            findActive: async (phone, now) => first('bans', row =>
+                row.user_phone === phone && (row.expires_at === null || row.expires_at > now))
+        };
+
+        this.audit = {
+            insert: async (actor, role, action, target, details) => {
+                insert('admin_audit_log', { actor, role, action, target, details });
+            },
+
+            recent: async (limit) => all('admin_audit_log', () => true).sort(newestFirst).slice(0, limit)
+        };
+
+        this.limits = {
+            find: async (bucket) => first('rate_limits', row => row.bucket === bucket),
+
+            save: async (bucket, tokens, updatedAt, fullAt) => {
+                remove('rate_limits', row => row.bucket === bucket);
+                insert('rate_limits', { bucket, tokens, updated_at: updatedAt, full_at: fullAt });
+            },
+
+            purge: async (now) => {
+                const before = rows('rate_limits').length;
+                remove('rate_limits', row => row.full_at <= now);
+                return before - rows('rate_limits').length;
+            }
+        };
+
+        this.transfers = {
+            find: async (fromWallet) => first('pending_transfers', row => row.from_wallet === fromWallet),
+
+            save: async (fromWallet, toWallet, amount, expiresAt) => {
+                remove('pending_transfers', row => row.from_wallet === fromWallet);
+                insert('pending_transfers', { from_wallet: fromWallet, to_wallet: toWallet, amount, expires_at: expiresAt });
+            },
+
+            remove: async (fromWallet) => remove('pending_transfers', row => row.from_wallet === fromWallet)
+        };
+
+        this.abuse = {
+            insert: async (phone, activity, points, at) => {
+                insert('suspicious_activity', { user_phone: phone, activity, points, created_at: at });
+            },
+
+            pointsSince: async (phone, after) => rows('suspicious_activity')
+                .filter(row => row.user_phone === phone && row.created_at > after)
+                .reduce((total, row) => total + row.points, 0),
+
+            purge: async (before) => {
+                const count = rows('suspicious_activity').length;
+                remove('suspicious_activity', row => row.created_at < before);
+                return count - rows('suspicious_activity').length;
+            }
+        };
+
+        this.queue.serialize(this);
+    }
+
+    async open() {
+        this.openedAt = timestamp();
+    }
+
+    async close() {
+        await this.queue.idle();
+    }
+
+    // Transactions, and repository calls outside them, run one at a time
+    // (see SerialQueue); a failed transaction restores the tables as they
+    // were when it started
+    transaction(work) {
+        return this.queue.run(async () => {
+            const snapshot = { tables: structuredClone(this.tables), lastIds: { ...this.lastIds } };
+            try {
+                return await work(this);
+            } catch (error) {
+                this.tables = snapshot.tables;
+                this.lastIds = snapshot.lastIds;
+                throw error;
+            }
+        });
+    }
+
+    // Always on the latest schema
+    async migrate() {
+        return [];
+    }
+
+    async migrationStatus() {
+        return migrations.MIGRATIONS.map(({ version, name }) => ({ version, name, appliedAt: this.openedAt }));
+    }
+
+    async backup() {
+        throw new Error('MemoryStorage keeps nothing to back up');
+    }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,92 @@
+// src/transports/memoryTransport.js - An in-process chat for scripted end-to-end tests
+const Transport = require('./transport');
+const Reply = require('./reply');
+
+/*
+ * Nothing leaves the process: replies are collected in `sent` as their text
+ * fallback, with rich replies also kept whole under `reply`. receive()
+ * plays a message in and waits for the bot to finish with it.
+ *
+ *   const transport = new MemoryTransport();
+ *   const bot = new WhatsAppBot({ transport });
+ *   await bot.start();
+ *
+ *   const [balance] = await transport.receive('6281234567890', '.balance');
+ *   // balance.text === '💰 Your balance: 1000 coins'
+ *
+ *   const [spin] = await transport.receive('6281234567890', '.roulette 100 red', { group: 'lobby@g.us' });
+ *   // spin.reply.image, spin.reply.react, ...
+ *   transport.drop();  // simulate a lost connection
+ */
+class MemoryTransport extends Transport {
+    constructor() {
+        super();
+        this.sent = [];
+        this.connected = false;
+        this.connects = 0;
+        this.groupAdmins = new Map(); // group JID -> Set of phone numbers
+        this.nextId = 1;
+    }
+
+    async connect() {
+        this.connected = true;
+        this.connects++;
+        this.emit('open');
+    }
+
+    async send(jid, text) {
+        if (!this.connected) {
+            throw new Error('Not connected');
+        }
+        this.sent.push({ jid, text });
+    }
+
+    async sendReply(jid, reply) {
+        if (!this.connected) {
+            throw new Error('Not connected');
+        }
+        this.sent.push({ jid, text: Reply.toText(reply), reply });
+    }
+
+    setGroupAdmin(groupJid, phoneNumber) {
+        if (!this.groupAdmins.has(groupJid)) {
+            this.groupAdmins.set(groupJid, new Set());
+        }
+        this.groupAdmins.get(groupJid).add(phoneNumber);
+    }
+
+    async isGroupAdmin(groupJid, senderJid) {
+        const admins = this.groupAdmins.get(groupJid);
+        return Boolean(admins && admins.has(senderJid.split('@')[0]));
+    }
+
+    // Deliver `text` from `phoneNumber`, in options.group or their own chat,
+    // and wait until the bot has handled it. Returns the messages the bot sent
+    // meanwhile, to any chat.
+    async receive(phoneNumber, text, options = {}) {
+        const senderJid = `${phoneNumber}@s.whatsapp.net`;
+        const message = {
+            id: `memory-${this.nextId++}`,
+            chatJid: options.group || senderJid,
+            senderJid,
+            text,
+            mentions: options.mentions || []
+        };
+
+        const start = this.sent.length;
+        await Promise.all(this.listeners('message').map(listener => listener(message)));
+        return this.sent.slice(start);
+    }
+
+    // Simulate the connection dropping
+    drop({ reconnect = true, error = new Error('Connection lost') } = {}) {
+        this.connected = false;
+        this.emit('close', { error, reconnect });
+    }
+
+    async disconnect() {
+        this.connected = false;
+    }
+}
+
+module.exports = MemoryTransport;
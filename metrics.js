@@ -0,0 +1,119 @@
+// src/monitoring/metrics.js - Counters and gauges served in the Prometheus text format
+const http = require('http');
+
+/*
+ * A small registry, enough for the bot's own numbers:
+ *
+ *   metrics.counter('bot_commands_total', 'Commands processed', ['command', 'outcome']);
+ *   metrics.inc('bot_commands_total', { command: 'roulette', outcome: 'ok' });
+ *
+ * Collectors registered with collect() run before every scrape, for values
+ * read from elsewhere (e.g. the database) rather than counted as they happen.
+ * listen() serves them at GET /metrics.
+ */
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+class Metrics {
+    constructor() {
+        this.families = new Map();
+        this.collectors = [];
+        this.server = null;
+    }
+
+    define(type, name, help, labelNames) {
+        if (this.families.has(name)) {
+            throw new Error(`Metric already defined: ${name}`);
+        }
+        // Series without labels exist from the start, reading 0
+        const values = new Map(labelNames.length === 0 ? [['', 0]] : []);
+        this.families.set(name, { type, help, labelNames, values });
+    }
+
+    counter(name, help, labelNames = []) {
+        this.define('counter', name, help, labelNames);
+    }
+
+    gauge(name, help, labelNames = []) {
+        this.define('gauge', name, help, labelNames);
+    }
+
+    series(name, labels) {
+        const family = this.families.get(name);
+        if (!family) {
+            throw new Error(`Unknown metric: ${name}`);
+        }
+        const key = family.labelNames.map(label => `${label}="${escapeLabel(labels[label] ?? '')}"`).join(',');
+        return { family, key };
+    }
+
+    inc(name, labels = {}, amount = 1) {
+        const { family, key } = this.series(name, labels);
+        family.values.set(key, (family.values.get(key) || 0) + amount);
+    }
+
+    set(name, labels, value) {
+        const { family, key } = this.series(name, labels);
+        family.values.set(key, value);
+    }
+
+    // Run collector(metrics) before each scrape
+    collect(collector) {
+        this.collectors.push(collector);
+    }
+
+    async render() {
+        for (const collector of this.collectors) {
+            await collector(this);
+        }
+
+        const lines = [];
+        for (const [name, family] of this.families) {
+            lines.push(`# HELP ${name} ${family.help}`, `# TYPE ${name} ${family.type}`);
+            for (const [key, value] of family.values) {
+                lines.push(`${name}${key ? `{${key}}` : ''} ${value}`);
+            }
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    // Serve GET /metrics; resolves once listening
+    listen(port, host, logger) {
+        this.server = http.createServer(async (request, response) => {
+            if (request.method !== 'GET' || request.url.split('?')[0] !== '/metrics') {
+                response.writeHead(404, { 'Content-Type': 'text/plain' });
+                response.end('Not found\n');
+                return;
+            }
+
+            try {
+                const body = await this.render();
+                response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+                response.end(body);
+            } catch (error) {
+                logger.error({ err: error }, 'Error rendering metrics');
+                response.writeHead(500, { 'Content-Type': 'text/plain' });
+                response.end('Error collecting metrics\n');
+            }
+        });
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                resolve(this.server);
+            });
+        });
+    }
+
+    close() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+        const server = this.server;
+        this.server = null;
+        return new Promise(resolve => server.close(() => resolve()));
+    }
+}
+
+module.exports = Metrics;
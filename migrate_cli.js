@@ -0,0 +1,69 @@
+// scripts/migrate.js - Database migration command line
+const Database = require('../src/database/database');
+const migrations = require('../src/database/migrations');
+
+/*
+ * Usage:
+ *
+ *   node scripts/migrate.js status        list migrations and whether they ran
+ *   node scripts/migrate.js up [--to N]   back up, then apply pending migrations
+ *   node scripts/migrate.js backup        copy the database to the backup directory
+ *
+ * The bot also migrates on start, so `up` is only needed to upgrade ahead of
+ * a deploy or to stop at a specific version.
+ */
+
+const USAGE = 'Usage: node scripts/migrate.js <status|up [--to N]|backup>';
+
+function parseTarget(args) {
+    const index = args.indexOf('--to');
+    if (index === -1) {
+        return migrations.latestVersion();
+    }
+
+    const target = Number(args[index + 1]);
+    if (!Number.isInteger(target) || target < 1 || target > migrations.latestVersion()) {
+        throw new Error(`--to must be a version between 1 and ${migrations.latestVersion()}`);
+    }
+    return target;
+}
+
+async function printStatus(db) {
+    for (const migration of await db.migrationStatus()) {
+        const state = migration.appliedAt ? `applied ${migration.appliedAt}` : 'pending';
+        console.log(`${String(migration.version).padStart(3)}  ${migration.name.padEnd(28)} ${state}`);
+    }
+}
+
+async function main(args) {
+    const [command, ...rest] = args;
+    if (!['status', 'up', 'backup'].includes(command)) {
+        console.error(USAGE);
+        return 1;
+    }
+
+    const db = new Database();
+    await db.init({ migrate: false });
+    try {
+        if (command === 'status') {
+            await printStatus(db);
+        } else if (command === 'backup') {
+            console.log(`Backed up database to ${await db.backup()}`);
+        } else {
+            const applied = await db.migrate(parseTarget(rest));
+            if (applied.length === 0) {
+                console.log('Database is up to date');
+            }
+        }
+        return 0;
+    } finally {
+        await db.close();
+    }
+}
+
+main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
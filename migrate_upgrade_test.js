@@ -0,0 +1,86 @@
+// test/migrateUpgrade.test.js - scripts/migrate.js up on a database from before migrations
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const execFile = promisify(require('child_process').execFile);
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const migrations = require('../src/database/migrations');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'v1.sql');
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'migrate.js');
+
+function openFile(filename) {
+    return open({ filename, driver: sqlite3.Database });
+}
+
+test('up brings a v1 database to the latest version and keeps its rows', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-'));
+    const filename = path.join(directory, 'bot.db');
+    const backups = path.join(directory, 'backups');
+
+    try {
+        const fixture = await openFile(filename);
+        await fixture.exec(fs.readFileSync(FIXTURE, 'utf8'));
+        await fixture.close();
+
+        await execFile(process.execPath, [SCRIPT, 'up'], {
+            env: {
+                ...process.env,
+                BOT_DATABASE__STORAGE: 'sqlite',
+                BOT_DATABASE__FILENAME: filename,
+                BOT_DATABASE__BACKUP_DIRECTORY: backups,
+                BOT_LOGGING__LEVEL: 'silent'
+            },
+            timeout: 30000
+        });
+
+        const db = await openFile(filename);
+        try {
+            const versions = await db.all('SELECT version FROM schema_migrations ORDER BY version');
+            assert.deepEqual(versions.map(row => row.version), migrations.MIGRATIONS.map(migration => migration.version));
+            assert.equal(versions[versions.length - 1].version, migrations.latestVersion());
+
+            const users = await db.all('SELECT phone_number, coins FROM users ORDER BY phone_number');
+            assert.deepEqual(users.map(user => [user.phone_number, user.coins]), [
+                ['6281111111111', 1250],
+                ['6282222222222', 900],
+                ['6283333333333', 1000]
+            ]);
+
+            const codes = await db.all('SELECT code, coin_value, is_active, max_redemptions, min_account_age_hours FROM redeem_codes ORDER BY code');
+            assert.deepEqual(codes.map(code => ({ ...code })), [
+                { code: 'OLDPROMO', coin_value: 100, is_active: 0, max_redemptions: null, min_account_age_hours: 0 },
+                { code: 'WELCOME', coin_value: 250, is_active: 1, max_redemptions: null, min_account_age_hours: 0 }
+            ]);
+
+            const redemptions = await db.all('SELECT user_phone FROM code_redemptions WHERE code = ? ORDER BY user_phone', ['WELCOME']);
+            assert.deepEqual(redemptions.map(row => row.user_phone), ['6281111111111', '6282222222222']);
+            assert.equal((await db.get('SELECT COUNT(*) AS count FROM game_history')).count, 1);
+
+            // The ledger opens with each user's balance so the two reconcile
+            const ledger = await db.all(`SELECT user_phone, amount FROM coin_transactions WHERE reason = 'opening_balance' ORDER BY user_phone`);
+            assert.deepEqual(ledger.map(row => row.amount), users.map(user => user.coins));
+        } finally {
+            await db.close();
+        }
+
+        // The backup is the database as it was before the upgrade
+        const files = fs.readdirSync(backups);
+        assert.equal(files.length, 1);
+        assert.match(files[0], new RegExp(`^bot-\\d{8}T\\d{6}-pre-v${migrations.latestVersion()}\\.db$`));
+
+        const backup = await openFile(path.join(backups, files[0]));
+        try {
+            assert.equal((await backup.get('SELECT COUNT(*) AS count FROM users')).count, 3);
+            assert.equal(await backup.get(`SELECT name FROM sqlite_master WHERE name = 'coin_transactions'`), undefined);
+        } finally {
+            await backup.close();
+        }
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
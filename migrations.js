@@ -0,0 +1,412 @@
+// src/database/migrations.js - Versioned schema changes tracked in schema_migrations
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * Each migration runs once, in version order, inside its own transaction, and
+ * is recorded in schema_migrations. Never edit a migration that has shipped;
+ * add a new one with the next version instead.
+ *
+ * Databases from before this table existed were built with CREATE TABLE IF
+ * NOT EXISTS, so every migration is written to be safe on a schema that
+ * already has some of its tables or columns.
+ */
+
+async function hasColumn(db, table, column) {
+    const columns = await db.all(`PRAGMA table_info(${table})`);
+    return columns.some(info => info.name === column);
+}
+
+async function addColumnIfMissing(db, table, column, definition) {
+    if (!(await hasColumn(db, table, column))) {
+        await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial_schema',
+        up: async (db) => {
+            // Users table with encrypted sensitive data
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS users (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    phone_number TEXT UNIQUE NOT NULL,
+                    coins INTEGER DEFAULT 1000,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            // Redeem codes table
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS redeem_codes (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    code TEXT UNIQUE NOT NULL,
+                    coin_value INTEGER NOT NULL,
+                    created_by TEXT NOT NULL,
+                    expires_at DATETIME NOT NULL,
+                    is_active BOOLEAN DEFAULT 1,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            // Code redemptions table (tracks who used which codes)
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS code_redemptions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_phone TEXT NOT NULL,
+                    code TEXT NOT NULL,
+                    coins_received INTEGER NOT NULL,
+                    redeemed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(user_phone, code)
+                )
+            `);
+
+            // Game history table for security auditing
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS game_history (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_phone TEXT NOT NULL,
+                    game_type TEXT NOT NULL,
+                    bet_amount INTEGER,
+                    win_amount INTEGER,
+                    game_data TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            await db.exec(`
+                CREATE INDEX IF NOT EXISTS idx_users_phone ON users(phone_number);
+                CREATE INDEX IF NOT EXISTS idx_redeem_codes_code ON redeem_codes(code);
+                CREATE INDEX IF NOT EXISTS idx_redemptions_user_code ON code_redemptions(user_phone, code);
+            `);
+        }
+    },
+    {
+        version: 2,
+        name: 'coin_ledger',
+        up: async (db) => {
+            // Coin ledger: every credit and debit, with the balance it left behind
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS coin_transactions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_phone TEXT NOT NULL,
+                    amount INTEGER NOT NULL,
+                    balance_after INTEGER NOT NULL,
+                    reason TEXT NOT NULL,
+                    details TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+                CREATE INDEX IF NOT EXISTS idx_transactions_user ON coin_transactions(user_phone, created_at);
+            `);
+
+            // Users created before the ledger existed get a single opening entry so
+            // that their balance reconciles against the ledger sum
+            await db.run(`
+                INSERT INTO coin_transactions (user_phone, amount, balance_after, reason)
+                SELECT phone_number, coins, coins, 'opening_balance' FROM users
+                WHERE phone_number NOT IN (SELECT DISTINCT user_phone FROM coin_transactions)
+            `);
+        }
+    },
+    {
+        version: 3,
+        name: 'group_settings',
+        up: async (db) => {
+            // Per-group settings; NULL columns fall back to the global config
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS group_settings (
+                    group_jid TEXT PRIMARY KEY,
+                    prefix TEXT DEFAULT '.',
+                    enabled_games TEXT,
+                    min_bet INTEGER,
+                    max_bet INTEGER,
+                    economy TEXT DEFAULT 'shared',
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        }
+    },
+    {
+        version: 4,
+        name: 'provably_fair_seeds',
+        up: async (db) => {
+            // Provably fair: each user's active server seed (hash published) and client seed
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS fairness_seeds (
+                    user_phone TEXT PRIMARY KEY,
+                    server_seed TEXT NOT NULL,
+                    server_seed_hash TEXT NOT NULL,
+                    client_seed TEXT NOT NULL,
+                    nonce INTEGER DEFAULT 0,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            // Server seeds that have been rotated out and can now be disclosed
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS revealed_seeds (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_phone TEXT NOT NULL,
+                    server_seed TEXT NOT NULL,
+                    server_seed_hash TEXT UNIQUE NOT NULL,
+                    client_seed TEXT NOT NULL,
+                    final_nonce INTEGER NOT NULL,
+                    revealed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        }
+    },
+    {
+        version: 5,
+        name: 'game_sessions',
+        up: async (db) => {
+            // Multi-message games in progress; locked_amount has already been debited
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS game_sessions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_phone TEXT NOT NULL,
+                    game_type TEXT NOT NULL,
+                    state TEXT NOT NULL,
+                    locked_amount INTEGER NOT NULL,
+                    version INTEGER DEFAULT 0,
+                    expires_at INTEGER NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(user_phone, game_type)
+                )
+            `);
+        }
+    },
+    {
+        version: 6,
+        name: 'duels_and_lottery',
+        up: async (db) => {
+            // Player-vs-player dice duels; the challenger's stake is escrowed on creation
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS duels (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    chat_jid TEXT NOT NULL,
+                    challenger TEXT NOT NULL,
+                    opponent TEXT NOT NULL,
+                    bet INTEGER NOT NULL,
+                    status TEXT DEFAULT 'pending',
+                    winner TEXT,
+                    expires_at INTEGER NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    settled_at DATETIME
+                );
+                CREATE INDEX IF NOT EXISTS idx_duels_opponent ON duels(chat_jid, opponent, status);
+            `);
+
+            // Group lottery pots; ticket money is escrowed until the draw
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS lottery_rounds (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    chat_jid TEXT NOT NULL,
+                    ticket_price INTEGER NOT NULL,
+                    status TEXT DEFAULT 'open',
+                    winner TEXT,
+                    draw_at INTEGER NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+                CREATE UNIQUE INDEX IF NOT EXISTS idx_lottery_open_round ON lottery_rounds(chat_jid) WHERE status = 'open';
+            `);
+
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS lottery_tickets (
+                    round_id INTEGER NOT NULL,
+                    user_phone TEXT NOT NULL,
+                    tickets INTEGER NOT NULL,
+                    PRIMARY KEY (round_id, user_phone)
+                )
+            `);
+        }
+    },
+    {
+        version: 7,
+        name: 'reward_claims',
+        up: async (db) => {
+            // Last .daily / .faucet claims; days are counted in UTC
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS reward_claims (
+                    user_phone TEXT PRIMARY KEY,
+                    last_daily_day INTEGER,
+                    daily_streak INTEGER DEFAULT 0,
+                    last_faucet_at INTEGER
+                )
+            `);
+        }
+    },
+    {
+        version: 8,
+        name: 'bans_and_audit_log',
+        up: async (db) => {
+            // Users barred from the bot; expires_at NULL means permanent
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS bans (
+                    user_phone TEXT PRIMARY KEY,
+                    reason TEXT,
+                    banned_by TEXT NOT NULL,
+                    expires_at INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            // Every staff action, for accountability
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS admin_audit_log (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    actor TEXT NOT NULL,
+                    role TEXT NOT NULL,
+                    action TEXT NOT NULL,
+                    target TEXT,
+                    details TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        }
+    },
+    {
+        version: 9,
+        name: 'redeem_code_restrictions',
+        up: async (db) => {
+            await addColumnIfMissing(db, 'redeem_codes', 'max_redemptions', 'INTEGER');
+            await addColumnIfMissing(db, 'redeem_codes', 'allowed_users', 'TEXT');
+            await addColumnIfMissing(db, 'redeem_codes', 'allowed_groups', 'TEXT');
+            await addColumnIfMissing(db, 'redeem_codes', 'min_account_age_hours', 'INTEGER DEFAULT 0');
+        }
+    },
+    {
+        version: 10,
+        name: 'rate_limits_and_abuse',
+        up: async (db) => {
+            // Token buckets; a bucket is full again at full_at and can then be dropped
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS rate_limits (
+                    bucket TEXT PRIMARY KEY,
+                    tokens REAL NOT NULL,
+                    updated_at INTEGER NOT NULL,
+                    full_at INTEGER NOT NULL
+                )
+            `);
+
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS suspicious_activity (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_phone TEXT NOT NULL,
+                    activity TEXT NOT NULL,
+                    created_at INTEGER NOT NULL
+                );
+                CREATE INDEX IF NOT EXISTS idx_suspicious_activity_user ON suspicious_activity(user_phone, created_at);
+            `);
+        }
+    },
+    {
+        version: 11,
+        name: 'strike_points_and_mutes',
+        up: async (db) => {
+            // Suspicious activity weighs in as strike points; a mute is a short
+            // automatic ban
+            await addColumnIfMissing(db, 'suspicious_activity', 'points', 'INTEGER NOT NULL DEFAULT 1');
+            await addColumnIfMissing(db, 'bans', 'kind', "TEXT NOT NULL DEFAULT 'ban'");
+        }
+    },
+    {
+        version: 12,
+        name: 'pending_transfers',
+        up: async (db) => {
+            // Large transfers waiting for the sender's confirmation, one per
+            // sender; kept here so a restart doesn't drop them
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS pending_transfers (
+                    from_wallet TEXT PRIMARY KEY,
+                    to_wallet TEXT NOT NULL,
+                    amount INTEGER NOT NULL,
+                    expires_at INTEGER NOT NULL
+                )
+            `);
+        }
+    }
+];
+
+async function ensureMigrationsTable(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+function latestVersion() {
+    return MIGRATIONS[MIGRATIONS.length - 1].version;
+}
+
+// Every known migration with whether (and when) it was applied
+async function status(db) {
+    await ensureMigrationsTable(db);
+    const applied = new Map(
+        (await db.all('SELECT version, applied_at FROM schema_migrations')).map(row => [row.version, row.applied_at])
+    );
+
+    return MIGRATIONS.map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        appliedAt: applied.get(migration.version) || null
+    }));
+}
+
+async function pending(db, target = latestVersion()) {
+    return (await status(db)).filter(migration => !migration.appliedAt && migration.version <= target);
+}
+
+// Apply pending migrations up to `target`; returns the ones applied
+async function migrate(db, target = latestVersion()) {
+    const applied = [];
+
+    for (const { version } of await pending(db, target)) {
+        const migration = MIGRATIONS.find(candidate => candidate.version === version);
+        await db.exec('BEGIN IMMEDIATE');
+        try {
+            await migration.up(db);
+            await db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+            await db.exec('COMMIT');
+        } catch (error) {
+            await db.exec('ROLLBACK');
+            throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+        }
+        applied.push(migration);
+    }
+
+    return applied;
+}
+
+// Whether the database already holds data worth backing up
+async function hasData(db) {
+    const row = await db.get(`SELECT COUNT(*) as tables FROM sqlite_master WHERE type = 'table' AND name = 'users'`);
+    return row.tables > 0;
+}
+
+// Consistent copy of the open database, safe while it is in use
+async function backup(db, directory, label = 'backup') {
+    fs.mkdirSync(directory, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*/, '');
+    const file = path.join(directory, `bot-${stamp}-${label}.db`);
+    await db.run('VACUUM INTO ?', [file]);
+    return file;
+}
+
+module.exports = {
+    MIGRATIONS,
+    latestVersion,
+    status,
+    pending,
+    migrate,
+    hasData,
+    backup,
+    addColumnIfMissing
+};
@@ -0,0 +1,86 @@
+// src/managers/moderationManager.js - Strike points that escalate into automatic mutes and temporary bans
+const SecurityManager = require('../security/securityManager');
+const AdminManager = require('./adminManager');
+const roles = require('../security/roles');
+const config = require('../../config');
+const { defaultLogger } = require('../logging/logger');
+
+class ModerationManager {
+    // options.security, options.adminManager and options.logger share the bot's instances
+    constructor(database, options = {}) {
+        this.db = database;
+        this.logger = options.logger || defaultLogger();
+        this.security = options.security || new SecurityManager(database, { logger: this.logger });
+        this.adminManager = options.adminManager || new AdminManager(database, { logger: this.logger });
+    }
+
+    // The highest penalty whose threshold lies in (before, after]
+    static penaltyFor(before, after) {
+        return config.moderation.penalties
+            .filter(penalty => before < penalty.points && penalty.points <= after)
+            .pop() || null;
+    }
+
+    // "3d 4h", "2h 5m", "15m"
+    static formatRemaining(ms) {
+        const minutes = Math.max(1, Math.ceil(ms / 60000));
+        const days = Math.floor(minutes / (24 * 60));
+        const hours = Math.floor(minutes / 60) % 24;
+        if (days > 0) {
+            return `${days}d ${hours}h`;
+        }
+        return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+    }
+
+    // What a muted or banned user is told when they try a command
+    static describeBan(ban, now = Date.now()) {
+        const icon = ban.kind === 'mute' ? '🔇' : '⛔';
+        const state = ban.kind === 'mute' ? 'muted' : 'banned from the bot';
+        const reason = ban.reason ? `\nReason: ${ban.reason}` : '';
+
+        if (ban.expires_at === null) {
+            return `${icon} You are ${state}.${reason}`;
+        }
+        return `${icon} You are ${state} for another ${ModerationManager.formatRemaining(ban.expires_at - now)} ` +
+            `(until ${new Date(ban.expires_at).toLocaleString()}).${reason}`;
+    }
+
+    // Add the strike points config.moderation.strikePoints gives `activity`
+    // and apply the penalty for any threshold this crosses. Staff are exempt,
+    // and a longer ban already in force is never shortened. Returns
+    // { action, minutes, points, expiresAt } when a penalty was applied.
+    async strike(phoneNumber, activity, now = Date.now()) {
+        const points = config.moderation.strikePoints[activity];
+        if (!points || roles.roleOf(phoneNumber) !== null) {
+            return null;
+        }
+
+        try {
+            const total = await this.security.trackSuspiciousActivity(phoneNumber, activity, points, now);
+            const penalty = ModerationManager.penaltyFor(total - points, total);
+            if (!penalty) {
+                return null;
+            }
+
+            const expiresAt = now + penalty.minutes * 60 * 1000;
+            const current = await this.db.getActiveBan(phoneNumber, now);
+            if (current && (current.expires_at === null || current.expires_at >= expiresAt)) {
+                return null;
+            }
+
+            await this.db.banUser(phoneNumber, `${total} strike points`, 'system', expiresAt, penalty.action);
+            await this.adminManager.audit('system', 'system', `auto_${penalty.action}`, phoneNumber, {
+                activity,
+                points: total,
+                minutes: penalty.minutes
+            });
+
+            return { action: penalty.action, minutes: penalty.minutes, points: total, expiresAt };
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error applying strike');
+            return null;
+        }
+    }
+}
+
+module.exports = ModerationManager;
@@ -0,0 +1,51 @@
+// scripts/play.js - Play with the bot in a terminal, no WhatsApp account needed
+/*
+ * Usage:
+ *
+ *   node scripts/play.js [phone]
+ *
+ * Runs the full bot (commands, games, economy) against a terminal chat. The
+ * data is kept in memory and the metrics endpoint stays off unless the usual
+ * BOT_* variables say otherwise, e.g. BOT_DATABASE__STORAGE=sqlite to play on
+ * data/bot.db. Log output is limited to warnings so it doesn't bury replies.
+ */
+
+const defaults = {
+    BOT_DATABASE__STORAGE: 'memory',
+    BOT_METRICS__ENABLED: 'false',
+    BOT_LOGGING__LEVEL: 'warn'
+};
+for (const [name, value] of Object.entries(defaults)) {
+    if (process.env[name] === undefined) {
+        process.env[name] = value;
+    }
+}
+
+const WhatsAppBot = require('../bot');
+const TerminalTransport = require('../src/transports/terminalTransport');
+
+async function main(args) {
+    const [phone] = args;
+    if (phone !== undefined && !/^\d{8,15}$/.test(phone)) {
+        console.error('Usage: node scripts/play.js [phone]   (8-15 digits)');
+        return 1;
+    }
+
+    const transport = new TerminalTransport({ phone });
+    const bot = new WhatsAppBot({ transport });
+    bot.installSignalHandlers();
+
+    // Ctrl+D or /quit ends the session
+    const ended = new Promise(resolve => transport.once('close', resolve));
+    await bot.start();
+    await ended;
+    await bot.stop();
+    return 0;
+}
+
+main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
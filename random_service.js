@@ -0,0 +1,138 @@
+// src/security/randomService.js - Unbiased random numbers over a pluggable byte source
+const crypto = require('crypto');
+
+const UINT32_RANGE = 0x100000000;
+const SUITS = ['♠', '♥', '♦', '♣'];
+const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+
+/*
+ * A source is a function (byteCount) => Buffer. The default reads from
+ * crypto.randomBytes; hmacSource gives the provably fair stream, and
+ * seededSource / sequenceSource make games reproducible in tests.
+ */
+class RandomService {
+    constructor(source = RandomService.cryptoSource()) {
+        this.source = source;
+    }
+
+    static cryptoSource() {
+        return count => crypto.randomBytes(count);
+    }
+
+    // Endless byte stream of HMAC-SHA256(key, "message:0"), HMAC(key, "message:1"), ...
+    static hmacSource(key, message) {
+        let counter = 0;
+        let buffer = Buffer.alloc(0);
+
+        return (count) => {
+            while (buffer.length < count) {
+                const block = crypto.createHmac('sha256', key).update(`${message}:${counter++}`).digest();
+                buffer = Buffer.concat([buffer, block]);
+            }
+            const bytes = buffer.subarray(0, count);
+            buffer = buffer.subarray(count);
+            return bytes;
+        };
+    }
+
+    // Deterministic stream for tests and simulations
+    static seededSource(seed) {
+        return RandomService.hmacSource(String(seed), 'seeded');
+    }
+
+    // Replays the given uint32 values in order (cycling), for scripted outcomes
+    static sequenceSource(values) {
+        let index = 0;
+        return (count) => {
+            const bytes = Buffer.alloc(count);
+            for (let offset = 0; offset + 4 <= count; offset += 4) {
+                bytes.writeUInt32BE(values[index++ % values.length] >>> 0, offset);
+            }
+            return bytes;
+        };
+    }
+
+    uint32() {
+        return this.source(4).readUInt32BE(0);
+    }
+
+    // Uniform float in [0, 1)
+    float() {
+        return this.uint32() / UINT32_RANGE;
+    }
+
+    // Uniform integer in [min, max]. Values from the top partial bucket are
+    // rejected so every result is equally likely (no modulo bias).
+    int(min, max) {
+        const range = max - min + 1;
+        if (!Number.isInteger(min) || !Number.isInteger(max) || range < 1 || range > UINT32_RANGE) {
+            throw new Error('Invalid random range');
+        }
+
+        const limit = UINT32_RANGE - (UINT32_RANGE % range);
+        let value = this.uint32();
+        while (value >= limit) {
+            value = this.uint32();
+        }
+        return min + (value % range);
+    }
+
+    pick(items) {
+        return items[this.int(0, items.length - 1)];
+    }
+
+    // items: [{ value, weight }] with non-negative integer weights
+    weighted(items) {
+        const total = items.reduce((sum, item) => sum + item.weight, 0);
+        if (total <= 0) {
+            throw new Error('Weights must add up to more than zero');
+        }
+
+        let roll = this.int(0, total - 1);
+        for (const item of items) {
+            if (roll < item.weight) {
+                return item.value;
+            }
+            roll -= item.weight;
+        }
+    }
+
+    // Fisher-Yates shuffle, returns a new array
+    shuffle(items) {
+        const result = items.slice();
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = this.int(0, i);
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    shuffledDeck(decks = 1) {
+        return this.shuffle(RandomService.createDeck(decks));
+    }
+
+    static createDeck(decks = 1) {
+        const cards = [];
+        for (let d = 0; d < decks; d++) {
+            for (const suit of SUITS) {
+                for (const rank of RANKS) {
+                    cards.push({ rank, suit });
+                }
+            }
+        }
+        return cards;
+    }
+
+    // Take cards off the top of a deck
+    static draw(deck, count = 1) {
+        if (deck.length < count) {
+            throw new Error('Not enough cards left in the deck');
+        }
+        return deck.splice(0, count);
+    }
+}
+
+RandomService.SUITS = SUITS;
+RandomService.RANKS = RANKS;
+
+module.exports = RandomService;
\ No newline at end of file
@@ -0,0 +1,82 @@
+// test/randomService.test.js - Uniformity and reproducibility of RandomService
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RandomService = require('../src/security/randomService');
+
+// Pearson's chi-square statistic of observed counts against equal buckets
+function chiSquare(counts) {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    const expected = total / counts.length;
+    return counts.reduce((sum, count) => sum + (count - expected) ** 2 / expected, 0);
+}
+
+// Critical values at p = 0.001, by degrees of freedom
+const CHI_SQUARE_999 = { 9: 27.877, 36: 67.985 };
+
+test('int() is uniform over a roulette wheel', () => {
+    const random = new RandomService(RandomService.seededSource('int'));
+    const counts = new Array(37).fill(0);
+    for (let i = 0; i < 37 * 2000; i++) {
+        counts[random.int(0, 36)]++;
+    }
+    assert.ok(chiSquare(counts) < CHI_SQUARE_999[36], `chi-square ${chiSquare(counts).toFixed(2)}`);
+});
+
+test('pick() is uniform over its items', () => {
+    const random = new RandomService(RandomService.seededSource('pick'));
+    const items = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'];
+    const counts = new Map(items.map(item => [item, 0]));
+    for (let i = 0; i < 10 * 2000; i++) {
+        const item = random.pick(items);
+        counts.set(item, counts.get(item) + 1);
+    }
+    assert.ok(chiSquare([...counts.values()]) < CHI_SQUARE_999[9]);
+});
+
+test('int() rejects the partial bucket instead of folding it onto low results', () => {
+    // 2^32 % (3 * 2^30) = 2^30, so plain modulo would give the first third
+    // of this range half of all results
+    const range = 3 * 2 ** 30;
+    const random = new RandomService(RandomService.seededSource('thirds'));
+    const thirds = [0, 0, 0];
+    for (let i = 0; i < 30000; i++) {
+        thirds[Math.floor(random.int(0, range - 1) / 2 ** 30)]++;
+    }
+    for (const count of thirds) {
+        assert.ok(Math.abs(count - 10000) < 500, `thirds ${thirds.join(', ')}`);
+    }
+});
+
+test('int() draws again for a value in the partial bucket', () => {
+    // For a range of 3 the last usable uint32 is 2^32 - 2
+    const random = new RandomService(RandomService.sequenceSource([0xffffffff, 0xffffffff, 7]));
+    assert.equal(random.int(0, 2), 1);
+});
+
+test('int() refuses empty and non-integer ranges', () => {
+    const random = new RandomService();
+    assert.throws(() => random.int(5, 4), /Invalid random range/);
+    assert.throws(() => random.int(0, 1.5), /Invalid random range/);
+});
+
+test('the same seed gives the same numbers', () => {
+    const draw = seed => {
+        const random = new RandomService(RandomService.seededSource(seed));
+        return Array.from({ length: 20 }, () => random.int(1, 100));
+    };
+    assert.deepEqual(draw('seed'), draw('seed'));
+    assert.notDeepEqual(draw('seed'), draw('other seed'));
+});
+
+test('shuffledDeck() deals every card once', () => {
+    const random = new RandomService(RandomService.seededSource('deck'));
+    const deck = random.shuffledDeck(2);
+    assert.equal(deck.length, 104);
+    const counts = new Map();
+    for (const card of deck) {
+        const key = `${card.rank}${card.suit}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    assert.equal(counts.size, 52);
+    assert.ok([...counts.values()].every(count => count === 2));
+});
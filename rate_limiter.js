@@ -0,0 +1,60 @@
+// src/security/rateLimiter.js - Token-bucket rate limiting that survives restarts
+/*
+ * Each bucket holds up to `attempts` tokens and refills continuously at
+ * `attempts` per window, so a user can burst up to the full allowance and
+ * then keeps one action per (window / attempts). Buckets live in the
+ * database: reconnects and restarts don't hand out fresh allowances, and every
+ * part of the bot sharing the database shares the same buckets.
+ */
+
+class RateLimiter {
+    constructor(database) {
+        this.db = database;
+    }
+
+    // Bucket state after refilling for the time since it was last touched
+    static refill(bucket, capacity, windowMs, now) {
+        if (!bucket) {
+            return capacity;
+        }
+        const elapsed = Math.max(0, now - bucket.updated_at);
+        return Math.min(capacity, bucket.tokens + elapsed * (capacity / windowMs));
+    }
+
+    // Take one token from `key`. Returns { allowed, remaining, retryAfterMs }.
+    async consume(key, attempts, windowMinutes, now = Date.now()) {
+        const windowMs = windowMinutes * 60 * 1000;
+        const rate = attempts / windowMs;
+
+        return this.db.updateRateLimit(key, (bucket) => {
+            const available = RateLimiter.refill(bucket, attempts, windowMs, now);
+            const allowed = available >= 1;
+            const tokens = allowed ? available - 1 : available;
+
+            return {
+                tokens,
+                updatedAt: now,
+                fullAt: now + Math.ceil((attempts - tokens) / rate),
+                allowed,
+                remaining: Math.floor(tokens),
+                retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / rate)
+            };
+        });
+    }
+
+    async cleanup(now = Date.now()) {
+        return this.db.purgeRateLimits(now);
+    }
+
+    // "45 seconds", "3 minutes"
+    static formatWait(ms) {
+        const seconds = Math.max(1, Math.ceil(ms / 1000));
+        if (seconds < 60) {
+            return `${seconds} second${seconds === 1 ? '' : 's'}`;
+        }
+        const minutes = Math.ceil(seconds / 60);
+        return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+}
+
+module.exports = RateLimiter;
@@ -1,13 +1,86 @@
 // src/managers/redeemManager.js
 const SecurityManager = require('../security/securityManager');
+const RandomService = require('../security/randomService');
+const config = require('../../config');
+const { defaultLogger } = require('../logging/logger');
 
 class RedeemManager {
-    constructor(database) {
+    // options.security and options.logger share the bot's instances
+    constructor(database, options = {}) {
         this.db = database;
-        this.security = new SecurityManager();
+        this.logger = options.logger || defaultLogger();
+        this.security = options.security || new SecurityManager(database, { logger: this.logger });
+        this.random = new RandomService();
     }
 
-    async createCode(code, coinValue, expiresInHours) {
+    // Parse "max=N users=a,b groups=here,jid minage=H" into code restrictions.
+    // "here" stands for the group the command was sent in.
+    parseCodeOptions(words, chatJid = null) {
+        const options = {};
+
+        for (const word of words) {
+            const [key, value = ''] = word.split('=');
+            switch (key.toLowerCase()) {
+                case 'max':
+                    if (!/^\d+$/.test(value) || parseInt(value, 10) < 1) {
+                        return { valid: false, error: 'max must be a positive number' };
+                    }
+                    options.maxRedemptions = parseInt(value, 10);
+                    break;
+                case 'minage':
+                    if (!/^\d+$/.test(value)) {
+                        return { valid: false, error: 'minage must be a number of hours' };
+                    }
+                    options.minAccountAgeHours = parseInt(value, 10);
+                    break;
+                case 'users': {
+                    const users = value.split(',').map(user => user.replace(/^@/, ''));
+                    if (!users.every(user => this.security.validatePhoneNumber(user))) {
+                        return { valid: false, error: 'users must be a comma-separated list of phone numbers' };
+                    }
+                    options.allowedUsers = users;
+                    break;
+                }
+                case 'groups': {
+                    const groups = [];
+                    for (const group of value.split(',')) {
+                        if (group === 'here' && chatJid && chatJid.endsWith('@g.us')) {
+                            groups.push(chatJid);
+                        } else if (/^[\d-]+(@g\.us)?$/.test(group)) {
+                            groups.push(group.endsWith('@g.us') ? group : `${group}@g.us`);
+                        } else {
+                            return { valid: false, error: 'groups must be "here" (inside a group) or group ids' };
+                        }
+                    }
+                    options.allowedGroups = groups;
+                    break;
+                }
+                default:
+                    return { valid: false, error: `Unknown option "${word}"` };
+            }
+        }
+
+        return { valid: true, options };
+    }
+
+    describeRestrictions(options) {
+        const lines = [];
+        if (options.maxRedemptions) {
+            lines.push(`Max claims: ${options.maxRedemptions}`);
+        }
+        if (options.allowedUsers) {
+            lines.push(`Users: ${options.allowedUsers.join(', ')}`);
+        }
+        if (options.allowedGroups) {
+            lines.push(`Groups: ${options.allowedGroups.join(', ')}`);
+        }
+        if (options.minAccountAgeHours) {
+            lines.push(`Min account age: ${options.minAccountAgeHours} hours`);
+        }
+        return lines.length > 0 ? `\n${lines.join('\n')}` : '';
+    }
+
+    async createCode(code, coinValue, expiresInHours, createdBy = 'admin', options = {}) {
         try {
             // Validate code format
             const validation = this.security.validateRedeemCode(code);
@@ -18,75 +91,107 @@ class RedeemManager {
             // Calculate expiration date
             const expiresAt = new Date(Date.now() + (expiresInHours * 60 * 60 * 1000));
 
-            await this.db.createRedeemCode(code, coinValue, expiresAt, 'admin');
+            await this.db.createRedeemCode(code, coinValue, expiresAt, createdBy, options);
 
             return {
                 success: true,
                 message: `✅ Redeem code created successfully!\n\n` +
                         `Code: ${code}\n` +
                         `Value: ${coinValue} coins\n` +
-                        `Expires: ${expiresAt.toLocaleString()}`
+                        `Expires: ${expiresAt.toLocaleString()}` +
+                        this.describeRestrictions(options)
             };
         } catch (error) {
             if (error.message.includes('Code already exists')) {
                 return { success: false, message: '❌ Code already exists! Please use a different code.' };
             }
-            console.error('Error creating redeem code:', error);
+            this.logger.error({ err: error }, 'Error creating redeem code');
             return { success: false, message: '❌ Failed to create redeem code' };
         }
     }
 
-    async redeemCode(userPhone, code) {
-        try {
-            // Validate code format
-            const validation = this.security.validateRedeemCode(code);
-            if (!validation.valid) {
-                return { success: false, message: `❌ ${validation.error}` };
-            }
+    // Random codes without look-alike characters (0/O, 1/I)
+    generateCode(length) {
+        const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        return Array.from({ length }, () => this.random.pick(alphabet)).join('');
+    }
 
-            // Get redeem code from database
-            const redeemCode = await this.db.getRedeemCode(code);
-            if (!redeemCode) {
-                return { success: false, message: '❌ Invalid or expired code' };
+    // N random codes sharing value, expiry and restrictions; single-use unless
+    // options.maxRedemptions says otherwise
+    async createBatch(count, coinValue, expiresInHours, createdBy = 'admin', options = {}) {
+        try {
+            const { batchMaxCount, batchCodeLength } = config.redeemCodes;
+            if (count > batchMaxCount) {
+                return { success: false, message: `❌ At most ${batchMaxCount} codes per batch` };
             }
 
-            // Check if code is expired
-            const now = new Date();
-            const expiresAt = new Date(redeemCode.expires_at);
-            if (now > expiresAt) {
-                return { success: false, message: '❌ Code has expired' };
+            const codes = new Set();
+            while (codes.size < count) {
+                codes.add(this.generateCode(batchCodeLength));
             }
 
-            // Check if user already redeemed this code
-            const existingRedemption = await this.db.db.get(
-                'SELECT * FROM code_redemptions WHERE user_phone = ? AND code = ?',
-                [userPhone, code]
-            );
+            const batchOptions = { maxRedemptions: 1, ...options };
+            const expiresAt = new Date(Date.now() + (expiresInHours * 60 * 60 * 1000));
+            await this.db.createRedeemCodes(Array.from(codes), coinValue, expiresAt, createdBy, batchOptions);
 
-            if (existingRedemption) {
-                return { success: false, message: '❌ You have already redeemed this code' };
+            return {
+                success: true,
+                codes: Array.from(codes),
+                message: `✅ Created ${count} codes worth ${coinValue} coins each\n` +
+                        `Expires: ${expiresAt.toLocaleString()}` +
+                        this.describeRestrictions(batchOptions) +
+                        `\n\n${Array.from(codes).join('\n')}`
+            };
+        } catch (error) {
+            if (error.message.includes('Code already exists')) {
+                return { success: false, message: '❌ A generated code collided with an existing one, please try again' };
             }
+            this.logger.error({ err: error }, 'Error creating code batch');
+            return { success: false, message: '❌ Failed to create codes' };
+        }
+    }
 
-            // Redeem the code
-            await this.db.redeemCode(userPhone, code, redeemCode.coin_value);
+    // claimant: { phoneNumber, chatJid } of the person claiming, used for
+    // the code's user, group and account age restrictions
+    async redeemCode(userPhone, code, claimant = {}) {
+        try {
+            // Validate code format
+            const validation = this.security.validateRedeemCode(code);
+            if (!validation.valid) {
+                return { success: false, message: `❌ ${validation.error}` };
+            }
 
-            // Add coins to user balance
-            const user = await this.db.getUser(userPhone);
-            const newBalance = user.coins + redeemCode.coin_value;
-            await this.db.updateUserCoins(userPhone, newBalance);
+            const claim = await this.db.claimCode(userPhone, code, claimant);
 
             return {
                 success: true,
                 message: `🎉 Code redeemed successfully!\n\n` +
-                        `+${redeemCode.coin_value} coins\n` +
-                        `💰 New balance: ${newBalance} coins`
+                        `+${claim.coins} coins\n` +
+                        `💰 New balance: ${claim.balance} coins` +
+                        (claim.remaining !== null ? `\n🎫 ${claim.remaining} use${claim.remaining === 1 ? '' : 's'} left on this code` : ''),
+                reply: { react: '🎉' }
             };
 
         } catch (error) {
-            console.error('Error redeeming code:', error);
+            const message = RedeemManager.CLAIM_MESSAGES[error.message];
+            if (message) {
+                return { success: false, message, reason: error.message };
+            }
+            this.logger.error({ err: error }, 'Error redeeming code');
             return { success: false, message: '❌ Failed to redeem code' };
         }
     }
 }
 
-module.exports = RedeemManager;
\ No newline at end of file
+// Replies for the reasons Database.claimCode rejects a claim
+RedeemManager.CLAIM_MESSAGES = Object.freeze({
+    'Invalid code': '❌ Invalid or expired code',
+    'Code expired': '❌ Code has expired',
+    'Code not available to user': '❌ This code is not available to you',
+    'Code not available in chat': '❌ This code can only be claimed in specific groups',
+    'Account too new': '❌ Your account is too new to claim this code',
+    'Code already redeemed by this user': '❌ You have already redeemed this code',
+    'Code fully redeemed': '❌ This code has been fully redeemed'
+});
+
+module.exports = RedeemManager;
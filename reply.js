@@ -0,0 +1,75 @@
+// src/transports/reply.js - Rich replies and their plain text fallback
+/*
+ * Anywhere the bot sends a message it takes either a string or a reply:
+ *
+ *   {
+ *       text: '🎰 *Roulette Result* ...',
+ *       replyTo: message,          // the transport message being answered
+ *       quote: true,               // show replyTo quoted above the text
+ *       react: '🎉',               // react to replyTo with an emoji
+ *       buttons: [{ id: '.hit', text: 'Hit' }],
+ *       list: {
+ *           title: 'Commands',
+ *           buttonText: 'Open menu',
+ *           sections: [{ title: 'Games', rows: [{ id: '.slots', title: '.slots <amount>', description: 'Spin' }] }]
+ *       },
+ *       image: { data: <Buffer>, mimetype: 'image/png' }   // sent with text as its caption
+ *   }
+ *
+ * Tapping a button or list row sends its id back as an ordinary message, so
+ * ids are commands. Everything but text is decoration: a transport that
+ * can't show a part leaves it out, which means text has to say it all. A
+ * reply that only reacts sends no message, or just the emoji where
+ * reactions aren't available.
+ *
+ * Managers put the extras in result.reply next to result.message:
+ *
+ *   return { success: true, message, reply: { react: '🎉' } };
+ */
+
+// config.replies switch → the reply field it covers
+const FEATURES = Object.freeze({
+    quote: 'quote',
+    reactions: 'react',
+    buttons: 'buttons',
+    lists: 'list',
+    images: 'image'
+});
+
+// A string, a reply, or a manager result ({ message, reply }) as a reply
+function from(content) {
+    if (typeof content === 'string') {
+        return { text: content };
+    }
+    if (content && typeof content.message === 'string') {
+        return { ...content.reply, text: content.message };
+    }
+    return { ...content, text: content ? content.text || '' : '' };
+}
+
+// What to send where only text gets through
+function toText(reply) {
+    return reply.text || reply.react || '';
+}
+
+// The reply without the parts switched off in `features` (config.replies);
+// a reaction that is dropped becomes the text when there is none
+function restrict(reply, features = {}) {
+    const restricted = { ...reply };
+    for (const [feature, field] of Object.entries(FEATURES)) {
+        if (features[feature] === false) {
+            delete restricted[field];
+        }
+    }
+    if (!restricted.text && reply.react && !restricted.react) {
+        restricted.text = reply.react;
+    }
+    return restricted;
+}
+
+module.exports = {
+    FEATURES,
+    from,
+    toText,
+    restrict
+};
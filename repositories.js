@@ -0,0 +1,211 @@
+// src/database/repositories.js - The storage interface behind Database
+/*
+ * Database holds the rules (balances never go negative, codes are claimed
+ * once, escrow is refunded...) and reaches its data only through a storage
+ * backend made of the repositories listed below. SqliteStorage is the one the
+ * bot runs on; MemoryStorage keeps everything in plain objects for tests.
+ *
+ * A backend provides:
+ *
+ *   open({ migrate })         connect, and bring the schema up to date unless migrate is false
+ *   close()                   wait for running transactions, then disconnect
+ *   transaction(work)         run work(tx) atomically; tx exposes the same repositories,
+ *                             and a thrown error rolls back everything work wrote
+ *   migrate(target)           apply pending schema migrations, returning the ones applied
+ *   migrationStatus()         [{ version, name, appliedAt }]
+ *   backup(label)             copy the data somewhere safe, returning where
+ *
+ * and one object per repository below. Every repository method is async and
+ * takes plain values. Rows come back as plain objects keyed by the column
+ * names in migrations.js, with JSON columns as JSON text and timestamps as
+ * UTC 'YYYY-MM-DD HH:MM:SS' text, so a PostgreSQL backend can return its rows
+ * unchanged. Lookups that find nothing return null. `since` arguments are
+ * Dates or null for "all time". Writes that can lose a race report whether
+ * they changed anything instead of throwing, so callers decide what it means.
+ *
+ * A wallet `scope` is { suffix, exclude }: with a suffix, only wallets ending
+ * in it (one isolated group economy); without, only global wallets (no '@')
+ * other than those in `exclude`.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const REPOSITORIES = Object.freeze({
+    users: [
+        'find',             // (phone) → user
+        'create',           // (phone, coins) → false if the user already exists
+        'adjustBalance',    // (phone, amount) → new balance, or null if it would drop below zero
+        'phones',           // () → every wallet, oldest first
+        'firstSeen',        // (phone) → Date of the oldest of phone and its group wallets (phone@group)
+        'top'               // (scope, limit) → [{ wallet, value }] by balance
+    ],
+    ledger: [
+        'append',           // (phone, amount, balanceAfter, reason, details)
+        'recent',           // (phone, limit) → entries, newest first
+        'debitedSince',     // (phone, reason, since) → coins taken out for `reason`
+        'mismatches'        // () → [{ phone_number, coins, ledger_total }] where they differ
+    ],
+    codes: [
+        'insert',           // (code, coinValue, expiresAt, createdBy, maxRedemptions, allowedUsers, allowedGroups, minAccountAgeHours);
+                            // throws 'Code already exists'
+        'findActive',       // (code) → redeem code
+        'list',             // (limit) → codes with a `redemptions` count, newest first
+        'deactivate'        // (code) → whether an active code was deactivated
+    ],
+    redemptions: [
+        'find',             // (phone, code) → redemption
+        'count',            // (code) → times redeemed
+        'insert'            // (phone, code, coinsReceived); throws 'Code already redeemed by this user'
+    ],
+    history: [
+        'insert',           // (phone, gameType, betAmount, winAmount, gameData) → game id
+        'find',             // (id) → game
+        'summary',          // (phone, since) → { game_count, wins, total_bet, total_won }
+        'byGame',           // (phone, since) → the summary per game_type, most played first
+        'outcomes',         // (phone, since) → [{ won }] in play order
+        'totals',           // () → [{ game_type, game_count, total_bet, total_won }] over every player
+        'leaderboard'       // ('winners' | 'games', scope, since, limit) → [{ wallet, value }] with value > 0
+    ],
+    groups: [
+        'find',             // (groupJid) → settings
+        'save'              // (groupJid, prefix, enabledGames, minBet, maxBet, economy)
+    ],
+    sessions: [
+        'find',             // (phone, gameType) → session
+        'expired',          // (gameType, now) → sessions
+        'insert',           // (phone, gameType, state, lockedAmount, expiresAt) → id; throws 'Session already open'
+        'update',           // (id, version, state, extraLock, expiresAt) → false if the version moved on
+        'remove'            // (id, version) → false if the version moved on
+    ],
+    seeds: [
+        'find',             // (phone) → active fairness seed
+        'create',           // (phone, serverSeed, serverSeedHash, clientSeed); keeps an existing seed
+        'incrementNonce',   // (phone)
+        'replace',          // (phone, serverSeed, serverSeedHash, clientSeed) with the nonce reset
+        'reveal',           // (seed row) archives it as revealed
+        'findRevealed'      // (serverSeedHash) → revealed seed
+    ],
+    duels: [
+        'findPendingBy',    // (chatJid, challenger) → pending duel
+        'findPendingFor',   // (chatJid, opponent, now) → newest unexpired pending duel
+        'expired',          // (now) → pending duels past expires_at
+        'insert',           // (chatJid, challenger, opponent, bet, expiresAt) → id
+        'resolve'           // (id, status, winner) → false if no longer pending
+    ],
+    lotteries: [
+        'findOpen',         // (chatJid) → open round
+        'due',              // (now) → open rounds past draw_at
+        'insert',           // (chatJid, ticketPrice, drawAt) → id; throws 'Lottery already open'
+        'tickets',          // (roundId) → entries by user_phone
+        'ticketsHeld',      // (roundId, phone) → count
+        'setTickets',       // (roundId, phone, tickets)
+        'close'             // (id, status, winner) → false if no longer open
+    ],
+    rewards: [
+        'find',             // (phone) → reward claims
+        'saveDaily',        // (phone, day, streak)
+        'saveFaucet'        // (phone, claimedAt)
+    ],
+    bans: [
+        'upsert',           // (phone, reason, bannedBy, expiresAt, kind)
+        'remove',           // (phone) → whether a ban was lifted
+        'findActive'        // (phone, now) → ban still in force
+    ],
+    audit: [
+        'insert',           // (actor, role, action, target, details)
+        'recent'            // (limit) → entries, newest first
+    ],
+    limits: [
+        'find',             // (bucket) → rate limit bucket
+        'save',             // (bucket, tokens, updatedAt, fullAt)
+        'purge'             // (now) → number of buckets full again by `now`, removed
+    ],
+    transfers: [
+        'find',             // (fromWallet) → pending transfer, expired or not
+        'save',             // (fromWallet, toWallet, amount, expiresAt), replacing the sender's previous one
+        'remove'            // (fromWallet) → whether one was removed
+    ],
+    abuse: [
+        'insert',           // (phone, activity, points, at)
+        'pointsSince',      // (phone, after) → strike points recorded after `after`
+        'purge'             // (before) → number of activities older than `before`, removed
+    ]
+});
+
+const BACKEND_METHODS = ['open', 'close', 'transaction', 'migrate', 'migrationStatus', 'backup'];
+
+// Throw if `storage` is missing any part of the interface
+function assertStorage(storage) {
+    const missing = BACKEND_METHODS.filter(method => typeof storage[method] !== 'function');
+    for (const [name, methods] of Object.entries(REPOSITORIES)) {
+        for (const method of methods) {
+            if (!storage[name] || typeof storage[name][method] !== 'function') {
+                missing.push(`${name}.${method}`);
+            }
+        }
+    }
+
+    if (missing.length > 0) {
+        throw new Error(`${storage.constructor.name} does not implement ${missing.join(', ')}`);
+    }
+    return storage;
+}
+
+/*
+ * Both backends share one connection (or one set of tables) between every
+ * caller, so work on it takes turns: run(work) waits for everything queued
+ * before it. Inside run(), repository calls go straight through. Outside,
+ * serialize() makes each call wait its turn too, so a write can't land in the
+ * middle of another caller's transaction and vanish with its rollback.
+ */
+class SerialQueue {
+    constructor() {
+        this.tail = Promise.resolve();
+        this.context = new AsyncLocalStorage();
+    }
+
+    run(work) {
+        const step = () => this.context.run(true, work);
+        const result = this.tail.then(step, step);
+        this.tail = result.catch(() => {});
+        return result;
+    }
+
+    // Whether the caller is already inside run()
+    get inside() {
+        return this.context.getStore() === true;
+    }
+
+    // Resolves once everything queued so far has finished
+    idle() {
+        return this.tail;
+    }
+
+    // Route every repository method of `storage` through the queue
+    serialize(storage) {
+        for (const [name, methods] of Object.entries(REPOSITORIES)) {
+            for (const method of methods) {
+                const direct = storage[name][method];
+                storage[name][method] = (...args) => (this.inside ? direct(...args) : this.run(() => direct(...args)));
+            }
+        }
+        return storage;
+    }
+}
+
+// The timestamp format used by every backend
+function timestamp(date = new Date()) {
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function parseTimestamp(text) {
+    return text ? new Date(`${text.replace(' ', 'T')}Z`) : null;
+}
+
+module.exports = {
+    REPOSITORIES,
+    assertStorage,
+    SerialQueue,
+    timestamp,
+    parseTimestamp
+};
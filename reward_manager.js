@@ -0,0 +1,92 @@
+// src/managers/rewardManager.js - Daily rewards with streaks and the low-balance faucet
+const config = require('../../config');
+const { defaultLogger } = require('../logging/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RewardManager {
+    // options.logger is the bot's logger
+    constructor(database, options = {}) {
+        this.db = database;
+        this.logger = options.logger || defaultLogger();
+    }
+
+    // Days since the epoch in UTC, the unit streaks are counted in
+    static dayNumber(time = Date.now()) {
+        return Math.floor(time / DAY_MS);
+    }
+
+    static formatWait(ms) {
+        const minutes = Math.max(1, Math.ceil(ms / 60000));
+        const hours = Math.floor(minutes / 60);
+        return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+    }
+
+    dailyReward(streak) {
+        const { base, streakBonus, maxStreak } = config.rewards.daily;
+        return base + streakBonus * (Math.min(streak, maxStreak) - 1);
+    }
+
+    async claimDaily(wallet) {
+        try {
+            const now = Date.now();
+            const today = RewardManager.dayNumber(now);
+            const result = await this.db.claimDaily(wallet, today, streak => this.dailyReward(streak));
+
+            if (!result.claimed) {
+                return {
+                    success: false,
+                    message: `📅 You already claimed today's reward (streak: ${result.streak} day${result.streak === 1 ? '' : 's'}).\n` +
+                            `⏰ Next claim in ${RewardManager.formatWait((today + 1) * DAY_MS - now)}`
+                };
+            }
+
+            const next = this.dailyReward(result.streak + 1);
+            return {
+                success: true,
+                message: `📅 *Daily Reward*\n\n` +
+                        `🎁 +${result.amount} coins\n` +
+                        `🔥 Streak: ${result.streak} day${result.streak === 1 ? '' : 's'}\n` +
+                        `Come back tomorrow for ${next} coins. Missing a day resets your streak.\n\n` +
+                        `💰 New balance: ${result.balance} coins`
+            };
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error claiming daily reward');
+            return { success: false, message: '❌ Failed to claim your daily reward' };
+        }
+    }
+
+    async claimFaucet(wallet) {
+        try {
+            const { amount, maxBalance, cooldownHours } = config.rewards.faucet;
+            const result = await this.db.claimFaucet(wallet, amount, maxBalance, cooldownHours * 60 * 60 * 1000);
+
+            if (!result.claimed && result.reason === 'balance') {
+                return {
+                    success: false,
+                    message: `🚰 The faucet is only for players with ${maxBalance > 0 ? `at most ${maxBalance}` : 'no'} coins.\n` +
+                            `💰 Your balance: ${result.balance} coins`
+                };
+            }
+            if (!result.claimed) {
+                return {
+                    success: false,
+                    message: `🚰 The faucet is cooling down. Try again in ${RewardManager.formatWait(result.availableAt - Date.now())}`
+                };
+            }
+
+            return {
+                success: true,
+                message: `🚰 *Faucet*\n\n` +
+                        `🎁 +${result.amount} coins to get you back in the game\n` +
+                        `⏰ Available again in ${cooldownHours} hours when you're broke\n\n` +
+                        `💰 New balance: ${result.balance} coins`
+            };
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error claiming faucet');
+            return { success: false, message: '❌ Failed to use the faucet' };
+        }
+    }
+}
+
+module.exports = RewardManager;
@@ -0,0 +1,39 @@
+// src/security/roles.js - Staff role levels from config.roles
+const config = require('../../config');
+
+// Lowest to highest; each role can do everything the ones below it can
+const ROLES = Object.freeze(['moderator', 'admin', 'owner']);
+
+// Highest role held by a phone number, or null for regular users
+function roleOf(phoneNumber) {
+    for (const role of ROLES.slice().reverse()) {
+        if ((config.roles[role] || []).includes(phoneNumber)) {
+            return role;
+        }
+    }
+    return null;
+}
+
+function hasRole(role, required) {
+    return role !== null && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// Staff may only act on users ranked below them
+function outranks(role, otherRole) {
+    return role !== null && ROLES.indexOf(role) > ROLES.indexOf(otherRole);
+}
+
+// Phone numbers holding `required` or a higher role
+function staffWith(required) {
+    const phones = ROLES.slice(ROLES.indexOf(required))
+        .flatMap(role => config.roles[role] || []);
+    return [...new Set(phones)];
+}
+
+module.exports = {
+    ROLES,
+    roleOf,
+    hasRole,
+    outranks,
+    staffWith
+};
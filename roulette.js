@@ -0,0 +1,127 @@
+// src/games/roulette.js - European roulette wheel, bet parsing and payouts
+const RED_NUMBERS = new Set([1, 3, 5, 7, 9, 12, 14, 16, 18, 19, 21, 23, 25, 27, 30, 32, 34, 36]);
+const POCKETS = 37; // 0-36, single zero
+
+// Payouts are "to one": a winning straight-up bet returns 35x the stake plus the stake
+const PAYOUTS = Object.freeze({
+    straight: 35,
+    split: 17,
+    dozen: 2,
+    column: 2,
+    evenMoney: 1
+});
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+const numbersWhere = predicate => range(1, 36).filter(predicate);
+
+// Outside bets, keyed by every name players may type
+const OUTSIDE_BETS = {};
+const addOutsideBet = (names, label, type, numbers) => {
+    for (const name of names) {
+        OUTSIDE_BETS[name] = { type, label, numbers, payout: PAYOUTS[type === 'dozen' || type === 'column' ? type : 'evenMoney'] };
+    }
+};
+
+addOutsideBet(['red'], 'red', 'color', numbersWhere(n => RED_NUMBERS.has(n)));
+addOutsideBet(['black'], 'black', 'color', numbersWhere(n => !RED_NUMBERS.has(n)));
+addOutsideBet(['odd'], 'odd', 'parity', numbersWhere(n => n % 2 === 1));
+addOutsideBet(['even'], 'even', 'parity', numbersWhere(n => n % 2 === 0));
+addOutsideBet(['low', '1-18'], 'low (1-18)', 'half', range(1, 18));
+addOutsideBet(['high', '19-36'], 'high (19-36)', 'half', range(19, 36));
+[1, 2, 3].forEach(i => {
+    const ordinal = ['1st', '2nd', '3rd'][i - 1];
+    addOutsideBet([`${ordinal}12`, `d${i}`, `dozen${i}`], `${ordinal} dozen`, 'dozen', range(i * 12 - 11, i * 12));
+    addOutsideBet([`col${i}`, `c${i}`, `column${i}`], `column ${i}`, 'column', numbersWhere(n => (n - 1) % 3 === i - 1));
+});
+
+function colorOf(number) {
+    if (number === 0) {
+        return 'green';
+    }
+    return RED_NUMBERS.has(number) ? 'red' : 'black';
+}
+
+function colorEmoji(number) {
+    return { green: '🟢', red: '🔴', black: '⚫' }[colorOf(number)];
+}
+
+// Two numbers share an edge on the betting layout
+function isAdjacent(a, b) {
+    const [low, high] = a < b ? [a, b] : [b, a];
+    if (low === 0) {
+        return high >= 1 && high <= 3;
+    }
+    if (high - low === 3) {
+        return true;
+    }
+    return high - low === 1 && Math.ceil(low / 3) === Math.ceil(high / 3);
+}
+
+// Turn a selection such as "red", "17", "17-20" or "2nd12" into a bet
+function parseBet(selection) {
+    const key = String(selection || '').toLowerCase();
+
+    if (OUTSIDE_BETS[key]) {
+        return { valid: true, bet: { ...OUTSIDE_BETS[key] } };
+    }
+
+    if (/^\d{1,2}$/.test(key)) {
+        const number = parseInt(key, 10);
+        if (number < POCKETS) {
+            return { valid: true, bet: { type: 'straight', label: `${number}`, numbers: [number], payout: PAYOUTS.straight } };
+        }
+    }
+
+    const split = key.match(/^(\d{1,2})[-/](\d{1,2})$/);
+    if (split) {
+        const [a, b] = [parseInt(split[1], 10), parseInt(split[2], 10)];
+        if (a < POCKETS && b < POCKETS && isAdjacent(a, b)) {
+            return { valid: true, bet: { type: 'split', label: `${a}/${b}`, numbers: [a, b], payout: PAYOUTS.split } };
+        }
+        return { valid: false, error: `${selection} is not a valid split (numbers must be next to each other)` };
+    }
+
+    return { valid: false, error: `Unknown bet "${selection}"` };
+}
+
+// Parse "<amount> <bet> [<amount> <bet> ...]" into a list of stakes
+function parseBets(words, maxBets) {
+    if (words.length === 0 || words.length % 2 !== 0) {
+        return { valid: false, error: 'Bets must be given as <amount> <bet> pairs' };
+    }
+    if (words.length / 2 > maxBets) {
+        return { valid: false, error: `You can place at most ${maxBets} bets per spin` };
+    }
+
+    const bets = [];
+    for (let i = 0; i < words.length; i += 2) {
+        const amount = /^\d+$/.test(words[i]) ? parseInt(words[i], 10) : NaN;
+        if (!Number.isInteger(amount) || amount <= 0) {
+            return { valid: false, error: `"${words[i]}" is not a valid bet amount` };
+        }
+
+        const parsed = parseBet(words[i + 1]);
+        if (!parsed.valid) {
+            return parsed;
+        }
+        bets.push({ ...parsed.bet, amount });
+    }
+
+    return { valid: true, bets };
+}
+
+// Amount returned for a bet (stake included), 0 if it lost
+function resolveBet(bet, number) {
+    return bet.numbers.includes(number) ? bet.amount * (bet.payout + 1) : 0;
+}
+
+module.exports = {
+    POCKETS,
+    PAYOUTS,
+    colorOf,
+    colorEmoji,
+    isAdjacent,
+    parseBet,
+    parseBets,
+    resolveBet
+};
\ No newline at end of file
@@ -0,0 +1,122 @@
+// src/games/rouletteWheel.js - Draw the roulette wheel as a PNG, winning pocket at the top
+const roulette = require('./roulette');
+const png = require('../media/png');
+
+// Pockets clockwise around a European wheel, starting at zero
+const WHEEL_ORDER = [
+    0, 32, 15, 19, 4, 21, 2, 25, 17, 34, 6, 27, 13, 36, 11, 30, 8, 23, 10,
+    5, 24, 16, 33, 1, 20, 14, 31, 9, 22, 18, 29, 7, 28, 12, 35, 3, 26
+];
+
+const COLORS = {
+    felt: [11, 83, 47],
+    rim: [92, 51, 23],
+    cone: [60, 35, 20],
+    gold: [212, 175, 55],
+    ball: [245, 245, 245],
+    red: [200, 30, 35],
+    black: [25, 25, 25],
+    green: [20, 140, 60]
+};
+
+// Radii as fractions of the wheel's radius
+const RING = { rim: 0.97, pockets: 0.86, cone: 0.6, hub: 0.32, ball: 0.055 };
+
+// 3x5 digits for the number in the hub, one string of rows per digit
+const DIGITS = [
+    '111101101101111', '010110010010111', '111001111100111', '111001111001111', '101101111001001',
+    '111100111001111', '111100111101111', '111001001001001', '111101111101111', '111101111001111'
+];
+
+const STEP = (2 * Math.PI) / WHEEL_ORDER.length;
+
+// There are only 37 pictures per size, each drawn once
+const rendered = new Map();
+
+// Whether (x, y), relative to the hub's centre, falls on a stroke of the number
+function onDigits(text, x, y, cell) {
+    const width = text.length * 4 - 1;
+    const col = Math.floor(x / cell + width / 2);
+    const row = Math.floor(y / cell + 2.5);
+    if (col < 0 || col >= width || row < 0 || row >= 5 || col % 4 === 3) {
+        return false;
+    }
+    const glyph = DIGITS[Number(text[Math.floor(col / 4)])];
+    return glyph[row * 3 + (col % 4)] === '1';
+}
+
+// Colour at a point; x and y are relative to the centre, in wheel radii
+function colorAt(x, y, number, px) {
+    const r = Math.hypot(x, y);
+    if (r > RING.rim) {
+        return COLORS.felt;
+    }
+    if (r > RING.pockets) {
+        return COLORS.rim;
+    }
+
+    // Angle clockwise from 12 o'clock, where the winning pocket sits
+    const angle = (Math.atan2(y, x) + Math.PI / 2 + STEP / 2 + 2 * Math.PI) % (2 * Math.PI);
+    const slot = Math.floor(angle / STEP);
+
+    if (r > RING.cone) {
+        const ballY = -(RING.cone + RING.ball * 1.6);
+        if (Math.hypot(x, y - ballY) < RING.ball) {
+            return COLORS.ball;
+        }
+        // Gold frets between pockets
+        const edge = Math.min(angle - slot * STEP, (slot + 1) * STEP - angle) * r;
+        if (edge < px || r > RING.pockets - px || r < RING.cone + px) {
+            return COLORS.gold;
+        }
+        const start = WHEEL_ORDER.indexOf(number);
+        return COLORS[roulette.colorOf(WHEEL_ORDER[(start + slot) % WHEEL_ORDER.length])];
+    }
+
+    if (r > RING.hub) {
+        return COLORS.cone;
+    }
+    return onDigits(String(number), x, y, RING.hub / 4.5) ? COLORS[roulette.colorOf(number)] : COLORS.gold;
+}
+
+// A size x size PNG of the wheel stopped on `number`
+function render(number, size = 320) {
+    const key = `${number}:${size}`;
+    if (!rendered.has(key)) {
+        rendered.set(key, draw(number, size));
+    }
+    return rendered.get(key);
+}
+
+function draw(number, size) {
+    const pixels = Buffer.alloc(size * size * 3);
+    const radius = size / 2;
+    const px = 1 / radius;
+    // 2x2 samples per pixel smooth the edges
+    const offsets = [0.25, 0.75];
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const sum = [0, 0, 0];
+            for (const dy of offsets) {
+                for (const dx of offsets) {
+                    const color = colorAt((x + dx - radius) / radius, (y + dy - radius) / radius, number, px);
+                    sum[0] += color[0];
+                    sum[1] += color[1];
+                    sum[2] += color[2];
+                }
+            }
+            const at = (y * size + x) * 3;
+            pixels[at] = Math.round(sum[0] / 4);
+            pixels[at + 1] = Math.round(sum[1] / 4);
+            pixels[at + 2] = Math.round(sum[2] / 4);
+        }
+    }
+
+    return png.encode(size, size, pixels);
+}
+
+module.exports = {
+    WHEEL_ORDER,
+    render
+};
@@ -1,93 +1,112 @@
 // src/security/securityManager.js - Security and anti-exploitation measures
-const crypto = require('crypto');
+const RandomService = require('./randomService');
+const RateLimiter = require('./rateLimiter');
+const config = require('../../config');
+const { defaultLogger } = require('../logging/logger');
+
+// Strike points count for config.moderation.windowHours
+const suspiciousWindowMs = () => config.moderation.windowHours * 60 * 60 * 1000;
 
 class SecurityManager {
-    constructor() {
+    // Rate limits and suspicious activity are kept in `database`; without one
+    // only the stateless checks are available. The bot shares one instance.
+    // options.logger is the bot's logger.
+    constructor(database = null, options = {}) {
+        // Telemetry only: commands are validated by their argument schemas,
+        // and matches here are logged, never refused. No `g` flag, so test()
+        // keeps no lastIndex state between calls.
         this.maliciousPatterns = [
             // JavaScript execution patterns
-            /eval\s*\(/gi,
-            /function\s*\(/gi,
-            /=>\s*{/gi,
-            /new\s+Function/gi,
-            /setTimeout\s*\(/gi,
-            /setInterval\s*\(/gi,
+            /eval\s*\(/i,
+            /function\s*\(/i,
+            /=>\s*{/i,
+            /new\s+Function/i,
+            /setTimeout\s*\(/i,
+            /setInterval\s*\(/i,
             
             // Code injection patterns
-            /require\s*\(/gi,
-            /import\s+/gi,
-            /process\./gi,
-            /global\./gi,
-            /__dirname/gi,
-            /__filename/gi,
+            /require\s*\(/i,
+            /import\s+/i,
+            /process\./i,
+            /global\./i,
+            /__dirname/i,
+            /__filename/i,
             
             // Database injection attempts
-            /DROP\s+TABLE/gi,
-            /DELETE\s+FROM/gi,
-            /UPDATE\s+.*SET/gi,
-            /INSERT\s+INTO/gi,
-            /ALTER\s+TABLE/gi,
+            /DROP\s+TABLE/i,
+            /DELETE\s+FROM/i,
+            /UPDATE\s+.*SET/i,
+            /INSERT\s+INTO/i,
+            /ALTER\s+TABLE/i,
             
             // System command injection
-            /exec\s*\(/gi,
-            /spawn\s*\(/gi,
-            /child_process/gi,
-            /fs\./gi,
-            /path\./gi,
+            /exec\s*\(/i,
+            /spawn\s*\(/i,
+            /child_process/i,
+            /fs\./i,
+            /path\./i,
             
             // Script tags and HTML injection
-            /<script/gi,
-            /<iframe/gi,
-            /javascript:/gi,
-            /on\w+\s*=/gi,
+            /<script/i,
+            /<iframe/i,
+            /javascript:/i,
+            /on\w+\s*=/i,
             
             // Common exploitation attempts
-            /\.\.\//g,
-            /\/etc\/passwd/gi,
-            /\/proc\/version/gi,
-            /cmd\.exe/gi,
-            /powershell/gi,
+            /\.\.\//,
+            /\/etc\/passwd/i,
+            /\/proc\/version/i,
+            /cmd\.exe/i,
+            /powershell/i,
             
             // Prototype pollution
-            /__proto__/gi,
-            /constructor/gi,
-            /prototype/gi
+            /__proto__/i,
+            /constructor/i,
+            /prototype/i
         ];
 
-        this.rateLimitMap = new Map();
-        this.suspiciousActivityMap = new Map();
+        this.db = database;
+        this.logger = options.logger || defaultLogger();
+        this.limiter = database ? new RateLimiter(database) : null;
+        this.random = new RandomService();
     }
 
-    containsMaliciousCode(input) {
+    // Which telemetry signals `input` trips: blocklisted patterns, a high
+    // share of special characters, extreme length. Empty for clean input.
+    suspiciousSignals(input) {
         if (!input || typeof input !== 'string') {
-            return false;
+            return [];
         }
 
-        // Check against malicious patterns
-        for (const pattern of this.maliciousPatterns) {
-            if (pattern.test(input)) {
-                console.warn(`Malicious pattern detected: ${pattern} in input: ${input}`);
-                return true;
-            }
-        }
+        const signals = this.maliciousPatterns
+            .filter(pattern => pattern.test(input))
+            .map(pattern => `pattern ${pattern}`);
 
-        // Check for excessive special characters (potential obfuscation)
+        // Possible obfuscation
         const specialCharCount = (input.match(/[^\w\s.]/g) || []).length;
         const specialCharRatio = specialCharCount / input.length;
         if (specialCharRatio > 0.3) {
-            console.warn(`High special character ratio detected: ${specialCharRatio}`);
-            return true;
+            signals.push(`special characters ${Math.round(specialCharRatio * 100)}%`);
         }
 
-        // Check for extremely long commands (potential buffer overflow)
         if (input.length > 1000) {
-            console.warn(`Extremely long input detected: ${input.length} characters`);
-            return true;
+            signals.push(`length ${input.length}`);
         }
 
-        return false;
+        return signals;
+    }
+
+    // Log the signals a user's command trips, returning them. The input itself
+    // stays out of the logs.
+    logSuspiciousInput(userPhone, input) {
+        const signals = this.suspiciousSignals(input);
+        if (signals.length > 0) {
+            this.logger.warn({ user: userPhone, signals, length: input.length }, 'Suspicious input');
+        }
+        return signals;
     }
 
-    validateBetAmount(amount, userBalance, minBet = 1, maxBet = 1000) {
+    validateBetAmount(amount, userBalance, minBet, maxBet) {
         // Validate amount is a positive integer
         if (!Number.isInteger(amount) || amount <= 0) {
             return { valid: false, error: 'Bet amount must be a positive integer' };
@@ -111,9 +130,9 @@ class SecurityManager {
         return { valid: true };
     }
 
-    validateGuessNumber(guess) {
-        if (!Number.isInteger(guess) || guess < 1 || guess > 10) {
-            return { valid: false, error: 'Guess must be a number between 1 and 10' };
+    validateGuessNumber(guess, min, max) {
+        if (!Number.isInteger(guess) || guess < min || guess > max) {
+            return { valid: false, error: `Guess must be a number between ${min} and ${max}` };
         }
         return { valid: true };
     }
@@ -128,11 +147,6 @@ class SecurityManager {
             return { valid: false, error: 'Code too long' };
         }
 
-        // Check for malicious patterns in code
-        if (this.containsMaliciousCode(code)) {
-            return { valid: false, error: 'Invalid code format' };
-        }
-
         // Allow only alphanumeric characters and common symbols
         if (!/^[a-zA-Z0-9_-]+$/.test(code)) {
             return { valid: false, error: 'Code contains invalid characters' };
@@ -141,77 +155,51 @@ class SecurityManager {
         return { valid: true };
     }
 
-    // Rate limiting to prevent spam and abuse
-    checkRateLimit(userPhone, action, maxAttempts = 10, windowMinutes = 5) {
-        const key = `${userPhone}:${action}`;
-        const now = Date.now();
-        const windowMs = windowMinutes * 60 * 1000;
-
-        if (!this.rateLimitMap.has(key)) {
-            this.rateLimitMap.set(key, []);
+    // Rate limiting to prevent spam and abuse: `maxAttempts` per window, with
+    // the allowance refilling gradually. Storage errors let the action through
+    // rather than locking everyone out.
+    async checkRateLimit(userPhone, action, maxAttempts = 10, windowMinutes = 5) {
+        if (!this.limiter) {
+            throw new Error('Rate limiting needs a database');
         }
 
-        const attempts = this.rateLimitMap.get(key);
-        
-        // Remove old attempts outside the window
-        const validAttempts = attempts.filter(timestamp => now - timestamp < windowMs);
-        this.rateLimitMap.set(key, validAttempts);
-
-        // Check if user exceeded rate limit
-        if (validAttempts.length >= maxAttempts) {
-            return { 
-                allowed: false, 
-                error: `Too many ${action} attempts. Please wait ${windowMinutes} minutes.` 
-            };
+        try {
+            const result = await this.limiter.consume(`${userPhone}:${action}`, maxAttempts, windowMinutes);
+            if (!result.allowed) {
+                return {
+                    allowed: false,
+                    retryAfterMs: result.retryAfterMs,
+                    error: `Too many ${action} attempts. Please wait ${RateLimiter.formatWait(result.retryAfterMs)}.`
+                };
+            }
+            return { allowed: true, remaining: result.remaining };
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error checking rate limit');
+            return { allowed: true };
         }
-
-        // Add current attempt
-        validAttempts.push(now);
-        this.rateLimitMap.set(key, validAttempts);
-
-        return { allowed: true };
     }
 
-    // Track suspicious activity
-    trackSuspiciousActivity(userPhone, activity) {
-        const key = userPhone;
-        
-        if (!this.suspiciousActivityMap.has(key)) {
-            this.suspiciousActivityMap.set(key, []);
-        }
-
-        const activities = this.suspiciousActivityMap.get(key);
-        activities.push({
-            activity,
-            timestamp: Date.now()
-        });
-
-        // Keep only recent activities (last 24 hours)
-        const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
-        const recentActivities = activities.filter(a => a.timestamp > oneDayAgo);
-        this.suspiciousActivityMap.set(key, recentActivities);
-
-        // Check if user has too many suspicious activities
-        if (recentActivities.length > 5) {
-            console.warn(`User ${userPhone} has ${recentActivities.length} suspicious activities in 24h`);
-            return true;
+    // Record suspicious activity worth `points` strike points. Returns the
+    // user's points within the moderation window, this activity included.
+    async trackSuspiciousActivity(userPhone, activity, points = 1, now = Date.now()) {
+        if (!this.db) {
+            throw new Error('Tracking suspicious activity needs a database');
         }
 
-        return false;
+        await this.db.recordSuspiciousActivity(userPhone, activity, points, now);
+        const total = await this.db.getStrikePoints(userPhone, now - suspiciousWindowMs());
+        this.logger.warn({ user: userPhone, activity, points: total }, 'Strike points recorded');
+        return total;
     }
 
-    // Generate secure random numbers for games
+    // Generate secure random numbers for games (unbiased, see RandomService)
     generateSecureRandom(min, max) {
-        const range = max - min + 1;
-        const randomBytes = crypto.randomBytes(4);
-        const randomValue = randomBytes.readUInt32BE(0);
-        return min + (randomValue % range);
+        return this.random.int(min, max);
     }
 
-    // Generate secure random for roulette (true/false for red/black)
+    // Generate secure random pocket for a European wheel (0-36)
     generateSecureRouletteResult() {
-        const randomByte = crypto.randomBytes(1)[0];
-        return randomByte % 2 === 0 ? 'red' : 'black';
+        return this.generateSecureRandom(0, 36);
     }
 
     // Sanitize input strings
@@ -237,6 +225,15 @@ class SecurityManager {
         return phoneRegex.test(phoneNumber);
     }
 
+    // Mask a phone number for public output, e.g. 6281****7890
+    maskPhoneNumber(phoneNumber) {
+        const digits = String(phoneNumber || '').split('@')[0];
+        if (digits.length <= 8) {
+            return '****';
+        }
+        return `${digits.slice(0, 4)}****${digits.slice(-4)}`;
+    }
+
     // Check if timestamp is recent (for code expiration)
     isRecentTimestamp(timestamp, maxAgeHours = 24) {
         const now = new Date();
@@ -246,19 +243,18 @@ class SecurityManager {
         return diffHours <= maxAgeHours;
     }
 
-    // Clean up old rate limit data
-    cleanupRateLimits() {
-        const now = Date.now();
-        const oneHourAgo = now - (60 * 60 * 1000);
+    // Clean up refilled rate limit buckets and strike points past the window;
+    // the bot runs this on a timer
+    async cleanupRateLimits(now = Date.now()) {
+        if (!this.db) {
+            return;
+        }
 
-        for (const [key, attempts] of this.rateLimitMap.entries()) {
-            const validAttempts = attempts.filter(timestamp => timestamp > oneHourAgo);
-            
-            if (validAttempts.length === 0) {
-                this.rateLimitMap.delete(key);
-            } else {
-                this.rateLimitMap.set(key, validAttempts);
-            }
+        try {
+            await this.limiter.cleanup(now);
+            await this.db.purgeSuspiciousActivity(now - suspiciousWindowMs());
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error cleaning up rate limits');
         }
     }
 }
@@ -0,0 +1,99 @@
+// src/games/slots.js - Slot machine reels, paytable matching and RTP
+const WILDCARD = '*';
+
+// Check reel strips and paytable shape, throwing on the first problem
+function validateConfig(slots) {
+    if (!Array.isArray(slots.reels) || slots.reels.length === 0) {
+        throw new Error('games.slots.reels must be a list of reel strips');
+    }
+    for (const [i, strip] of slots.reels.entries()) {
+        if (!Array.isArray(strip) || strip.length < 3) {
+            throw new Error(`games.slots.reels[${i}] needs at least 3 symbols`);
+        }
+    }
+
+    if (!Array.isArray(slots.paytable) || slots.paytable.length === 0) {
+        throw new Error('games.slots.paytable must not be empty');
+    }
+    for (const [i, entry] of slots.paytable.entries()) {
+        if (!Array.isArray(entry.symbols) || entry.symbols.length !== slots.reels.length) {
+            throw new Error(`games.slots.paytable[${i}] must list one symbol per reel`);
+        }
+        if (typeof entry.payout !== 'number' || entry.payout <= 0) {
+            throw new Error(`games.slots.paytable[${i}].payout must be a positive number`);
+        }
+    }
+}
+
+// First paytable entry matching the payline, or null
+function matchPaytable(paytable, line) {
+    return paytable.find(entry =>
+        entry.symbols.every((symbol, i) => symbol === WILDCARD || symbol === line[i])
+    ) || null;
+}
+
+// Theoretical return to player: the payout of every possible payline weighted
+// by how likely it is. Strips are summarised as symbol counts so this stays
+// cheap for long strips.
+function calculateRtp(reels, paytable) {
+    const counts = reels.map(strip => {
+        const map = new Map();
+        strip.forEach(symbol => map.set(symbol, (map.get(symbol) || 0) + 1));
+        return Array.from(map.entries());
+    });
+    const totalStops = reels.reduce((product, strip) => product * strip.length, 1);
+
+    let expected = 0;
+    const walk = (reel, line, weight) => {
+        if (reel === reels.length) {
+            const entry = matchPaytable(paytable, line);
+            if (entry) {
+                expected += weight * entry.payout;
+            }
+            return;
+        }
+        for (const [symbol, count] of counts[reel]) {
+            walk(reel + 1, [...line, symbol], weight * count);
+        }
+    };
+    walk(0, [], 1);
+
+    return expected / totalStops;
+}
+
+// Validate the configured machine and refuse one that pays out more than it takes in
+function loadMachine(slots) {
+    validateConfig(slots);
+    const rtp = calculateRtp(slots.reels, slots.paytable);
+    if (rtp > 1) {
+        throw new Error(`Slots paytable returns ${(rtp * 100).toFixed(2)}%, more than 100%`);
+    }
+    return { reels: slots.reels, paytable: slots.paytable, rtp };
+}
+
+// Pick a stop per reel; the grid shows the symbol above, at and below each stop
+function spin(rng, reels) {
+    const stops = reels.map(strip => rng.int(0, strip.length - 1));
+    return { stops, ...gridAt(reels, stops) };
+}
+
+function gridAt(reels, stops) {
+    const at = (strip, index) => strip[(index + strip.length) % strip.length];
+    const grid = [-1, 0, 1].map(offset => reels.map((strip, i) => at(strip, stops[i] + offset)));
+    return { grid, line: grid[1] };
+}
+
+function renderGrid(grid) {
+    return grid.map((row, i) => (i === 1 ? `▶ ${row.join(' ')} ◀` : `   ${row.join(' ')}`)).join('\n');
+}
+
+module.exports = {
+    WILDCARD,
+    validateConfig,
+    matchPaytable,
+    calculateRtp,
+    loadMachine,
+    spin,
+    gridAt,
+    renderGrid
+};
\ No newline at end of file
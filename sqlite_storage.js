@@ -0,0 +1,584 @@
+// src/database/sqliteStorage.js - SQLite storage backend
+const sqlite3 = require('sqlite3').verbose();
+const { open } = require('sqlite');
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+const migrations = require('./migrations');
+const { SerialQueue, timestamp, parseTimestamp } = require('./repositories');
+const { defaultLogger } = require('../logging/logger');
+
+// WHERE clause limiting `column` to a wallet scope (see repositories.js)
+function walletClause(column, scope) {
+    if (scope.suffix) {
+        return { clause: `${column} LIKE ?`, params: [`%${scope.suffix}`] };
+    }
+
+    const exclude = scope.exclude || [];
+    return {
+        clause: `${column} NOT LIKE '%@%'${exclude.length > 0 ? ` AND ${column} NOT IN (${exclude.map(() => '?').join(', ')})` : ''}`,
+        params: exclude
+    };
+}
+
+function sinceClause(since) {
+    return since
+        ? { clause: 'AND created_at > ?', params: [timestamp(since)] }
+        : { clause: '', params: [] };
+}
+
+class SqliteStorage {
+    // Relative filenames are resolved from the project root; options.logger
+    // reports backups and applied migrations
+    constructor(filename = config.database.filename, options = {}) {
+        this.filename = path.resolve(__dirname, '../..', filename);
+        this.logger = options.logger || defaultLogger();
+        this.connection = null;
+        this.queue = new SerialQueue();
+
+        const db = () => this.connection;
+
+        this.users = {
+            find: async (phone) => (await db().get('SELECT * FROM users WHERE phone_number = ?', [phone])) || null,
+
+            create: async (phone, coins) => {
+                const result = await db().run('INSERT OR IGNORE INTO users (phone_number, coins) VALUES (?, ?)', [phone, coins]);
+                return result.changes > 0;
+            },
+
+            // The balance check happens in SQL so concurrent debits can never
+            // take a balance below zero
+            adjustBalance: async (phone, amount) => {
+                const result = await db().run(
+                    'UPDATE users SET coins = coins + ?, updated_at = CURRENT_TIMESTAMP WHERE phone_number = ? AND coins + ? >= 0',
+                    [amount, phone, amount]
+                );
+                if (result.changes === 0) {
+                    return null;
+                }
+
+                const { coins } = await db().get('SELECT coins FROM users WHERE phone_number = ?', [phone]);
+                return coins;
+            },
+
+            phones: async () => (await db().all('SELECT phone_number FROM users ORDER BY id')).map(row => row.phone_number),
+
+            firstSeen: async (phone) => {
+                const row = await db().get(
+                    'SELECT MIN(created_at) as created_at FROM users WHERE phone_number = ? OR phone_number LIKE ?',
+                    [phone, `${phone}@%`]
+                );
+                return row ? parseTimestamp(row.created_at) : null;
+            },
+
+            top: async (scope, limit) => {
+                const wallets = walletClause('phone_number', scope);
+                return db().all(
+                    `SELECT phone_number as wallet, coins as value FROM users WHERE ${wallets.clause} ORDER BY coins DESC LIMIT ?`,
+                    [...wallets.params, limit]
+                );
+            }
+        };
+
+        this.ledger = {
+            append: async (phone, amount, balanceAfter, reason, details = null) => {
+                await db().run(
+                    'INSERT INTO coin_transactions (user_phone, amount, balance_after, reason, details) VALUES (?, ?, ?, ?, ?)',
+                    [phone, amount, balanceAfter, reason, details]
+                );
+            },
+
+            recent: (phone, limit) => db().all(
+                'SELECT * FROM coin_transactions WHERE user_phone = ? ORDER BY id DESC LIMIT ?',
+                [phone, limit]
+            ),
+
+            debitedSince: async (phone, reason, since) => {
+                const row = await db().get(`
+                    SELECT COALESCE(-SUM(amount), 0) as total FROM coin_transactions
+                    WHERE user_phone = ? AND reason = ? AND amount < 0 AND created_at >= ?
+                `, [phone, reason, timestamp(since)]);
+                return row.total;
+            },
+
+            mismatches: () => db().all(`
+                SELECT u.phone_number, u.coins, COALESCE(SUM(t.amount), 0) as ledger_total
+                FROM users u
+                LEFT JOIN coin_transactions t ON t.user_phone = u.phone_number
+                GROUP BY u.id
+                HAVING u.coins != ledger_total
+            `)
+        };
+
+        this.codes = {
+            insert: async (code, coinValue, expiresAt, createdBy, maxRedemptions, allowedUsers, allowedGroups, minAccountAgeHours) => {
+                try {
+                    await db().run(
+                        `INSERT INTO redeem_codes (code, coin_value, expires_at, created_by, max_redemptions,
+                             allowed_users, allowed_groups, min_account_age_hours)
+                         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                        [code, coinValue, expiresAt, createdBy, maxRedemptions, allowedUsers, allowedGroups, minAccountAgeHours]
+                    );
+                } catch (error) {
+                    if (error.message.includes('UNIQUE constraint failed')) {
+                        throw new Error('Code already exists');
+                    }
+                    throw error;
+                }
+            },
+
+            findActive: async (code) => (await db().get('SELECT * FROM redeem_codes WHERE code = ? AND is_active = 1', [code])) || null,
+
+            list: (limit) => db().all(`
+                SELECT rc.*, COUNT(cr.id) as redemptions
+                FROM redeem_codes rc
+                LEFT JOIN code_redemptions cr ON cr.code = rc.code
+                GROUP BY rc.id
+                ORDER BY rc.id DESC
+                LIMIT ?
+            `, [limit]),
+
+            deactivate: async (code) => {
+                const result = await db().run('UPDATE redeem_codes SET is_active = 0 WHERE code = ? AND is_active = 1', [code]);
+                return result.changes > 0;
+            }
+        };
+
+        this.redemptions = {
+            find: async (phone, code) => (await db().get(
+                'SELECT * FROM code_redemptions WHERE user_phone = ? AND code = ?',
+                [phone, code]
+            )) || null,
+
+            count: async (code) => (await db().get('SELECT COUNT(*) as total FROM code_redemptions WHERE code = ?', [code])).total,
+
+            insert: async (phone, code, coinsReceived) => {
+                try {
+                    await db().run(
+                        'INSERT INTO code_redemptions (user_phone, code, coins_received) VALUES (?, ?, ?)',
+                        [phone, code, coinsReceived]
+                    );
+                } catch (error) {
+                    if (error.message.includes('UNIQUE constraint failed')) {
+                        throw new Error('Code already redeemed by this user');
+                    }
+                    throw error;
+                }
+            }
+        };
+
+        this.history = {
+            insert: async (phone, gameType, betAmount, winAmount, gameData) => {
+                const result = await db().run(
+                    'INSERT INTO game_history (user_phone, game_type, bet_amount, win_amount, game_data) VALUES (?, ?, ?, ?, ?)',
+                    [phone, gameType, betAmount, winAmount, gameData]
+                );
+                return result.lastID;
+            },
+
+            find: async (id) => (await db().get('SELECT * FROM game_history WHERE id = ?', [id])) || null,
+
+            summary: (phone, since) => {
+                const window = sinceClause(since);
+                return db().get(`
+                    SELECT
+                        COUNT(*) as game_count,
+                        SUM(CASE WHEN win_amount > bet_amount THEN 1 ELSE 0 END) as wins,
+                        SUM(bet_amount) as total_bet,
+                        SUM(win_amount) as total_won
+                    FROM game_history
+                    WHERE user_phone = ? ${window.clause}
+                `, [phone, ...window.params]);
+            },
+
+            byGame: (phone, since) => {
+                const window = sinceClause(since);
+                return db().all(`
+                    SELECT
+                        game_type,
+                        COUNT(*) as game_count,
+                        SUM(CASE WHEN win_amount > bet_amount THEN 1 ELSE 0 END) as wins,
+                        SUM(bet_amount) as total_bet,
+                        SUM(win_amount) as total_won
+                    FROM game_history
+                    WHERE user_phone = ? ${window.clause}
+                    GROUP BY game_type
+                    ORDER BY game_count DESC
+                `, [phone, ...window.params]);
+            },
+
+            totals: () => db().all(`
+                SELECT game_type, COUNT(*) as game_count, SUM(bet_amount) as total_bet, SUM(win_amount) as total_won
+                FROM game_history
+                GROUP BY game_type
+            `),
+
+            outcomes: (phone, since) => {
+                const window = sinceClause(since);
+                return db().all(`
+                    SELECT win_amount > bet_amount as won FROM game_history
+                    WHERE user_phone = ? ${window.clause}
+                    ORDER BY id
+                `, [phone, ...window.params]);
+            },
+
+            leaderboard: (kind, scope, since, limit) => {
+                const wallets = walletClause('user_phone', scope);
+                const window = sinceClause(since);
+                const value = kind === 'winners' ? 'SUM(win_amount - bet_amount)' : 'COUNT(*)';
+
+                return db().all(`
+                    SELECT user_phone as wallet, ${value} as value
+                    FROM game_history
+                    WHERE ${wallets.clause} ${window.clause}
+                    GROUP BY user_phone
+                    HAVING value > 0
+                    ORDER BY value DESC
+                    LIMIT ?
+                `, [...wallets.params, ...window.params, limit]);
+            }
+        };
+
+        this.groups = {
+            find: async (groupJid) => (await db().get('SELECT * FROM group_settings WHERE group_jid = ?', [groupJid])) || null,
+
+            save: async (groupJid, prefix, enabledGames, minBet, maxBet, economy) => {
+                await db().run(`
+                    INSERT INTO group_settings (group_jid, prefix, enabled_games, min_bet, max_bet, economy)
+                    VALUES (?, ?, ?, ?, ?, ?)
+                    ON CONFLICT(group_jid) DO UPDATE SET
+                        prefix = excluded.prefix,
+                        enabled_games = excluded.enabled_games,
+                        min_bet = excluded.min_bet,
+                        max_bet = excluded.max_bet,
+                        economy = excluded.economy,
+                        updated_at = CURRENT_TIMESTAMP
+                `, [groupJid, prefix, enabledGames, minBet, maxBet, economy]);
+            }
+        };
+
+        this.sessions = {
+            find: async (phone, gameType) => (await db().get(
+                'SELECT * FROM game_sessions WHERE user_phone = ? AND game_type = ?',
+                [phone, gameType]
+            )) || null,
+
+            expired: (gameType, now) => db().all(
+                'SELECT * FROM game_sessions WHERE game_type = ? AND expires_at <= ?',
+                [gameType, now]
+            ),
+
+            insert: async (phone, gameType, state, lockedAmount, expiresAt) => {
+                try {
+                    const result = await db().run(
+                        'INSERT INTO game_sessions (user_phone, game_type, state, locked_amount, expires_at) VALUES (?, ?, ?, ?, ?)',
+                        [phone, gameType, state, lockedAmount, expiresAt]
+                    );
+                    return result.lastID;
+                } catch (error) {
+                    if (error.message.includes('UNIQUE constraint failed')) {
+                        throw new Error('Session already open');
+                    }
+                    throw error;
+                }
+            },
+
+            update: async (id, version, state, extraLock, expiresAt) => {
+                const result = await db().run(
+                    `UPDATE game_sessions SET state = ?, locked_amount = locked_amount + ?, version = version + 1,
+                     expires_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND version = ?`,
+                    [state, extraLock, expiresAt, id, version]
+                );
+                return result.changes > 0;
+            },
+
+            remove: async (id, version) => {
+                const result = await db().run('DELETE FROM game_sessions WHERE id = ? AND version = ?', [id, version]);
+                return result.changes > 0;
+            }
+        };
+
+        this.seeds = {
+            find: async (phone) => (await db().get('SELECT * FROM fairness_seeds WHERE user_phone = ?', [phone])) || null,
+
+            create: async (phone, serverSeed, serverSeedHash, clientSeed) => {
+                await db().run(
+                    'INSERT OR IGNORE INTO fairness_seeds (user_phone, server_seed, server_seed_hash, client_seed) VALUES (?, ?, ?, ?)',
+                    [phone, serverSeed, serverSeedHash, clientSeed]
+                );
+            },
+
+            incrementNonce: async (phone) => {
+                await db().run('UPDATE fairness_seeds SET nonce = nonce + 1 WHERE user_phone = ?', [phone]);
+            },
+
+            replace: async (phone, serverSeed, serverSeedHash, clientSeed) => {
+                await db().run(
+                    'UPDATE fairness_seeds SET server_seed = ?, server_seed_hash = ?, client_seed = ?, nonce = 0, created_at = CURRENT_TIMESTAMP WHERE user_phone = ?',
+                    [serverSeed, serverSeedHash, clientSeed, phone]
+                );
+            },
+
+            reveal: async (seed) => {
+                await db().run(
+                    'INSERT INTO revealed_seeds (user_phone, server_seed, server_seed_hash, client_seed, final_nonce) VALUES (?, ?, ?, ?, ?)',
+                    [seed.user_phone, seed.server_seed, seed.server_seed_hash, seed.client_seed, seed.nonce]
+                );
+            },
+
+            findRevealed: async (serverSeedHash) => (await db().get(
+                'SELECT * FROM revealed_seeds WHERE server_seed_hash = ?',
+                [serverSeedHash]
+            )) || null
+        };
+
+        this.duels = {
+            findPendingBy: async (chatJid, challenger) => (await db().get(
+                `SELECT * FROM duels WHERE chat_jid = ? AND challenger = ? AND status = 'pending'`,
+                [chatJid, challenger]
+            )) || null,
+
+            findPendingFor: async (chatJid, opponent, now) => (await db().get(
+                `SELECT * FROM duels WHERE chat_jid = ? AND opponent = ? AND status = 'pending' AND expires_at > ?
+                 ORDER BY id DESC LIMIT 1`,
+                [chatJid, opponent, now]
+            )) || null,
+
+            expired: (now) => db().all(`SELECT * FROM duels WHERE status = 'pending' AND expires_at <= ?`, [now]),
+
+            insert: async (chatJid, challenger, opponent, bet, expiresAt) => {
+                const result = await db().run(
+                    'INSERT INTO duels (chat_jid, challenger, opponent, bet, expires_at) VALUES (?, ?, ?, ?, ?)',
+                    [chatJid, challenger, opponent, bet, expiresAt]
+                );
+                return result.lastID;
+            },
+
+            resolve: async (id, status, winner = null) => {
+                const result = await db().run(
+                    `UPDATE duels SET status = ?, winner = ?, settled_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'`,
+                    [status, winner, id]
+                );
+                return result.changes > 0;
+            }
+        };
+
+        this.lotteries = {
+            findOpen: async (chatJid) => (await db().get(
+                `SELECT * FROM lottery_rounds WHERE chat_jid = ? AND status = 'open'`,
+                [chatJid]
+            )) || null,
+
+            due: (now) => db().all(`SELECT * FROM lottery_rounds WHERE status = 'open' AND draw_at <= ?`, [now]),
+
+            insert: async (chatJid, ticketPrice, drawAt) => {
+                try {
+                    const result = await db().run(
+                        'INSERT INTO lottery_rounds (chat_jid, ticket_price, draw_at) VALUES (?, ?, ?)',
+                        [chatJid, ticketPrice, drawAt]
+                    );
+                    return result.lastID;
+                } catch (error) {
+                    if (error.message.includes('UNIQUE constraint failed')) {
+                        throw new Error('Lottery already open');
+                    }
+                    throw error;
+                }
+            },
+
+            tickets: (roundId) => db().all('SELECT * FROM lottery_tickets WHERE round_id = ? ORDER BY user_phone', [roundId]),
+
+            ticketsHeld: async (roundId, phone) => {
+                const row = await db().get('SELECT tickets FROM lottery_tickets WHERE round_id = ? AND user_phone = ?', [roundId, phone]);
+                return row ? row.tickets : 0;
+            },
+
+            setTickets: async (roundId, phone, tickets) => {
+                await db().run(
+                    `INSERT INTO lottery_tickets (round_id, user_phone, tickets) VALUES (?, ?, ?)
+                     ON CONFLICT(round_id, user_phone) DO UPDATE SET tickets = excluded.tickets`,
+                    [roundId, phone, tickets]
+                );
+            },
+
+            close: async (id, status, winner = null) => {
+                const result = await db().run(
+                    `UPDATE lottery_rounds SET status = ?, winner = ? WHERE id = ? AND status = 'open'`,
+                    [status, winner, id]
+                );
+                return result.changes > 0;
+            }
+        };
+
+        this.rewards = {
+            find: async (phone) => (await db().get('SELECT * FROM reward_claims WHERE user_phone = ?', [phone])) || null,
+
+            saveDaily: async (phone, day, streak) => {
+                await db().run(
+                    `INSERT INTO reward_claims (user_phone, last_daily_day, daily_streak) VALUES (?, ?, ?)
+                     ON CONFLICT(user_phone) DO UPDATE SET last_daily_day = excluded.last_daily_day, daily_streak = excluded.daily_streak`,
+                    [phone, day, streak]
+                );
+            },
+
+            saveFaucet: async (phone, claimedAt) => {
+                await db().run(
+                    `INSERT INTO reward_claims (user_phone, last_faucet_at) VALUES (?, ?)
+                     ON CONFLICT(user_phone) DO UPDATE SET last_faucet_at = excluded.last_faucet_at`,
+                    [phone, claimedAt]
+                );
+            }
+        };
+
+        this.bans = {
+            upsert: async (phone, reason, bannedBy, expiresAt, kind) => {
+                await db().run(
+                    `INSERT INTO bans (user_phone, reason, banned_by, expires_at, kind) VALUES (?, ?, ?, ?, ?)
+                     ON CONFLICT(user_phone) DO UPDATE SET reason = excluded.reason, banned_by = excluded.banned_by,
+                         expires_at = excluded.expires_at, kind = excluded.kind, created_at = CURRENT_TIMESTAMP`,
+                    [phone, reason, bannedBy, expiresAt, kind]
+                );
+            },
+
+            remove: async (phone) => {
+                const result = await db().run('DELETE FROM bans WHERE user_phone = ?', [phone]);
+                return result.changes > 0;
+            },
+
+            findActive: async (phone, now) => (await db().get(
+                'SELECT * FROM bans WHERE user_phone = ? AND (expires_at IS NULL OR expires_at > ?)',
+                [phone, now]
+            )) || null
+        };
+
+        this.audit = {
+            insert: async (actor, role, action, target, details) => {
+                await db().run(
+                    'INSERT INTO admin_audit_log (actor, role, action, target, details) VALUES (?, ?, ?, ?, ?)',
+                    [actor, role, action, target, details]
+                );
+            },
+
+            recent: (limit) => db().all('SELECT * FROM admin_audit_log ORDER BY id DESC LIMIT ?', [limit])
+        };
+
+        this.limits = {
+            find: async (bucket) => (await db().get('SELECT * FROM rate_limits WHERE bucket = ?', [bucket])) || null,
+
+            save: async (bucket, tokens, updatedAt, fullAt) => {
+                await db().run(
+                    `INSERT INTO rate_limits (bucket, tokens, updated_at, full_at) VALUES (?, ?, ?, ?)
+                     ON CONFLICT(bucket) DO UPDATE SET tokens = excluded.tokens, updated_at = excluded.updated_at,
+                         full_at = excluded.full_at`,
+                    [bucket, tokens, updatedAt, fullAt]
+                );
+            },
+
+            purge: async (now) => (await db().run('DELETE FROM rate_limits WHERE full_at <= ?', [now])).changes
+        };
+
+        this.transfers = {
+            find: async (fromWallet) => (await db().get('SELECT * FROM pending_transfers WHERE from_wallet = ?', [fromWallet])) || null,
+
+            save: async (fromWallet, toWallet, amount, expiresAt) => {
+                await db().run(
+                    `INSERT INTO pending_transfers (from_wallet, to_wallet, amount, expires_at) VALUES (?, ?, ?, ?)
+                     ON CONFLICT(from_wallet) DO UPDATE SET to_wallet = excluded.to_wallet, amount = excluded.amount,
+                         expires_at = excluded.expires_at`,
+                    [fromWallet, toWallet, amount, expiresAt]
+                );
+            },
+
+            remove: async (fromWallet) => {
+                const result = await db().run('DELETE FROM pending_transfers WHERE from_wallet = ?', [fromWallet]);
+                return result.changes > 0;
+            }
+        };
+
+        this.abuse = {
+            insert: async (phone, activity, points, at) => {
+                await db().run(
+                    'INSERT INTO suspicious_activity (user_phone, activity, points, created_at) VALUES (?, ?, ?, ?)',
+                    [phone, activity, points, at]
+                );
+            },
+
+            pointsSince: async (phone, after) => (await db().get(
+                'SELECT COALESCE(SUM(points), 0) as total FROM suspicious_activity WHERE user_phone = ? AND created_at > ?',
+                [phone, after]
+            )).total,
+
+            purge: async (before) => (await db().run('DELETE FROM suspicious_activity WHERE created_at < ?', [before])).changes
+        };
+
+        this.queue.serialize(this);
+    }
+
+    async open({ migrate = true } = {}) {
+        fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+        this.connection = await open({
+            filename: this.filename,
+            driver: sqlite3.Database
+        });
+
+        if (migrate) {
+            await this.migrate();
+        }
+    }
+
+    async close() {
+        if (this.connection) {
+            await this.queue.idle();
+            await this.connection.close();
+            this.connection = null;
+        }
+    }
+
+    // The connection is shared, so transactions and every statement outside
+    // them take turns (see SerialQueue). Repositories used inside work() are
+    // this storage's own, running on that same connection.
+    transaction(work) {
+        return this.queue.run(async () => {
+            await this.connection.run('BEGIN IMMEDIATE TRANSACTION');
+            try {
+                const result = await work(this);
+                await this.connection.run('COMMIT');
+                return result;
+            } catch (error) {
+                await this.connection.run('ROLLBACK');
+                throw error;
+            }
+        });
+    }
+
+    // Apply pending migrations up to `target`, backing up existing data first
+    async migrate(target = migrations.latestVersion()) {
+        const pending = await migrations.pending(this.connection, target);
+        if (pending.length === 0) {
+            return [];
+        }
+
+        if (await migrations.hasData(this.connection)) {
+            const file = await this.backup(`pre-v${pending[pending.length - 1].version}`);
+            this.logger.info({ file }, 'Backed up database');
+        }
+
+        const applied = await migrations.migrate(this.connection, target);
+        applied.forEach(migration => this.logger.info(
+            { version: migration.version, name: migration.name }, 'Applied migration'
+        ));
+        return applied;
+    }
+
+    migrationStatus() {
+        return this.queue.run(() => migrations.status(this.connection));
+    }
+
+    // Snapshot of the database into config.database.backupDirectory
+    backup(label = 'backup') {
+        const directory = path.resolve(__dirname, '../..', config.database.backupDirectory);
+        return this.queue.run(() => migrations.backup(this.connection, directory, label));
+    }
+}
+
+module.exports = SqliteStorage;
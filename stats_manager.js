@@ -0,0 +1,109 @@
+// src/managers/statsManager.js - Leaderboards and player statistics from game_history
+const SecurityManager = require('../security/securityManager');
+const { defaultLogger } = require('../logging/logger');
+
+// Time windows, in hours back from now
+const WINDOWS = Object.freeze({
+    daily: { hours: 24, label: 'Today' },
+    weekly: { hours: 7 * 24, label: 'This week' },
+    all: { hours: null, label: 'All time' }
+});
+
+const BOARDS = Object.freeze({
+    rich: { title: '💰 *Richest Players*', unit: 'coins', defaultWindow: 'all' },
+    winners: { title: '🏆 *Biggest Winners*', unit: 'coins won', defaultWindow: 'weekly' },
+    games: { title: '🎲 *Most Games Played*', unit: 'games', defaultWindow: 'weekly' }
+});
+
+class StatsManager {
+    // options.security and options.logger share the bot's instances
+    constructor(database, options = {}) {
+        this.db = database;
+        this.logger = options.logger || defaultLogger();
+        this.security = options.security || new SecurityManager(database, { logger: this.logger });
+    }
+
+    // `walletSuffix` is the group suffix for isolated economies, null otherwise
+    async getLeaderboard(kind = 'rich', window, walletSuffix = null) {
+        try {
+            const board = BOARDS[kind];
+            const windowKey = kind === 'rich' ? 'all' : (window || board.defaultWindow);
+            const rows = await this.db.getLeaderboard(kind, WINDOWS[windowKey].hours, walletSuffix);
+
+            if (rows.length === 0) {
+                return { success: true, message: `${board.title}\n\nNo players yet.` };
+            }
+
+            const medals = ['🥇', '🥈', '🥉'];
+            const lines = rows.map((row, i) =>
+                `${medals[i] || `${i + 1}.`} ${this.security.maskPhoneNumber(row.wallet)} - ${row.value} ${board.unit}`
+            );
+
+            return {
+                success: true,
+                message: `${board.title} (${WINDOWS[windowKey].label})\n\n${lines.join('\n')}`
+            };
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error building leaderboard');
+            return { success: false, message: '❌ Failed to load the leaderboard' };
+        }
+    }
+
+    async getPlayerStats(wallet, window = 'all') {
+        try {
+            const hours = WINDOWS[window].hours;
+            const byGame = await this.db.getStatsByGame(wallet, hours);
+
+            if (byGame.length === 0) {
+                return { success: true, message: `📊 *Your Stats* (${WINDOWS[window].label})\n\nNo games played yet.` };
+            }
+
+            const totals = byGame.reduce((sum, row) => ({
+                games: sum.games + row.game_count,
+                wins: sum.wins + row.wins,
+                net: sum.net + (row.total_won - row.total_bet)
+            }), { games: 0, wins: 0, net: 0 });
+
+            const streaks = this.calculateStreaks(await this.db.getGameOutcomes(wallet, hours));
+            const signed = value => (value >= 0 ? `+${value}` : `${value}`);
+            const gameLines = byGame.map(row =>
+                `• ${row.game_type}: ${row.game_count} games, ` +
+                `${this.winRate(row.wins, row.game_count)} win rate, ${signed(row.total_won - row.total_bet)} coins`
+            );
+
+            const message = `📊 *Your Stats* (${WINDOWS[window].label})\n\n` +
+                          `Games played: ${totals.games}\n` +
+                          `Win rate: ${this.winRate(totals.wins, totals.games)}\n` +
+                          `Net profit: ${signed(totals.net)} coins\n` +
+                          `Longest win streak: ${streaks.longest}\n` +
+                          `Current streak: ${streaks.current}\n\n` +
+                          `*By game:*\n${gameLines.join('\n')}`;
+
+            return { success: true, message };
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error building player stats');
+            return { success: false, message: '❌ Failed to load your stats' };
+        }
+    }
+
+    calculateStreaks(outcomes) {
+        let longest = 0;
+        let current = 0;
+
+        for (const { won } of outcomes) {
+            current = won ? current + 1 : 0;
+            longest = Math.max(longest, current);
+        }
+
+        return { longest, current };
+    }
+
+    winRate(wins, games) {
+        return games > 0 ? `${Math.round((wins / games) * 100)}%` : '0%';
+    }
+}
+
+StatsManager.WINDOWS = WINDOWS;
+StatsManager.BOARDS = BOARDS;
+
+module.exports = StatsManager;
\ No newline at end of file
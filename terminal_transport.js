@@ -0,0 +1,123 @@
+// src/transports/terminalTransport.js - Chat with the bot from a terminal
+const readline = require('readline');
+const Transport = require('./transport');
+const Reply = require('./reply');
+
+const HELP = [
+    'Type bot commands as you would in WhatsApp (.help to start).',
+    '  /as <phone>     talk as another user',
+    '  /group [name]   move into a group chat (default "lobby")',
+    '  /dm             back to your direct chat with the bot',
+    '  /quit           stop the bot'
+].join('\n');
+
+/*
+ * Each line typed is a message from the current user, in their direct chat
+ * with the bot or in a local group. Whoever is typing counts as an admin of
+ * every local group. Closing the input (Ctrl+D, /quit) ends the session.
+ */
+class TerminalTransport extends Transport {
+    // options.phone is who you are at first; options.input/output default to
+    // the process's stdin/stdout
+    constructor(options = {}) {
+        super();
+        this.input = options.input || process.stdin;
+        this.output = options.output || process.stdout;
+        this.phone = options.phone || '10000000001';
+        this.chatJid = null; // null: the current user's direct chat
+        this.rl = null;
+        this.lines = Promise.resolve();
+        this.nextId = 1;
+    }
+
+    // Reconnects keep the same prompt
+    async connect() {
+        if (this.rl) {
+            this.emit('open');
+            return;
+        }
+
+        this.rl = readline.createInterface({ input: this.input, output: this.output });
+        // One line at a time, so replies come out in order
+        this.rl.on('line', line => {
+            this.lines = this.lines.then(() => this.handleLine(line));
+        });
+        this.rl.on('close', () => {
+            this.rl = null;
+            this.emit('close', { error: null, reconnect: false });
+        });
+
+        this.output.write(`${HELP}\n`);
+        this.emit('open');
+        this.prompt();
+    }
+
+    prompt() {
+        if (this.rl) {
+            this.rl.setPrompt(`${this.phone}${this.chatJid ? ` in ${this.chatJid}` : ''}> `);
+            this.rl.prompt();
+        }
+    }
+
+    async handleLine(line) {
+        const text = line.trim();
+        const [command, argument] = text.split(/\s+/);
+
+        if (!this.rl) {
+            return;
+        }
+        if (command === '/quit') {
+            this.rl.close();
+            return;
+        }
+        if (command === '/as' && /^\d{8,15}$/.test(argument || '')) {
+            this.phone = argument;
+        } else if (command === '/group') {
+            this.chatJid = `${argument || 'lobby'}@g.us`;
+        } else if (command === '/dm') {
+            this.chatJid = null;
+        } else if (text.startsWith('/')) {
+            this.output.write(`${HELP}\n`);
+        } else if (text) {
+            const senderJid = `${this.phone}@s.whatsapp.net`;
+            const message = {
+                id: `terminal-${this.nextId++}`,
+                chatJid: this.chatJid || senderJid,
+                senderJid,
+                text,
+                mentions: (text.match(/@(\d{8,15})/g) || []).map(mention => mention.slice(1))
+            };
+            await Promise.all(this.listeners('message').map(listener => listener(message)));
+        }
+
+        this.prompt();
+    }
+
+    async send(jid, text) {
+        const where = jid.endsWith('@g.us') ? jid : `to ${jid.split('@')[0]}`;
+        this.output.write(`\n[${where}]\n${text}\n\n`);
+    }
+
+    // Text only, with a reaction shown as a line of its own
+    async sendReply(jid, reply) {
+        const text = reply.react && reply.text ? `${reply.text}\n\n(reacted ${reply.react})` : Reply.toText(reply);
+        if (text) {
+            await this.send(jid, text);
+        }
+    }
+
+    async isGroupAdmin() {
+        return true;
+    }
+
+    async disconnect() {
+        if (this.rl) {
+            const rl = this.rl;
+            this.rl = null;
+            rl.removeAllListeners('close');
+            rl.close();
+        }
+    }
+}
+
+module.exports = TerminalTransport;
@@ -0,0 +1,131 @@
+// src/managers/transferManager.js - Coin transfers between users (.pay)
+const CoinManager = require('./coinManager');
+const SecurityManager = require('../security/securityManager');
+const config = require('../../config');
+const { defaultLogger } = require('../logging/logger');
+
+class TransferManager {
+    // options.security and options.logger share the bot's instances
+    constructor(database, options = {}) {
+        this.db = database;
+        this.logger = options.logger || defaultLogger();
+        this.security = options.security || new SecurityManager(database, { logger: this.logger });
+        this.coinManager = new CoinManager(database, { logger: this.logger });
+    }
+
+    // Start a transfer. Large amounts are parked until the sender confirms;
+    // `prefix` is the chat's command prefix, for the instructions.
+    async requestTransfer(fromWallet, toWallet, amount, prefix = '.') {
+        try {
+            const limits = config.transfers;
+
+            if (fromWallet === toWallet) {
+                return { success: false, message: '❌ You cannot pay yourself' };
+            }
+
+            if (!Number.isInteger(amount) || amount < limits.minAmount) {
+                return { success: false, message: `❌ Minimum transfer is ${limits.minAmount} coins` };
+            }
+
+            const recipient = await this.db.findUser(toWallet);
+            if (!recipient) {
+                return { success: false, message: '❌ That user has not used the bot yet' };
+            }
+
+            const sentToday = await this.coinManager.getTransferredToday(fromWallet);
+            if (sentToday + amount > limits.dailyLimit) {
+                return {
+                    success: false,
+                    message: `❌ Daily transfer limit is ${limits.dailyLimit} coins. ` +
+                            `You can still send ${Math.max(0, limits.dailyLimit - sentToday)} today.`
+                };
+            }
+
+            if (amount >= limits.confirmThreshold) {
+                // Stored, so a restart in between doesn't lose it
+                await this.db.savePendingTransfer(
+                    fromWallet, toWallet, amount, Date.now() + limits.confirmTimeoutMinutes * 60 * 1000
+                );
+
+                return {
+                    success: true,
+                    pending: true,
+                    message: `⚠️ You are about to send ${amount} coins to ${this.maskedNumber(toWallet)}.\n\n` +
+                            `Type *${prefix}confirm* within ${limits.confirmTimeoutMinutes} minutes to send, or *${prefix}cancel* to abort.`
+                };
+            }
+
+            return await this.executeTransfer(fromWallet, toWallet, amount);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error requesting transfer');
+            return { success: false, message: '❌ Failed to transfer coins' };
+        }
+    }
+
+    async confirmTransfer(fromWallet) {
+        try {
+            const pending = await this.db.takePendingTransfer(fromWallet);
+            if (!pending) {
+                return { success: false, message: '❌ You have no pending transfer to confirm' };
+            }
+
+            return await this.executeTransfer(fromWallet, pending.to_wallet, pending.amount);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error confirming transfer');
+            return { success: false, message: '❌ Failed to transfer coins' };
+        }
+    }
+
+    async cancelTransfer(fromWallet) {
+        try {
+            if (!(await this.db.removePendingTransfer(fromWallet))) {
+                return { success: false, message: '❌ You have no pending transfer' };
+            }
+            return { success: true, message: '✅ Transfer cancelled' };
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error cancelling transfer');
+            return { success: false, message: '❌ Failed to cancel the transfer' };
+        }
+    }
+
+    async executeTransfer(fromWallet, toWallet, amount) {
+        try {
+            const { senderBalance, recipientBalance } = await this.coinManager.transfer(
+                fromWallet, toWallet, amount, config.transfers.dailyLimit
+            );
+
+            return {
+                success: true,
+                message: `💸 Sent ${amount} coins to ${this.maskedNumber(toWallet)}\n\n` +
+                        `💰 New balance: ${senderBalance} coins`,
+                notify: {
+                    phoneNumber: this.displayNumber(toWallet),
+                    message: `🎁 You received ${amount} coins from ${this.displayNumber(fromWallet)}\n\n` +
+                            `💰 New balance: ${recipientBalance} coins`
+                }
+            };
+        } catch (error) {
+            if (error.message === 'Insufficient balance') {
+                return { success: false, message: '❌ Insufficient balance' };
+            }
+            if (error.message === 'Daily transfer limit reached') {
+                return { success: false, message: `❌ Daily transfer limit is ${config.transfers.dailyLimit} coins` };
+            }
+            this.logger.error({ err: error }, 'Error executing transfer');
+            return { success: false, message: '❌ Failed to transfer coins' };
+        }
+    }
+
+    // Wallet keys in isolated groups carry a group suffix
+    displayNumber(wallet) {
+        return wallet.split('@')[0];
+    }
+
+    // The sender's replies are often posted in groups, so they only show
+    // part of the recipient's number
+    maskedNumber(wallet) {
+        return this.security.maskPhoneNumber(this.displayNumber(wallet));
+    }
+}
+
+module.exports = TransferManager;
\ No newline at end of file
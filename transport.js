@@ -0,0 +1,62 @@
+// src/transports/transport.js - What the bot needs from a chat network
+const EventEmitter = require('events');
+const Reply = require('./reply');
+
+/*
+ * WhatsAppBot talks to its users only through a transport, so the same
+ * commands and games run on WhatsApp (BaileysTransport), in a terminal
+ * (TerminalTransport) or in scripted tests (MemoryTransport).
+ *
+ * A transport provides:
+ *
+ *   connect()                          open a connection; called again after each drop
+ *   send(jid, text)                    deliver a text message to a chat
+ *   sendReply(jid, reply)              deliver a rich reply (see ./reply.js); by
+ *                                      default only its text fallback is sent
+ *   isGroupAdmin(groupJid, senderJid)  whether a participant administers a group
+ *   disconnect()                       close for good
+ *
+ * and emits:
+ *
+ *   'message' (message)                an incoming message, as below
+ *   'open'                             connected and ready to send
+ *   'close' ({ error, reconnect })     connection lost; reconnect is false when
+ *                                      retrying cannot help (e.g. logged out)
+ *
+ * Messages are plain objects:
+ *
+ *   {
+ *       id: '3EB0C431...',              // unique per message, used as the log correlation id
+ *       chatJid: '1203...@g.us',        // where to reply: a group, or the sender's own chat
+ *       senderJid: '6281234567890@s.whatsapp.net',
+ *       text: '.roulette 100 red',
+ *       mentions: ['6289876543210']     // phone numbers @mentioned in the message
+ *   }
+ *
+ * Transports drop the bot's own messages and anything without text before
+ * emitting.
+ */
+class Transport extends EventEmitter {
+    async connect() {
+        throw new Error(`${this.constructor.name} does not implement connect`);
+    }
+
+    async send(jid, text) {
+        throw new Error(`${this.constructor.name} does not implement send`);
+    }
+
+    async sendReply(jid, reply) {
+        const text = Reply.toText(reply);
+        if (text) {
+            await this.send(jid, text);
+        }
+    }
+
+    async isGroupAdmin(groupJid, senderJid) {
+        return false;
+    }
+
+    async disconnect() {}
+}
+
+module.exports = Transport;
@@ -0,0 +1,59 @@
+-- test/fixtures/v1.sql - A database as the bot left it before schema_migrations existed
+-- The original schema (migration 1) with a few users, codes and redemptions.
+
+CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    phone_number TEXT UNIQUE NOT NULL,
+    coins INTEGER DEFAULT 1000,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE redeem_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    code TEXT UNIQUE NOT NULL,
+    coin_value INTEGER NOT NULL,
+    created_by TEXT NOT NULL,
+    expires_at DATETIME NOT NULL,
+    is_active BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE code_redemptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_phone TEXT NOT NULL,
+    code TEXT NOT NULL,
+    coins_received INTEGER NOT NULL,
+    redeemed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_phone, code)
+);
+
+CREATE TABLE game_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_phone TEXT NOT NULL,
+    game_type TEXT NOT NULL,
+    bet_amount INTEGER,
+    win_amount INTEGER,
+    game_data TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_users_phone ON users(phone_number);
+CREATE INDEX idx_redeem_codes_code ON redeem_codes(code);
+CREATE INDEX idx_redemptions_user_code ON code_redemptions(user_phone, code);
+
+INSERT INTO users (phone_number, coins, created_at, updated_at) VALUES
+    ('6281111111111', 1250, '2024-03-01 09:00:00', '2024-03-04 18:30:00'),
+    ('6282222222222', 900, '2024-03-02 12:15:00', '2024-03-03 20:00:00'),
+    ('6283333333333', 1000, '2024-03-05 08:45:00', '2024-03-05 08:45:00');
+
+INSERT INTO redeem_codes (code, coin_value, created_by, expires_at, is_active, created_at) VALUES
+    ('WELCOME', 250, 'admin', '2030-01-01T00:00:00.000Z', 1, '2024-03-01 08:00:00'),
+    ('OLDPROMO', 100, 'admin', '2024-02-01T00:00:00.000Z', 0, '2024-01-01 08:00:00');
+
+INSERT INTO code_redemptions (user_phone, code, coins_received, redeemed_at) VALUES
+    ('6281111111111', 'WELCOME', 250, '2024-03-01 09:05:00'),
+    ('6282222222222', 'WELCOME', 250, '2024-03-02 12:20:00');
+
+INSERT INTO game_history (user_phone, game_type, bet_amount, win_amount, game_data, created_at) VALUES
+    ('6282222222222', 'roulette', 350, 0, '{"number":0,"color":"green","won":false}', '2024-03-03 20:00:00');
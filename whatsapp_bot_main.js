@@ -1,239 +1,523 @@
 // bot.js - Main entry point
-const { default: makeWASocket, useMultiFileAuthState, DisconnectReason } = require('@whiskeysockets/baileys');
-const { Boom } = require('@hapi/boom');
-const pino = require('pino');
+const path = require('path');
+const EventEmitter = require('events');
 const Database = require('./src/database/database');
 const GameManager = require('./src/games/gameManager');
+const LobbyManager = require('./src/games/lobbyManager');
 const CoinManager = require('./src/managers/coinManager');
 const RedeemManager = require('./src/managers/redeemManager');
+const GroupManager = require('./src/managers/groupManager');
+const TransferManager = require('./src/managers/transferManager');
+const StatsManager = require('./src/managers/statsManager');
+const AdminManager = require('./src/managers/adminManager');
+const RewardManager = require('./src/managers/rewardManager');
+const ModerationManager = require('./src/managers/moderationManager');
 const SecurityManager = require('./src/security/securityManager');
-const config = require('./config/config');
+const RateLimiter = require('./src/security/rateLimiter');
+const CommandRegistry = require('./src/commands/commandRegistry');
+const commandParser = require('./src/commands/commandParser');
+const builtinCommands = require('./src/commands/builtinCommands');
+const roles = require('./src/security/roles');
+const { createLogger, withCorrelationId } = require('./src/logging/logger');
+const Metrics = require('./src/monitoring/metrics');
+const BaileysTransport = require('./src/transports/baileysTransport');
+const Reply = require('./src/transports/reply');
+const config = require('./config');
+
+/*
+ * The bot reaches its users through a transport (see
+ * src/transports/transport.js): WhatsApp by default, or a terminal or
+ * in-memory chat for local play and tests.
+ *
+ * Lifecycle: start() opens the database once and connects. The bot then moves
+ * between these states, emitting 'state' (state, previous) on every change:
+ *
+ *   idle → starting → connecting → open
+ *   open → reconnecting (waiting out the backoff) → connecting → ...
+ *   any → logged_out    the transport can't reconnect, e.g. WhatsApp ended the session
+ *   any → stopping → stopped    stop(), e.g. on SIGINT/SIGTERM
+ *
+ * It also emits 'ready' once the database is open, 'open' when connected,
+ * 'close' ({ error, reconnect }) when the connection drops, 'reconnecting'
+ * ({ attempt, delayMs }) when a retry is scheduled and 'stopped' at the end.
+ */
+class WhatsAppBot extends EventEmitter {
+    // options.transport defaults to WhatsApp through Baileys
+    constructor(options = {}) {
+        super();
+        this.state = 'idle';
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.inFlight = new Set();
+
+        // One logger for everything, handed to each manager
+        this.logger = createLogger();
+        const logger = this.logger;
+
+        this.transport = options.transport || new BaileysTransport({ logger });
+        this.transport.on('message', message => this.handleMessage(message));
+        this.transport.on('open', () => this.handleOpen());
+        this.transport.on('close', event => this.handleClose(event));
+
+        this.db = new Database(null, { logger });
+        // One SecurityManager for everything, so rate limits are counted once
+        this.security = new SecurityManager(this.db, { logger });
+        this.gameManager = new GameManager(this.db, { security: this.security, logger });
+        this.lobbyManager = new LobbyManager(this.db, { security: this.security, logger });
+        this.coinManager = new CoinManager(this.db, { logger });
+        this.redeemManager = new RedeemManager(this.db, { security: this.security, logger });
+        this.groupManager = new GroupManager(this.db, { logger });
+        this.transferManager = new TransferManager(this.db, { security: this.security, logger });
+        this.statsManager = new StatsManager(this.db, { security: this.security, logger });
+        this.rewardManager = new RewardManager(this.db, { logger });
+        this.adminManager = new AdminManager(this.db, { logger });
+        this.moderationManager = new ModerationManager(this.db, { security: this.security, adminManager: this.adminManager, logger });
+        this.metrics = this.defineMetrics();
+        this.sessionTimer = null;
+        this.cleanupTimer = null;
+
+        this.commands = new CommandRegistry('.', { logger });
+        builtinCommands.forEach(command => this.commands.register(command));
+        const loaded = this.commands.loadDirectory(path.resolve(__dirname, config.commands.directory), this);
+        if (loaded > 0) {
+            this.logger.info({ loaded, directory: config.commands.directory }, 'Loaded command modules');
+        }
+    }
+
+    // Counters the bot updates as it runs, plus game totals read from the
+    // database on every scrape
+    defineMetrics() {
+        const metrics = new Metrics();
+        metrics.counter('bot_commands_total', 'Commands processed, by outcome', ['command', 'outcome']);
+        metrics.counter('bot_rate_limit_hits_total', 'Commands refused by a rate limit', ['limit']);
+        metrics.counter('bot_reconnects_total', 'Reconnections after the WhatsApp connection closed');
+        metrics.counter('bot_game_rounds_total', 'Game rounds played', ['game']);
+        metrics.counter('bot_game_wagered_coins_total', 'Coins staked on games', ['game']);
+        metrics.counter('bot_game_paid_coins_total', 'Coins paid out by games', ['game']);
+        metrics.gauge('bot_house_edge_ratio', 'Share of the coins staked that the house kept', ['game']);
+
+        metrics.collect(async () => {
+            for (const row of await this.db.getGameTotals()) {
+                const labels = { game: row.game_type };
+                metrics.set('bot_game_rounds_total', labels, row.game_count);
+                metrics.set('bot_game_wagered_coins_total', labels, row.total_bet);
+                metrics.set('bot_game_paid_coins_total', labels, row.total_won);
+                metrics.set('bot_house_edge_ratio', labels, row.total_bet > 0 ? (row.total_bet - row.total_won) / row.total_bet : 0);
+            }
+        });
+        return metrics;
+    }
 
-class WhatsAppBot {
-    constructor() {
-        this.db = new Database();
-        this.gameManager = new GameManager(this.db);
-        this.coinManager = new CoinManager(this.db);
-        this.redeemManager = new RedeemManager(this.db);
-        this.security = new SecurityManager();
-        this.sock = null;
-        this.logger = pino({ level: 'info' });
+    setState(state) {
+        const previous = this.state;
+        this.state = state;
+        this.logger.info({ state, previous }, 'Bot state changed');
+        this.emit('state', state, previous);
     }
 
+    // Open the database and connect. Drops are retried on their own, so this
+    // runs once per bot.
     async start() {
+        if (this.state !== 'idle') {
+            throw new Error(`Bot already ${this.state}`);
+        }
+        this.setState('starting');
+
         try {
             await this.db.init();
-            const { state, saveCreds } = await useMultiFileAuthState('./auth_info');
-            
-            this.sock = makeWASocket({
-                auth: state,
-                printQRInTerminal: true,
-                logger: this.logger,
-                browser: ['WhatsApp Bot', 'Chrome', '1.0.0']
-            });
 
-            this.sock.ev.on('creds.update', saveCreds);
-            this.sock.ev.on('connection.update', this.handleConnection.bind(this));
-            this.sock.ev.on('messages.upsert', this.handleMessage.bind(this));
+            const mismatches = await this.coinManager.reconcileBalances();
+            if (mismatches.length > 0) {
+                this.logger.warn({ count: mismatches.length }, 'Balances do not match the coin ledger');
+            }
 
-            this.logger.info('Bot started successfully');
-        } catch (error) {
-            this.logger.error('Failed to start bot:', error);
-        }
-    }
+            const rtp = this.gameManager.slotMachine.rtp;
+            this.logger.info({ rtp: Number((rtp * 100).toFixed(2)) }, 'Slots paytable RTP (%)');
 
-    handleConnection(update) {
-        const { connection, lastDisconnect } = update;
-        
-        if (connection === 'close') {
-            const shouldReconnect = (lastDisconnect?.error instanceof Boom)?.output?.statusCode !== DisconnectReason.loggedOut;
-            
-            this.logger.info('Connection closed due to:', lastDisconnect?.error);
-            
-            if (shouldReconnect) {
-                this.start();
+            if (config.metrics.enabled) {
+                try {
+                    await this.metrics.listen(config.metrics.port, config.metrics.host, this.logger);
+                    this.logger.info({ host: config.metrics.host, port: config.metrics.port }, 'Serving metrics at /metrics');
+                } catch (error) {
+                    this.logger.error({ err: error }, 'Failed to start the metrics endpoint');
+                }
             }
-        } else if (connection === 'open') {
-            this.logger.info('WhatsApp connection opened');
-        }
-    }
 
-    async handleMessage(m) {
-        try {
-            const msg = m.messages[0];
-            if (!msg.message || msg.key.fromMe) return;
-
-            const messageText = msg.message.conversation || 
-                               msg.message.extendedTextMessage?.text || '';
-            
-            const sender = msg.key.remoteJid;
-            const senderNumber = sender.split('@')[0];
-
-            // Security check for malicious commands
-            if (this.security.containsMaliciousCode(messageText)) {
-                await this.sendMessage(sender, '⚠️ Invalid command detected. Please use only allowed bot commands.');
-                return;
-            }
+            // Settle abandoned blackjack hands
+            this.sessionTimer = setInterval(() => this.track(this.expireGameSessions()), 60 * 1000);
 
-            if (messageText.startsWith('.')) {
-                await this.processCommand(messageText, sender, senderNumber);
-            }
+            // Drop refilled rate limit buckets and old suspicious activity
+            this.cleanupTimer = setInterval(() => this.track(this.security.cleanupRateLimits()), 10 * 60 * 1000);
         } catch (error) {
-            this.logger.error('Error handling message:', error);
+            this.logger.error({ err: error }, 'Failed to start bot');
+            await this.stop();
+            throw error;
         }
+
+        this.emit('ready');
+        await this.connect();
     }
 
-    async processCommand(command, sender, senderNumber) {
-        const parts = command.split(' ');
-        const cmd = parts[0].toLowerCase();
+    async connect() {
+        this.reconnectTimer = null;
+        if (this.state === 'stopping' || this.state === 'stopped') {
+            return;
+        }
+        this.setState('connecting');
 
         try {
-            switch (cmd) {
-                case '.roulette':
-                    await this.handleRouletteCommand(parts, sender, senderNumber);
-                    break;
-                case '.guess':
-                    await this.handleGuessCommand(parts, sender, senderNumber);
-                    break;
-                case '.balance':
-                    await this.handleBalanceCommand(sender, senderNumber);
-                    break;
-                case '.claim':
-                    await this.handleClaimCommand(parts, sender, senderNumber);
-                    break;
-                case '.createcode':
-                    await this.handleCreateCodeCommand(parts, sender, senderNumber);
-                    break;
-                case '.help':
-                    await this.handleHelpCommand(sender);
-                    break;
-                default:
-                    await this.sendMessage(sender, '❓ Unknown command. Type .help for available commands.');
-            }
+            await this.transport.connect();
         } catch (error) {
-            this.logger.error('Error processing command:', error);
-            await this.sendMessage(sender, '❌ An error occurred while processing your command.');
+            this.logger.error({ err: error }, 'Failed to connect');
+            this.scheduleReconnect();
         }
     }
 
-    async handleRouletteCommand(parts, sender, senderNumber) {
-        if (parts.length !== 3) {
-            await this.sendMessage(sender, '❌ Usage: .roulette <amount> <red/black>');
+    handleOpen() {
+        if (this.state === 'stopping' || this.state === 'stopped') {
             return;
         }
+        this.reconnectAttempts = 0;
+        this.setState('open');
+        this.emit('open');
+    }
 
-        const amount = parseInt(parts[1]);
-        const choice = parts[2].toLowerCase();
-
-        if (isNaN(amount) || amount <= 0) {
-            await this.sendMessage(sender, '❌ Please enter a valid bet amount.');
+    handleClose({ error, reconnect }) {
+        if (this.state === 'stopping' || this.state === 'stopped') {
             return;
         }
 
-        if (!['red', 'black'].includes(choice)) {
-            await this.sendMessage(sender, '❌ Please choose either "red" or "black".');
-            return;
+        this.logger.info({ err: error, reconnect }, 'Connection closed');
+        this.emit('close', { error, reconnect });
+
+        if (reconnect) {
+            this.scheduleReconnect();
+        } else {
+            this.setState('logged_out');
         }
+    }
 
-        const result = await this.gameManager.playRoulette(senderNumber, amount, choice);
-        await this.sendMessage(sender, result.message);
+    // Exponential backoff from config.connection, with jitter
+    static reconnectDelay(attempt, settings = config.connection, random = Math.random) {
+        const delay = Math.min(settings.maxDelayMs, settings.initialDelayMs * 2 ** (attempt - 1));
+        return Math.round(delay * (1 - settings.jitter * random()));
     }
 
-    async handleGuessCommand(parts, sender, senderNumber) {
-        if (parts.length !== 2) {
-            await this.sendMessage(sender, '❌ Usage: .guess <number 1-10>');
+    scheduleReconnect() {
+        if (this.reconnectTimer || this.state === 'stopping' || this.state === 'stopped') {
             return;
         }
 
-        const guess = parseInt(parts[1]);
-        if (isNaN(guess) || guess < 1 || guess > 10) {
-            await this.sendMessage(sender, '❌ Please enter a number between 1 and 10.');
+        this.reconnectAttempts++;
+        const delayMs = WhatsAppBot.reconnectDelay(this.reconnectAttempts);
+        this.metrics.inc('bot_reconnects_total');
+        this.setState('reconnecting');
+        this.logger.info({ attempt: this.reconnectAttempts, delayMs }, 'Reconnecting');
+        this.emit('reconnecting', { attempt: this.reconnectAttempts, delayMs });
+        this.reconnectTimer = setTimeout(() => this.connect(), delayMs);
+    }
+
+    // Keep track of work that shutdown should wait for
+    track(promise) {
+        this.inFlight.add(promise);
+        promise.finally(() => this.inFlight.delete(promise)).catch(() => {});
+        return promise;
+    }
+
+    // Stop taking commands, let running ones (and the games they settle)
+    // finish for up to config.connection.shutdownTimeoutMs, then disconnect
+    // and close the database
+    async stop(signal = null) {
+        if (this.state === 'stopping' || this.state === 'stopped') {
             return;
         }
+        this.setState('stopping');
+        this.logger.info({ signal, inFlight: this.inFlight.size }, 'Shutting down');
+
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.sessionTimer);
+        clearInterval(this.cleanupTimer);
+        this.reconnectTimer = this.sessionTimer = this.cleanupTimer = null;
+
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve(false), config.connection.shutdownTimeoutMs);
+        });
+        const finished = await Promise.race([Promise.allSettled([...this.inFlight]).then(() => true), timeout]);
+        clearTimeout(timer);
+        if (!finished) {
+            this.logger.warn({ inFlight: this.inFlight.size }, 'Shutdown timed out waiting for commands');
+        }
+
+        try {
+            await this.transport.disconnect();
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error closing the connection');
+        }
+
+        await this.metrics.close();
+        try {
+            await this.db.close();
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error closing the database');
+        }
 
-        const result = await this.gameManager.playGuessGame(senderNumber, guess);
-        await this.sendMessage(sender, result.message);
+        this.setState('stopped');
+        this.emit('stopped');
     }
 
-    async handleBalanceCommand(sender, senderNumber) {
-        const balance = await this.coinManager.getBalance(senderNumber);
-        await this.sendMessage(sender, `💰 Your balance: ${balance} coins`);
+    // Stop gracefully on SIGINT/SIGTERM; a second signal exits at once
+    installSignalHandlers() {
+        for (const signal of ['SIGINT', 'SIGTERM']) {
+            process.once(signal, () => {
+                process.once(signal, () => process.exit(1));
+                this.stop(signal).then(() => process.exit(0), (error) => {
+                    this.logger.error({ err: error }, 'Error shutting down');
+                    process.exit(1);
+                });
+            });
+        }
     }
 
-    async handleClaimCommand(parts, sender, senderNumber) {
-        if (parts.length !== 2) {
-            await this.sendMessage(sender, '❌ Usage: .claim <code>');
-            return;
+    // A transport message (see src/transports/transport.js)
+    async handleMessage(message) {
+        // Everything logged while handling the message carries its id
+        await withCorrelationId(() => this.handleIncoming(message), message.id || undefined);
+    }
+
+    async handleIncoming(source) {
+        const { chatJid, senderJid, text: messageText, mentions } = source;
+        try {
+            // Shutting down: commands arriving now are dropped
+            if (this.state === 'stopping' || this.state === 'stopped') return;
+
+            const isGroup = GroupManager.isGroupJid(chatJid);
+            const senderNumber = senderJid.split('@')[0].split(':')[0];
+
+            const group = isGroup ? await this.groupManager.getSettings(chatJid) : null;
+            const prefix = group ? group.prefix : this.commands.prefix;
+
+            // Anything that isn't a command is ordinary chat and left alone
+            if (!commandParser.isCommand(messageText, prefix)) {
+                return;
+            }
+
+            this.security.logSuspiciousInput(senderNumber, messageText);
+            await this.track(this.processCommand(messageText.slice(prefix.length), {
+                chatJid,
+                senderJid,
+                senderNumber,
+                isGroup,
+                group,
+                prefix,
+                mentions,
+                source
+            }));
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error handling message');
         }
+    }
 
-        const code = parts[1];
-        const result = await this.redeemManager.redeemCode(senderNumber, code);
-        await this.sendMessage(sender, result.message);
+    // Run a command and count its outcome
+    async processCommand(command, message) {
+        const { definition, outcome } = await this.runCommand(command, message);
+        this.metrics.inc('bot_commands_total', { command: definition ? definition.name : 'unknown', outcome });
     }
 
-    async handleCreateCodeCommand(parts, sender, senderNumber) {
-        // Check if user is admin
-        if (!config.admins.includes(senderNumber)) {
-            await this.sendMessage(sender, '❌ You are not authorized to create redeem codes.');
-            return;
+    // Returns { definition, outcome }: ok, error, invalid, unknown, denied,
+    // rate_limited or banned
+    async runCommand(command, message) {
+        const { chatJid, senderNumber, group, prefix } = message;
+        const role = roles.roleOf(senderNumber);
+        const split = commandParser.tokenize(command);
+        const [name, ...words] = split.valid ? split.tokens : [];
+        const definition = name ? this.commands.get(name.value) : null;
+
+        // Muted and banned users are ignored, apart from an occasional
+        // reminder of when that ends
+        const ban = role ? null : await this.adminManager.getBan(senderNumber);
+        if (ban) {
+            const notice = await this.security.checkRateLimit(senderNumber, 'ban-notice', 1, config.moderation.noticeMinutes);
+            if (notice.allowed) {
+                await this.sendMessage(chatJid, ModerationManager.describeBan(ban));
+            }
+            return { definition, outcome: 'banned' };
         }
 
-        if (parts.length !== 4) {
-            await this.sendMessage(sender, '❌ Usage: .createcode <code> <coins> <hours>');
-            return;
+        // Overall limit across every command, on top of the per-command ones
+        const overall = await this.security.checkRateLimit(
+            senderNumber, 'commands', config.rateLimits.commands.attempts, config.rateLimits.commands.windowMinutes
+        );
+        if (!overall.allowed) {
+            this.metrics.inc('bot_rate_limit_hits_total', { limit: 'commands' });
+            await this.sendMessage(chatJid, `⏳ You're sending commands too fast. Please wait ${RateLimiter.formatWait(overall.retryAfterMs)}.`);
+            await this.reportAbuse(senderNumber, 'rateLimit', chatJid);
+            return { definition, outcome: 'rate_limited' };
         }
 
-        const [, code, coins, hours] = parts;
-        const coinAmount = parseInt(coins);
-        const expireHours = parseInt(hours);
+        if (!split.valid) {
+            await this.sendMessage(chatJid, `❌ ${split.error}.`);
+            return { definition, outcome: 'invalid' };
+        }
 
-        if (isNaN(coinAmount) || coinAmount <= 0) {
-            await this.sendMessage(sender, '❌ Please enter a valid coin amount.');
-            return;
+        if (!definition) {
+            await this.sendMessage(chatJid, `❓ Unknown command. Type ${prefix}help for available commands.`);
+            return { definition, outcome: 'unknown' };
+        }
+
+        try {
+            if (definition.role && !roles.hasRole(role, definition.role)) {
+                await this.sendMessage(chatJid, '❌ You are not authorized to use this command.');
+                return { definition, outcome: 'denied' };
+            }
+
+            if (definition.groupOnly && !message.isGroup) {
+                await this.sendMessage(chatJid, '❌ This command only works in groups.');
+                return { definition, outcome: 'denied' };
+            }
+
+            if (definition.game && !this.groupManager.isGameEnabled(group, definition.game)) {
+                await this.sendMessage(chatJid, '❌ This game is disabled in this group.');
+                return { definition, outcome: 'denied' };
+            }
+
+            if (definition.rateLimit) {
+                const limit = config.rateLimits[definition.rateLimit] || {};
+                const rateLimit = await this.security.checkRateLimit(senderNumber, definition.rateLimit, limit.attempts, limit.windowMinutes);
+                if (!rateLimit.allowed) {
+                    this.metrics.inc('bot_rate_limit_hits_total', { limit: definition.rateLimit });
+                    await this.sendMessage(chatJid, rateLimit.error);
+                    await this.reportAbuse(senderNumber, 'rateLimit', chatJid);
+                    return { definition, outcome: 'rate_limited' };
+                }
+            }
+
+            const parsed = this.commands.parseArgs(definition, words, prefix);
+            if (!parsed.valid) {
+                await this.sendMessage(chatJid, parsed.error);
+                return { definition, outcome: 'invalid' };
+            }
+
+            await definition.handler({
+                ...message,
+                bot: this,
+                command: definition,
+                args: parsed.args,
+                role,
+                isAdmin: roles.hasRole(role, 'admin'),
+                wallet: this.groupManager.walletFor(senderNumber, group, chatJid),
+                reply: content => this.reply(message, content)
+            });
+            return { definition, outcome: 'ok' };
+        } catch (error) {
+            this.logger.error({ err: error, command: definition.name }, 'Error processing command');
+            await this.sendMessage(chatJid, '❌ An error occurred while processing your command.');
+            return { definition, outcome: 'error' };
         }
+    }
 
-        if (isNaN(expireHours) || expireHours <= 0) {
-            await this.sendMessage(sender, '❌ Please enter valid expiration hours.');
+    // Give a user strike points for `activity`; when that earns a mute or ban,
+    // say so in the chat and let admins know
+    async reportAbuse(phoneNumber, activity, chatJid) {
+        const penalty = await this.moderationManager.strike(phoneNumber, activity);
+        if (!penalty) {
             return;
         }
 
-        const result = await this.redeemManager.createCode(code, coinAmount, expireHours);
-        await this.sendMessage(sender, result.message);
+        const duration = ModerationManager.formatRemaining(penalty.minutes * 60 * 1000);
+        const until = new Date(penalty.expiresAt).toLocaleString();
+        const icon = penalty.action === 'mute' ? '🔇' : '⛔';
+        const state = penalty.action === 'mute' ? 'muted' : 'banned';
+
+        // The chat only sees a masked number; staff get the full one
+        await this.sendMessage(chatJid, `${icon} ${this.security.maskPhoneNumber(phoneNumber)} has been ${state} for ${duration} after repeated abuse.`);
+        for (const staff of roles.staffWith('admin')) {
+            await this.notifyUser(staff,
+                `🛡️ *Automatic ${penalty.action}*\n\n` +
+                `User: ${phoneNumber}\n` +
+                `Strike points: ${penalty.points} (last: ${activity})\n` +
+                `Until: ${until}\n\n` +
+                `Lift it with ${this.commands.prefix}admin unban ${phoneNumber}`);
+        }
     }
 
-    async handleHelpCommand(sender) {
-        const helpText = `
-🎮 *WhatsApp Bot - Game Commands*
+    // Whether a participant is an admin of a group chat
+    async isGroupAdmin(groupJid, participantJid) {
+        try {
+            return await this.transport.isGroupAdmin(groupJid, participantJid);
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error fetching group metadata');
+            return false;
+        }
+    }
 
-🎰 *.roulette <amount> <red/black>* - Play roulette
-🎯 *.guess <number>* - Guess a number (1-10)
-💰 *.balance* - Check your coin balance
-🎁 *.claim <code>* - Redeem a code for coins
-❓ *.help* - Show this help message
+    // Re-read the config file and environment; invalid settings are rejected
+    // and the current ones stay active
+    reloadConfig() {
+        const result = config.reload();
+        if (result.success) {
+            this.logger.info('Configuration reloaded');
+        } else {
+            this.logger.warn({ errors: result.errors }, 'Configuration reload rejected');
+        }
+        return result;
+    }
 
-*Admin Commands:*
-🔧 *.createcode <code> <coins> <hours>* - Create redeem code
+    async expireGameSessions() {
+        try {
+            const notices = [
+                ...await this.gameManager.expireBlackjackSessions(),
+                ...await this.lobbyManager.expireDuels(),
+                ...await this.lobbyManager.drawDueLotteries()
+            ];
+            for (const notice of notices) {
+                if (notice.chatJid) {
+                    await this.sendMessage(notice.chatJid, notice.message);
+                }
+            }
+        } catch (error) {
+            this.logger.error({ err: error }, 'Error expiring game sessions');
+        }
+    }
 
-*Game Rules:*
-• Roulette: Win 2x your bet, lose your bet
-• Guess Game: Win 50 coins if correct, lose 10 coins if wrong
-• All games require coins to play
-        `.trim();
+    // Answer a command: `content` is a string, a reply or a manager result
+    // (see src/transports/reply.js). Reactions go on the command's message,
+    // which is quoted in groups so it's clear who the answer is for.
+    async reply(message, content) {
+        await this.sendMessage(message.chatJid, {
+            replyTo: message.source,
+            quote: message.isGroup,
+            ...Reply.from(content)
+        });
+    }
 
-        await this.sendMessage(sender, helpText);
+    // Direct message a user by phone number
+    async notifyUser(phoneNumber, text) {
+        await this.sendMessage(`${phoneNumber}@s.whatsapp.net`, text);
     }
 
-    async sendMessage(jid, text) {
+    // `content` is text or a reply; parts switched off in config.replies
+    // are dropped first
+    async sendMessage(jid, content) {
         try {
-            await this.sock.sendMessage(jid, { text });
+            if (typeof content === 'string') {
+                await this.transport.send(jid, content);
+            } else {
+                await this.transport.sendReply(jid, Reply.restrict(content, config.replies));
+            }
         } catch (error) {
-            this.logger.error('Error sending message:', error);
+            this.logger.error({ err: error }, 'Error sending message');
         }
     }
 }
 
-// Start the bot
-const bot = new WhatsAppBot();
-bot.start().catch(console.error);
+module.exports = WhatsAppBot;
 
-module.exports = WhatsAppBot;
\ No newline at end of file
+// Start the bot when run directly (node bot.js), not when required
+if (require.main === module) {
+    const bot = new WhatsAppBot();
+    bot.installSignalHandlers();
+    bot.start().catch(() => {
+        process.exitCode = 1;
+    });
+}
\ No newline at end of file